@@ -0,0 +1,127 @@
+// cli/apiClient.js
+// Connection settings, login and REST/socket access for sdrctl.
+// Settings come from (first wins) command-line flags, SDRCTL_URL / SDRCTL_USER /
+// SDRCTL_PASSWORD, then the config file: --config, $SDRCTL_CONFIG or ~/.sdrctl.json:
+//   { "url": "http://pi.local:3000", "username": "ops", "password": "..." }
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_URL = 'http://localhost:3000';
+
+// Failure with the exit code sdrctl should end with
+class CliError extends Error {
+    constructor(message, exitCode, body) {
+        super(message);
+        this.exitCode = exitCode;
+        this.body = body;
+    }
+}
+
+const EXIT = {
+    OK: 0,
+    FAILED: 1,       // Server refused or the action failed (on some boards)
+    USAGE: 2,
+    AUTH: 3,         // Bad credentials or role too low
+    UNREACHABLE: 4   // Server not reachable
+};
+
+function loadConfig(flags) {
+    const file = flags.config || process.env.SDRCTL_CONFIG || path.join(os.homedir(), '.sdrctl.json');
+    let config = {};
+    if (fs.existsSync(file)) {
+        try {
+            config = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new CliError(`Cannot read ${file}: ${err.message}`, EXIT.USAGE);
+        }
+    } else if (flags.config) {
+        throw new CliError(`Config file ${file} not found`, EXIT.USAGE);
+    }
+    return {
+        url: (flags.url || process.env.SDRCTL_URL || config.url || DEFAULT_URL).replace(/\/+$/, ''),
+        username: flags.user || process.env.SDRCTL_USER || config.username,
+        password: process.env.SDRCTL_PASSWORD || config.password
+    };
+}
+
+function createClient(config) {
+    let token = null;
+
+    async function request(method, route, body) {
+        let response;
+        try {
+            response = await fetch(`${config.url}/api${route}`, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(token && { Authorization: `Bearer ${token}` })
+                },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        } catch (err) {
+            throw new CliError(`Cannot reach ${config.url}: ${err.cause?.message || err.message}`, EXIT.UNREACHABLE);
+        }
+        const text = await response.text();
+        let data;
+        try {
+            data = text ? JSON.parse(text) : null;
+        } catch {
+            data = { error: text };
+        }
+        if (response.status === 401 || response.status === 403) {
+            throw new CliError(data?.error || `HTTP ${response.status}`, EXIT.AUTH, data);
+        }
+        // 207: some boards of a group failed; the body has the per-board results
+        if (!response.ok || response.status === 207) {
+            throw new CliError(data?.error || `HTTP ${response.status}`, EXIT.FAILED, data);
+        }
+        return data;
+    }
+
+    async function login() {
+        if (!config.username || !config.password) {
+            throw new CliError('No credentials: set username/password in the config file or SDRCTL_USER/SDRCTL_PASSWORD', EXIT.USAGE);
+        }
+        token = (await request('POST', '/auth/login', { username: config.username, password: config.password })).token;
+    }
+
+    // Ends the session so cron runs do not pile them up on the server
+    async function logout() {
+        if (!token) return;
+        try {
+            await request('POST', '/auth/logout');
+        } catch {
+            // The session expires on its own
+        }
+        token = null;
+    }
+
+    // socket.io connection with the session token; resolves once connected
+    function connectSocket() {
+        const io = require('socket.io-client');
+        const socket = io(config.url, { auth: { token }, reconnection: true });
+        return new Promise((resolve, reject) => {
+            socket.once('connect', () => resolve(socket));
+            socket.once('connect_error', (err) => {
+                socket.close();
+                reject(new CliError(`Socket connection failed: ${err.message}`, err.message === 'Authentication required' ? EXIT.AUTH : EXIT.UNREACHABLE));
+            });
+        });
+    }
+
+    return {
+        login,
+        logout,
+        connectSocket,
+        get: (route) => request('GET', route),
+        post: (route, body) => request('POST', route, body ?? {})
+    };
+}
+
+module.exports = {
+    CliError,
+    EXIT,
+    loadConfig,
+    createClient
+};
@@ -0,0 +1,33 @@
+// cli/format.js
+// Unit parsing and output helpers for sdrctl
+
+const SUFFIXES = { k: 1e3, K: 1e3, M: 1e6, G: 1e9 };
+
+// "433.92M" -> 433920000, "20k" -> 20000, "-10" -> -10; an optional trailing "Hz" is ignored.
+// Returns NaN for anything else.
+function parseUnits(text) {
+    const match = String(text).trim().match(/^(-?\d+(?:\.\d+)?)\s*([kKMG])?(?:Hz)?$/);
+    if (!match) return NaN;
+    const value = Number(match[1]) * (match[2] ? SUFFIXES[match[2]] : 1);
+    return Math.round(value * 1000) / 1000; // Drop float noise (433.92 * 1e6)
+}
+
+function formatHz(hz) {
+    if (!hz) return '-';
+    if (hz >= 1e9) return `${+(hz / 1e9).toFixed(6)} GHz`;
+    if (hz >= 1e6) return `${+(hz / 1e6).toFixed(6)} MHz`;
+    if (hz >= 1e3) return `${+(hz / 1e3).toFixed(3)} kHz`;
+    return `${hz} Hz`;
+}
+
+// rows: array of arrays of strings; first row is the header
+function table(rows) {
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => String(row[col]).length)));
+    return rows.map(row => row.map((cell, col) => String(cell).padEnd(widths[col])).join('  ').trimEnd()).join('\n');
+}
+
+module.exports = {
+    parseUnits,
+    formatHz,
+    table
+};
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// cli/sdrctl.js
+// Command-line client for the SDR server (REST, plus the socket for `status --watch`).
+// Run `sdrctl help` for commands and exit codes; connection settings: see apiClient.js.
+const { CliError, EXIT, loadConfig, createClient } = require('./apiClient');
+const { parseUnits, formatHz, table } = require('./format');
+
+const USAGE = `Usage: sdrctl [--url URL] [--user NAME] [--config FILE] [--json] <command> [args]
+
+Commands:
+  list                          All boards with their state
+  status <id> [--watch]         One board; --watch prints every change until interrupted
+  init <target>                 Initialize a board or a group (antenna:<name>, tag:<tag>, id,id,...)
+  set <id> [--freq F] [--rate F] [--gain DB] [--mode MODE]
+                                Apply settings in one step (rolled back on failure).
+                                Frequencies take k/M/G suffixes: --freq 433.92M --rate 20M
+  estop                         Emergency stop: TX off on every board, every relay open
+  restart-usb [id]              Power-cycle the board's USB port, or every port of the hub
+
+Options:
+  --json                        Machine-readable output (one JSON document, or one per line with --watch)
+
+Exit codes:
+  0 success, 1 failed on the server (or on some boards), 2 usage error,
+  3 authentication or permission refused, 4 server unreachable`;
+
+const VALUE_FLAGS = ['url', 'user', 'config', 'freq', 'rate', 'gain', 'mode'];
+const BOOLEAN_FLAGS = ['json', 'watch', 'help'];
+
+function parseArgs(argv) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+        } else if (VALUE_FLAGS.includes(name)) {
+            // Values may start with "-" (--gain -10)
+            const value = inline ?? argv[++i];
+            if (value === undefined) throw new CliError(`--${name} needs a value`, EXIT.USAGE);
+            flags[name] = value;
+        } else {
+            throw new CliError(`Unknown option --${name}`, EXIT.USAGE);
+        }
+    }
+    return { flags, positional };
+}
+
+function currentMode(state) {
+    return Object.keys(state.modes || {}).find(key => state.modes[key]) || 'none';
+}
+
+function summaryRow(id, state) {
+    return [
+        id,
+        state.connected ? 'yes' : 'no',
+        state.initialized ? 'yes' : 'no',
+        formatHz(state.freq),
+        formatHz(state.sampling_freq),
+        state.gain ?? '-',
+        currentMode(state),
+        state.tx_on ? 'ON' : 'off',
+        state.health?.status || '-',
+        state.antenna?.name || '-'
+    ];
+}
+
+const SUMMARY_HEADER = ['ID', 'CONNECTED', 'INIT', 'FREQ', 'RATE', 'GAIN', 'MODE', 'TX', 'HEALTH', 'ANTENNA'];
+
+function printStatus(id, state) {
+    const rows = [
+        ['connected', state.connected ? 'yes' : 'no'],
+        ['initialized', state.initialized ? 'yes' : 'no'],
+        ['health', state.health?.status || '-'],
+        ['frequency', formatHz(state.freq)],
+        ['sampling', formatHz(state.sampling_freq)],
+        ['gain', `${state.gain} dB`],
+        ['mode', currentMode(state)],
+        ['tx', state.tx_on ? 'ON' : 'off'],
+        ['antenna', state.antenna ? `${state.antenna.name} (${state.antenna.freq_start}-${state.antenna.freq_stop} MHz)` : '-'],
+        ['queue', state.queue ? `${state.queue.depth} pending${state.queue.running ? `, running ${state.queue.running.label}` : ''}` : '-']
+    ];
+    if (state.tx_safety?.tx_off_at) rows.push(['tx off at', state.tx_safety.tx_off_at]);
+    console.log(`${id}\n${rows.map(([key, value]) => `  ${key.padEnd(12)} ${value}`).join('\n')}`);
+}
+
+// Per-board results of a group request
+function printResults(results) {
+    console.log(table([['ID', 'RESULT'], ...Object.entries(results).map(([id, result]) => [id, result.success ? 'ok' : `FAILED: ${result.error}`])]));
+}
+
+function output(flags, data, print) {
+    if (flags.json) console.log(JSON.stringify(data, null, 2));
+    else print(data);
+}
+
+function requireArg(value, what) {
+    if (!value) throw new CliError(`Missing ${what}\n\n${USAGE}`, EXIT.USAGE);
+    return value;
+}
+
+function unitsFlag(flags, name) {
+    if (flags[name] === undefined) return undefined;
+    const value = parseUnits(flags[name]);
+    if (isNaN(value)) throw new CliError(`Invalid value for --${name}: ${flags[name]}`, EXIT.USAGE);
+    return value;
+}
+
+const COMMANDS = {
+    async list(client, flags) {
+        const sdrs = await client.get('/sdrs');
+        output(flags, sdrs, () => console.log(table([SUMMARY_HEADER, ...sdrs.map(({ id, ...state }) => summaryRow(id, state))])));
+    },
+
+    async status(client, flags, [id]) {
+        requireArg(id, 'SDR id');
+        const sdrs = await client.get('/sdrs');
+        const sdr = sdrs.find(other => other.id === id);
+        if (!sdr) throw new CliError(`SDR ${id} not found`, EXIT.FAILED);
+        const { id: _, ...state } = sdr;
+        if (!flags.watch) return output(flags, sdr, () => printStatus(id, state));
+        await watch(client, flags, id, state);
+    },
+
+    async init(client, flags, [target]) {
+        requireArg(target, 'SDR id or group');
+        if (/[,:]/.test(target)) {
+            const data = await client.post(`/groups/${encodeURIComponent(target)}/init`);
+            return output(flags, data, () => printResults(data.results));
+        }
+        const data = await client.post(`/sdrs/${encodeURIComponent(target)}/init`);
+        output(flags, data, () => printStatus(target, data.state));
+    },
+
+    async set(client, flags, [id]) {
+        requireArg(id, 'SDR id');
+        const settings = {
+            freq: unitsFlag(flags, 'freq'),
+            sampling_freq: unitsFlag(flags, 'rate'),
+            gain: unitsFlag(flags, 'gain'),
+            mode: flags.mode
+        };
+        Object.keys(settings).forEach(key => settings[key] === undefined && delete settings[key]);
+        if (Object.keys(settings).length === 0) throw new CliError(`Nothing to set\n\n${USAGE}`, EXIT.USAGE);
+        const data = await client.post(`/sdrs/${encodeURIComponent(id)}/apply`, settings);
+        output(flags, data, () => printStatus(id, data.state));
+    },
+
+    async estop(client, flags) {
+        const data = await client.post('/emergency_stop');
+        output(flags, data, () => {
+            printResults(data.sdrs);
+            console.log(`relays: ${data.relays.success ? 'open' : `FAILED: ${data.relays.error}`}`);
+        });
+    },
+
+    async 'restart-usb'(client, flags, [id]) {
+        const data = await client.post(id ? `/sdrs/${encodeURIComponent(id)}/restart_usb` : '/restart_usb');
+        output(flags, data, () => console.log(data.output?.trim() || 'ok'));
+    }
+};
+
+// Print the board on every update until Ctrl-C
+async function watch(client, flags, id, initial) {
+    const socket = await client.connectSocket();
+    // Fixed columns so successive lines stay aligned
+    const line = cells => cells.map(cell => String(cell).padEnd(10)).join(' ').trimEnd();
+    const print = (state) => {
+        if (flags.json) console.log(JSON.stringify({ ts: new Date().toISOString(), id, state }));
+        else console.log(line([new Date().toLocaleTimeString(), ...summaryRow(id, state).slice(1)]));
+    };
+    if (!flags.json) console.log(line(['TIME', ...SUMMARY_HEADER.slice(1)]));
+    print(initial);
+    socket.on('sdrUpdate', (update) => {
+        if (update.id === id) print(update.state);
+    });
+    socket.on('disconnect', (reason) => {
+        if (reason === 'io server disconnect') {
+            console.error('sdrctl: server closed the connection (session ended)');
+            process.exit(EXIT.AUTH);
+        }
+    });
+    await new Promise((resolve, reject) => {
+        socket.emit('subscribe', { sdrs: [id] }, (reply) => (reply.error ? reject(new CliError(reply.error, EXIT.FAILED)) : resolve()));
+    });
+    await new Promise(resolve => process.once('SIGINT', resolve));
+    socket.close();
+}
+
+async function main(argv) {
+    const { flags, positional } = parseArgs(argv);
+    const [name, ...args] = positional;
+    if (flags.help || !name || name === 'help') {
+        console.log(USAGE);
+        return name || flags.help ? EXIT.OK : EXIT.USAGE;
+    }
+    const command = COMMANDS[name];
+    if (!command) throw new CliError(`Unknown command ${name}\n\n${USAGE}`, EXIT.USAGE);
+
+    const client = createClient(loadConfig(flags));
+    await client.login();
+    try {
+        await command(client, flags, args);
+    } finally {
+        await client.logout();
+    }
+    return EXIT.OK;
+}
+
+main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(err => {
+        if (!(err instanceof CliError)) {
+            console.error(`sdrctl: ${err.stack || err.message}`);
+            process.exit(EXIT.FAILED);
+        }
+        // Per-board results (group request, emergency stop) are worth showing even on failure
+        const results = err.body?.results || err.body?.sdrs;
+        if (results) {
+            if (process.argv.includes('--json')) console.log(JSON.stringify(err.body, null, 2));
+            else printResults(results);
+        }
+        console.error(`sdrctl: ${err.message}`);
+        process.exit(err.exitCode);
+    });
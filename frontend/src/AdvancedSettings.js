@@ -0,0 +1,132 @@
+// src/AdvancedSettings.js - "Advanced" section of an SDR card: RF bandwidths, RX LO, RX gain,
+// second channel and FIR enables (/api/sdrs/:id/attributes), with the limits the chip reports.
+// Hz attributes are shown in MHz like the rest of the card.
+
+import React, { useState } from 'react';
+import { Button, Form } from 'react-bootstrap';
+import axios from 'axios';
+
+const LABELS = {
+  rx_lo_freq: 'RX LO',
+  rx_rf_bandwidth: 'RX RF Bandwidth',
+  tx_rf_bandwidth: 'TX RF Bandwidth',
+  rx1_gain: 'RX1 Gain',
+  rx_fir_enable: 'RX FIR Filter',
+  tx_fir_enable: 'TX FIR Filter',
+  rx2_gain: 'RX2 Gain',
+  rx2_gain_control_mode: 'RX2 Gain Mode',
+  tx2_gain: 'TX2 Gain (attenuation)'
+};
+
+const scaleOf = (attribute) => (attribute.unit === 'Hz' ? 1000000 : 1);
+const unitOf = (attribute) => (attribute.unit === 'Hz' ? 'MHz' : attribute.unit);
+
+function AdvancedSettings({ apiBaseUrl, sdr, onError, disabled }) {
+  const [open, setOpen] = useState(false);
+  const [attributes, setAttributes] = useState(null); // Model with limits, fetched when opened
+  const [pending, setPending] = useState({}); // Edited values, in display units
+  const [applying, setApplying] = useState(false);
+
+  const handleToggle = async () => {
+    if (open) {
+      setOpen(false);
+      return;
+    }
+    try {
+      const response = await axios.get(`${apiBaseUrl}/sdrs/${sdr.id}/attributes`);
+      setAttributes(response.data);
+      setPending({});
+      setOpen(true);
+    } catch (err) {
+      onError('Failed to fetch advanced settings: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleApply = async () => {
+    const values = Object.fromEntries(Object.entries(pending).map(([key, value]) => (
+        [key, typeof value === 'number' ? value * scaleOf(attributes[key]) : value]
+    )));
+    setApplying(true);
+    try {
+      await axios.post(`${apiBaseUrl}/sdrs/${sdr.id}/attributes`, values);
+      setPending({});
+    } catch (err) {
+      onError('Advanced settings failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  // Live value from the card state, in display units
+  const currentValue = (key) => {
+    const value = sdr.state?.advanced?.[key];
+    return typeof value === 'number' ? value / scaleOf(attributes[key]) : value;
+  };
+
+  const renderControl = (key, attribute) => {
+    const value = pending[key] ?? currentValue(key);
+    const update = (newValue) => setPending(prev => ({ ...prev, [key]: newValue }));
+    if (attribute.type === 'bool') {
+      return <Form.Check type="switch" id={`${sdr.id}-${key}`} label={LABELS[key]} checked={Boolean(value)} onChange={(e) => update(e.target.checked)} disabled={disabled} />;
+    }
+    const label = <Form.Label className="small mb-0">{LABELS[key]}{attribute.unit && ` (${unitOf(attribute)})`}</Form.Label>;
+    if (attribute.type === 'enum') {
+      return (
+          <>
+            {label}
+            <Form.Select size="sm" value={value ?? ''} onChange={(e) => update(e.target.value)} disabled={disabled}>
+              {(attribute.available?.values || []).map(option => <option key={option} value={option}>{option}</option>)}
+            </Form.Select>
+          </>
+      );
+    }
+    const scale = scaleOf(attribute);
+    const { min, max, step } = attribute.available || {};
+    const outOfRange = pending[key] !== undefined && min !== undefined && (pending[key] * scale < min || pending[key] * scale > max);
+    return (
+        <>
+          {label}
+          <Form.Control
+              size="sm"
+              type="number"
+              value={value ?? ''}
+              min={min !== undefined ? min / scale : undefined}
+              max={max !== undefined ? max / scale : undefined}
+              step={step !== undefined ? step / scale : 'any'}
+              onChange={(e) => update(parseFloat(e.target.value))}
+              disabled={disabled}
+              isInvalid={outOfRange}
+          />
+          {min !== undefined && (
+              <Form.Control.Feedback type="invalid">
+                {min / scale} to {max / scale} {unitOf(attribute)}
+              </Form.Control.Feedback>
+          )}
+        </>
+    );
+  };
+
+  return (
+      <div className="mb-2">
+        <Button variant="link" size="sm" className="p-0" onClick={handleToggle}>
+          {open ? 'Hide advanced' : 'Advanced...'}
+        </Button>
+        {open && attributes && (
+            <div className="border rounded p-2 mt-1">
+              {Object.entries(attributes).map(([key, attribute]) => (
+                  <Form.Group key={key} className="mb-1">
+                    {renderControl(key, attribute)}
+                  </Form.Group>
+              ))}
+              {Object.keys(pending).length > 0 && (
+                  <Button variant="success" size="sm" className="mt-1" onClick={handleApply} disabled={disabled || applying}>
+                    {applying ? 'Applying...' : 'Apply Advanced'}
+                  </Button>
+              )}
+            </div>
+        )}
+      </div>
+  );
+}
+
+export default AdvancedSettings;
@@ -15,34 +15,137 @@
 // Added Restart USB button (global, cycles all ports on hub 1-1).
 // Buttons become inactive (disabled) during background processes (init, reconnect, apply, usb restart).
 // Updated: Restart USB is now per SDR, using new /api/sdrs/:id/restart_usb endpoint. Added per-SDR loading state for USB restart.
+// Shows the antenna and its band (from boards.json) on each card and warns when the pending frequency is outside it.
+// Shows server-side sweep/hop progress (sweepProgress/sweepStopped socket events) on each card.
+// Mission list and calendar (MissionPanel) below the SDR cards.
+// Apply sends one atomic /apply request; cards can be saved as named presets and presets picked into a card.
+// Login screen and bearer-token auth (REST header + socket handshake); controls follow the role:
+// viewer reads only, operator changes settings/TX, admin also reconnects and power-cycles USB.
+// Live audit feed with export (AuditFeed) for operators and admins.
+// Health status from the server monitor (ok/degraded/reconnecting/disconnected) and setting drift per card.
+// E-STOP button (any logged-in user) drops TX on every board and opens all relays; cards show the TX watchdog deadline.
+// Startup restore outcome per card (policy, failures, persisted vs hardware mismatches).
+// Relay panel (RelayPanel) with live states; admins can switch to manual override for maintenance.
+// "Advanced" section per card (AdvancedSettings): bandwidths, RX LO, second channel, FIR enables.
+// Group controls (GroupPanel) for operators: init, frequency and mode on several SDRs at once.
+// Band plan (BandPlan) above the cards: live spans per SDR against the antenna bands; server conflict warnings as notices.
+// File mode loops an uploaded IQ waveform, picked per card; uploads and deletes in the waveform library (WaveformLibrary).
+// Live RX spectrum and waterfall per card (Spectrum), marking the TX frequency and the antenna band.
+// Whole-configuration export and import with a dry-run diff for admins (ConfigTransfer).
+// Firmware and bitstream build IDs per card (TX blocked on a mismatch); images and updates for admins (FirmwarePanel).
+// "Diagnose" per card (Diagnostics): the server's fixed check catalogue, results and report downloads.
 
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Button, Form, Alert } from 'react-bootstrap';
+import { Container, Row, Col, Card, Button, Form, Alert, Badge } from 'react-bootstrap';
 import axios from 'axios';
 import io from 'socket.io-client';
+import MissionPanel from './MissionPanel';
+import Login from './Login';
+import AuditFeed from './AuditFeed';
+import RelayPanel from './RelayPanel';
+import AdvancedSettings from './AdvancedSettings';
+import GroupPanel from './GroupPanel';
+import BandPlan from './BandPlan';
+import WaveformLibrary from './WaveformLibrary';
+import ConfigTransfer from './ConfigTransfer';
+import FirmwarePanel from './FirmwarePanel';
+import Spectrum from './Spectrum';
+import Diagnostics from './Diagnostics';
 
 const API_BASE_URL = '/api'; // Adjust if needed
 const SOCKET_URL = ''; // Adjust if needed
 // const API_BASE_URL = 'http://localhost:3000/api'; // Adjust if needed
 // const SOCKET_URL = 'http://localhost:3000'; // Adjust if needed
+const AUTH_STORAGE_KEY = 'sdrAuth';
+const HEALTH_VARIANTS = { ok: 'success', degraded: 'warning', reconnecting: 'info', disconnected: 'danger', maintenance: 'dark', unknown: 'secondary' };
+const ROLES = ['viewer', 'operator', 'admin'];
+const RESTORE_POLICIES = { safe: 'safe, TX off', settings: 'settings restored, TX off', full: 'full restore' };
+const FIXED_RATE_MODES = ['ntsc', 'file']; // Modes that set their own sampling rate
+
+const loadStoredAuth = () => {
+  try {
+    return JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const applyAuthHeader = (auth) => {
+  if (auth) axios.defaults.headers.common['Authorization'] = `Bearer ${auth.token}`;
+  else delete axios.defaults.headers.common['Authorization'];
+};
+
+applyAuthHeader(loadStoredAuth());
 
 function App() {
+  const [auth, setAuth] = useState(loadStoredAuth); // { token, user: { username, role } }
   const [sdrs, setSdrs] = useState([]);
   const [localSettings, setLocalSettings] = useState({}); // Local pending changes per SDR id
   const [isLoading, setIsLoading] = useState({}); // Per SDR loading state for init/reconnect/apply/usb_restart
   const [socket, setSocket] = useState(null);
   const [error, setError] = useState(null);
+  const [sweeps, setSweeps] = useState({}); // Latest sweep progress per SDR id
+  const [presets, setPresets] = useState([]);
+  const [waveforms, setWaveforms] = useState([]);
+  const [notice, setNotice] = useState(null); // Safety notices (watchdog timeouts, emergency stops)
+  const [stopping, setStopping] = useState(false);
+
+  const handleLogin = (data) => {
+    localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(data));
+    applyAuthHeader(data);
+    setAuth(data);
+  };
+
+  const handleLogout = async () => {
+    try {
+      await axios.post(`${API_BASE_URL}/auth/logout`);
+    } catch {
+      // Session may already be gone
+    }
+    clearAuth();
+  };
+
+  const clearAuth = () => {
+    localStorage.removeItem(AUTH_STORAGE_KEY);
+    applyAuthHeader(null);
+    setAuth(null);
+    setSdrs([]);
+  };
 
-  // Fetch SDR list on mount
+  // Expired or revoked session: back to the login screen
   useEffect(() => {
-    fetchSdrs();
+    const interceptor = axios.interceptors.response.use(
+        response => response,
+        err => {
+          if (err.response?.status === 401 && !err.config.url.endsWith('/auth/login')) clearAuth();
+          return Promise.reject(err);
+        }
+    );
+    return () => axios.interceptors.response.eject(interceptor);
   }, []);
 
-  // Setup Socket.io (run only once on mount)
+  const hasRole = (role) => Boolean(auth) && ROLES.indexOf(auth.user.role) >= ROLES.indexOf(role);
+  const canOperate = hasRole('operator');
+  const isAdmin = hasRole('admin');
+
+  // Fetch SDR list once logged in
+  useEffect(() => {
+    if (!auth) return;
+    fetchSdrs();
+    fetchPresets();
+    fetchWaveforms();
+  }, [auth]);
+
+  // Setup Socket.io (once per login session)
   useEffect(() => {
-    const newSocket = io(SOCKET_URL);
+    if (!auth) return;
+    const newSocket = io(SOCKET_URL, { auth: { token: auth.token } });
     setSocket(newSocket);
 
+    newSocket.on('connect_error', (err) => {
+      if (err.message === 'Authentication required') clearAuth();
+    });
+
     newSocket.on('initialStates', (states) => {
       updateSdrsWithStates(states);
     });
@@ -51,8 +154,36 @@ function App() {
       updateSdrState(id, state);
     });
 
+    newSocket.on('sweepProgress', (progress) => {
+      setSweeps(prev => ({ ...prev, [progress.id]: progress }));
+    });
+
+    newSocket.on('sweepStopped', ({ id }) => {
+      setSweeps(prev => {
+        const { [id]: _, ...rest } = prev;
+        return rest;
+      });
+    });
+
+    // Boards added or retired on the server
+    newSocket.on('boardsChanged', () => {
+      fetchSdrs();
+    });
+
+    newSocket.on('txTimeout', ({ id }) => {
+      setNotice(`TX watchdog switched ${id.toUpperCase()} off (maximum TX duration reached)`);
+    });
+
+    newSocket.on('frequencyConflict', ({ message, refused }) => {
+      setNotice(`${refused ? 'Refused' : 'Warning'}: ${message}`);
+    });
+
+    newSocket.on('emergencyStop', (results) => {
+      setNotice(results.success ? 'EMERGENCY STOP: all TX off, all relays open' : 'EMERGENCY STOP incomplete: ' + describeStopFailures(results));
+    });
+
     return () => newSocket.disconnect();
-  }, []); // Empty dependency array: Runs only once
+  }, [auth]);
 
   // Reset local settings when sdrs update (store freq/sampling_freq in MHz)
   useEffect(() => {
@@ -63,7 +194,8 @@ function App() {
         gain: sdr.state?.gain ?? 0,
         freq: sdr.state?.freq ? sdr.state.freq / 1000000 : null,
         sampling_freq: sdr.state?.sampling_freq ? sdr.state.sampling_freq / 1000000 : null,
-        mode: getCurrentMode(sdr.state?.modes)
+        mode: getCurrentMode(sdr.state?.modes),
+        waveform: sdr.state?.waveform ?? ''
       };
       newLoading[sdr.id] = { init: false, reconnect: false, apply: false, usb_restart: false };
     });
@@ -74,7 +206,7 @@ function App() {
   const fetchSdrs = async () => {
     try {
       const response = await axios.get(`${API_BASE_URL}/sdrs`);
-      setSdrs(response.data);
+      setSdrs(response.data.map(({ id, ...state }) => ({ id, state })));
       setError(null);
     } catch (err) {
       setError('Failed to fetch SDRs: ' + err.message);
@@ -83,10 +215,12 @@ function App() {
 
   const updateSdrsWithStates = (states) => {
     setSdrs(prevSdrs =>
-        prevSdrs.map(sdr => ({
-          ...sdr,
-          state: states[sdr.id] || sdr.state
-        }))
+        prevSdrs.map(sdr => {
+          const found = states.find(s => s.id === sdr.id);
+          if (!found) return sdr;
+          const { id, ...state } = found;
+          return { ...sdr, state };
+        })
     );
   };
 
@@ -109,6 +243,8 @@ function App() {
     return Object.values(isLoading[id] || {}).some(v => v);
   };
 
+  const isEditable = (sdr) => canOperate && !isAnyLoading(sdr.id) && Boolean(sdr.state?.initialized);
+
   const handleInit = async (id) => {
     setSdrLoading(id, 'init', true);
     try {
@@ -155,12 +291,41 @@ function App() {
     }
   };
 
+  const describeStopFailures = (results) => {
+    const failures = Object.entries(results.sdrs).filter(([, result]) => !result.success).map(([id, result]) => `${id}: ${result.error}`);
+    if (!results.relays.success) failures.push(`relays: ${results.relays.error}`);
+    return failures.join(', ');
+  };
+
+  // No confirmation on purpose: stopping must take one click
+  const handleEmergencyStop = async () => {
+    setStopping(true);
+    try {
+      await axios.post(`${API_BASE_URL}/emergency_stop`);
+      setError(null);
+    } catch (err) {
+      setError('EMERGENCY STOP failed: ' + (err.response?.data ? describeStopFailures(err.response.data) : err.message));
+    } finally {
+      setStopping(false);
+    }
+  };
+
+  const describeMismatches = (mismatches) => (
+      Object.entries(mismatches).map(([key, { expected, actual }]) => `${key} ${actual} (saved ${expected})`).join(', ')
+  );
+
   const getCurrentMode = (modes) => {
     if (!modes) return 'none';
     const activeMode = Object.keys(modes).find(key => modes[key]);
     return activeMode || 'none';
   };
 
+  // Antenna band is in MHz, same unit as the local freq setting
+  const isOutOfBand = (antenna, freqMHz) => {
+    if (!antenna || freqMHz === null || isNaN(freqMHz)) return false;
+    return freqMHz < antenna.freq_start || freqMHz > antenna.freq_stop;
+  };
+
   const updateLocalSetting = (id, key, value) => {
     setLocalSettings(prev => ({
       ...prev,
@@ -177,45 +342,120 @@ function App() {
         local.gain !== state.gain ||
         (local.freq !== null && local.freq * 1000000 !== state.freq) ||
         (local.sampling_freq !== null && local.sampling_freq * 1000000 !== state.sampling_freq) ||
-        local.mode !== getCurrentMode(state.modes)
+        local.mode !== getCurrentMode(state.modes) ||
+        (local.mode === 'file' && local.waveform !== (state.waveform ?? ''))
     );
   };
 
+  // Send only the changed values; the server applies them in order and rolls back on failure
+  const getPendingSettings = (id) => {
+    const state = sdrs.find(sdr => sdr.id === id).state;
+    const local = localSettings[id];
+    const settings = {};
+    if (local.gain !== state.gain) settings.gain = local.gain;
+    if (local.freq !== null && local.freq * 1000000 !== state.freq) settings.freq = local.freq * 1000000;
+    if (!FIXED_RATE_MODES.includes(local.mode) && local.sampling_freq !== null && local.sampling_freq * 1000000 !== state.sampling_freq) {
+      settings.sampling_freq = local.sampling_freq * 1000000;
+    }
+    if (local.mode !== getCurrentMode(state.modes)) settings.mode = local.mode;
+    if (local.mode === 'file' && local.waveform !== (state.waveform ?? '')) {
+      settings.mode = 'file';
+      settings.waveform = local.waveform;
+    }
+    return settings;
+  };
+
   const handleApply = async (id) => {
     setSdrLoading(id, 'apply', true);
     try {
-      const local = localSettings[id];
-
-      if (local.gain !== sdrs.find(sdr => sdr.id === id).state.gain) {
-        await axios.post(`${API_BASE_URL}/sdrs/${id}/gain`, { value: local.gain });
-      }
+      await axios.post(`${API_BASE_URL}/sdrs/${id}/apply`, getPendingSettings(id));
+      setError(null);
+    } catch (err) {
+      setError('Apply failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSdrLoading(id, 'apply', false);
+    }
+  };
 
-      if (local.freq !== null && local.freq * 1000000 !== sdrs.find(sdr => sdr.id === id).state.freq) {
-        await axios.post(`${API_BASE_URL}/sdrs/${id}/freq`, { value: local.freq * 1000000 });
-      }
+  const fetchWaveforms = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/waveforms`);
+      setWaveforms(response.data);
+    } catch (err) {
+      setError('Failed to fetch waveforms: ' + err.message);
+    }
+  };
 
-      if (local.mode !== getCurrentMode(sdrs.find(sdr => sdr.id === id).state.modes)) {
-        await axios.post(`${API_BASE_URL}/sdrs/${id}/set_mode`, { mode: local.mode });
-      }
+  const describeMode = (state) => {
+    const mode = getCurrentMode(state?.modes);
+    if (mode !== 'file') return mode.toUpperCase();
+    const waveform = waveforms.find(w => w.id === state.waveform);
+    return `FILE (${waveform ? waveform.name : state.waveform})`;
+  };
 
-      if (local.mode !== 'ntsc' && local.sampling_freq !== null && local.sampling_freq * 1000000 !== sdrs.find(sdr => sdr.id === id).state.sampling_freq) {
-        await axios.post(`${API_BASE_URL}/sdrs/${id}/sampling_freq`, { value: local.sampling_freq * 1000000 });
-      }
+  const fetchPresets = async () => {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/presets`);
+      setPresets(response.data);
+    } catch (err) {
+      setError('Failed to fetch presets: ' + err.message);
+    }
+  };
 
+  // Save the card's pending settings (not the applied ones) under a name
+  const handleSavePreset = async (id) => {
+    const name = window.prompt('Preset name');
+    if (!name) return;
+    const local = localSettings[id];
+    const preset = { gain: local.gain, gen_mode: 'manual', mode: local.mode };
+    if (local.freq !== null) preset.freq = local.freq * 1000000;
+    if (!FIXED_RATE_MODES.includes(local.mode) && local.sampling_freq !== null) preset.sampling_freq = local.sampling_freq * 1000000;
+    if (local.mode === 'file') preset.waveform = local.waveform;
+    try {
+      await axios.put(`${API_BASE_URL}/presets/${encodeURIComponent(name)}`, preset);
+      await fetchPresets();
       setError(null);
     } catch (err) {
-      setError('Apply failed: ' + err.message);
-    } finally {
-      setSdrLoading(id, 'apply', false);
+      setError('Save preset failed: ' + (err.response?.data?.error || err.message));
     }
   };
 
+  // Load a preset into the card's pending settings; Apply sends it
+  const handlePickPreset = (id, name) => {
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    setLocalSettings(prev => ({
+      ...prev,
+      [id]: {
+        ...prev[id],
+        ...(preset.gain !== undefined && { gain: preset.gain }),
+        ...(preset.freq !== undefined && { freq: preset.freq / 1000000 }),
+        ...(preset.sampling_freq !== undefined && { sampling_freq: preset.sampling_freq / 1000000 }),
+        ...(preset.mode !== undefined && { mode: preset.mode }),
+        ...(preset.waveform && { waveform: preset.waveform })
+      }
+    }));
+  };
+
+  if (!auth) return <Login apiBaseUrl={API_BASE_URL} onLogin={handleLogin} />;
+
   return (
       <Container className="mt-4">
+        <div className="d-flex justify-content-end align-items-center mb-2">
+          <Button variant="danger" size="lg" className="me-auto px-5 fw-bold" onClick={handleEmergencyStop} disabled={stopping}>
+            {stopping ? 'STOPPING...' : 'E-STOP'}
+          </Button>
+          <span className="me-2">{auth.user.username} ({auth.user.role})</span>
+          <Button variant="outline-secondary" size="sm" onClick={handleLogout}>Log out</Button>
+        </div>
         {error && <Alert variant="danger">{error}</Alert>}
-        <Button variant="danger" onClick={handleRestartAllUsb} className="mb-4">
-          Restart All USB (Power Cycle SDRs)
-        </Button>
+        {notice && <Alert variant="warning" dismissible onClose={() => setNotice(null)}>{notice}</Alert>}
+        {isAdmin && (
+            <Button variant="danger" onClick={handleRestartAllUsb} className="mb-4">
+              Restart All USB (Power Cycle SDRs)
+            </Button>
+        )}
+        <BandPlan apiBaseUrl={API_BASE_URL} sdrs={sdrs} onError={setError} />
         <Row>
           {sdrs.map(sdr => (
               <Col md={3} key={sdr.id} className="mb-4">
@@ -223,18 +463,56 @@ function App() {
                   <Card.Header>{sdr.id.toUpperCase()}</Card.Header>
                   <Card.Body>
                     <p>Initialized: {sdr.state?.initialized ? 'Yes' : 'No'}</p>
-                    <p>Connected: {sdr.state?.connected ? 'Yes' : 'No'}</p>
+                    <p>Connected: {sdr.state?.connected ? 'Yes' : 'No'}{' '}
+                      <Badge bg={HEALTH_VARIANTS[sdr.state?.health?.status] || 'secondary'} title={sdr.state?.health?.last_error || ''}>
+                        {sdr.state?.health?.status || 'unknown'}
+                      </Badge>
+                    </p>
+                    {sdr.state?.health?.status === 'reconnecting' && sdr.state.health.next_retry && (
+                        <p className="small text-muted">Retry at {new Date(sdr.state.health.next_retry).toLocaleTimeString()} (attempt {sdr.state.health.reconnect_attempts + 1})</p>
+                    )}
+                    {sdr.state?.health?.drift && (
+                        <Alert variant="warning" className="p-1 small">
+                          Drift: {Object.entries(sdr.state.health.drift).map(([key, { expected, actual }]) => `${key} ${actual} (expected ${expected})`).join(', ')}
+                        </Alert>
+                    )}
+                    {sdr.state?.restore && sdr.state.restore.status !== 'no_state' && (
+                        <Alert variant={sdr.state.restore.status === 'failed' || sdr.state.restore.mismatches ? 'warning' : 'light'} className="p-1 small">
+                          Startup restore ({RESTORE_POLICIES[sdr.state.restore.policy]}): {sdr.state.restore.status}
+                          {sdr.state.restore.error && ` - ${sdr.state.restore.error}`}
+                          {sdr.state.restore.mismatches && <div>Hardware differed: {describeMismatches(sdr.state.restore.mismatches)}</div>}
+                          {sdr.state.restore.after && <div>Still differs: {describeMismatches(sdr.state.restore.after)}</div>}
+                        </Alert>
+                    )}
+                    {sdr.state?.firmware?.fw_version && (
+                        <p className="small">
+                          Firmware {sdr.state.firmware.fw_version}, bitstream {sdr.state.firmware.build_id || 'unknown'}{' '}
+                          {!sdr.state.firmware.tx_allowed && (
+                              <Badge bg="danger" title={`Expected bitstream ${sdr.state.firmware.expected_build_id}`}>TX blocked</Badge>
+                          )}
+                        </p>
+                    )}
+                    {sdr.state?.firmware?.update?.status === 'running' && (
+                        <p className="small text-muted">Firmware update to {sdr.state.firmware.update.name} in progress</p>
+                    )}
+                    <p>Antenna: {sdr.state?.antenna ? `${sdr.state.antenna.name} (${sdr.state.antenna.freq_start}-${sdr.state.antenna.freq_stop} MHz)` : 'N/A'}</p>
                     <p>Gain: {sdr.state?.gain}</p>
                     <p>Frequency: {sdr.state?.freq ? sdr.state.freq / 1000000 : 'N/A'} MHz</p>
                     <p>Sampling Frequency: {sdr.state?.sampling_freq ? sdr.state.sampling_freq / 1000000 : 'N/A'} MHz</p>
-                    <p>Mode: {getCurrentMode(sdr.state?.modes).toUpperCase()}</p>
+                    <p>Mode: {describeMode(sdr.state)}</p>
                     <p>TX On: {sdr.state?.tx_on ? 'Yes' : 'No'}</p>
+                    {sdr.state?.tx_safety?.tx_off_at && (
+                        <p className="small text-muted">Watchdog: TX off at {new Date(sdr.state.tx_safety.tx_off_at).toLocaleTimeString()}</p>
+                    )}
+                    {sweeps[sdr.id] && (
+                        <p>Sweep: {sweeps[sdr.id].freq / 1000000} MHz (step {sweeps[sdr.id].index + 1}/{sweeps[sdr.id].total})</p>
+                    )}
 
                     {!sdr.state?.initialized ? (
-                        <Button variant="primary" onClick={() => handleInit(sdr.id)} className="mb-2" disabled={isAnyLoading(sdr.id)}>
+                        <Button variant="primary" onClick={() => handleInit(sdr.id)} className="mb-2" disabled={!canOperate || isAnyLoading(sdr.id)}>
                           {isLoading[sdr.id]?.init ? 'Initializing...' : 'Initialize'}
                         </Button>
-                    ) : (
+                    ) : isAdmin && (
                         <>
                           <Button variant="secondary" onClick={() => handleReconnect(sdr.id)} className="mb-2 mr-2" disabled={isAnyLoading(sdr.id)}>
                             {isLoading[sdr.id]?.reconnect ? 'Reconnecting...' : 'Reconnect'}
@@ -251,7 +529,7 @@ function App() {
                           type="number"
                           value={localSettings[sdr.id]?.gain ?? 0}
                           onChange={(e) => updateLocalSetting(sdr.id, 'gain', parseInt(e.target.value))}
-                          disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                          disabled={!isEditable(sdr)}
                       />
                     </Form.Group>
 
@@ -261,18 +539,22 @@ function App() {
                           type="number"
                           value={localSettings[sdr.id]?.freq ?? ''}
                           onChange={(e) => updateLocalSetting(sdr.id, 'freq', parseFloat(e.target.value))}
-                          disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                          disabled={!isEditable(sdr)}
+                          isInvalid={isOutOfBand(sdr.state?.antenna, localSettings[sdr.id]?.freq ?? null)}
                       />
+                      <Form.Control.Feedback type="invalid">
+                        Outside antenna band
+                      </Form.Control.Feedback>
                     </Form.Group>
 
-                    {localSettings[sdr.id]?.mode !== 'ntsc' && (
+                    {!FIXED_RATE_MODES.includes(localSettings[sdr.id]?.mode) && (
                         <Form.Group className="mb-2">
                           <Form.Label>Set Sampling Frequency (MHz)</Form.Label>
                           <Form.Control
                               type="number"
                               value={localSettings[sdr.id]?.sampling_freq ?? ''}
                               onChange={(e) => updateLocalSetting(sdr.id, 'sampling_freq', parseFloat(e.target.value))}
-                              disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                              disabled={!isEditable(sdr)}
                           />
                         </Form.Group>
                     )}
@@ -284,47 +566,99 @@ function App() {
                           label="None"
                           checked={localSettings[sdr.id]?.mode === 'none'}
                           onChange={() => updateLocalSetting(sdr.id, 'mode', 'none')}
-                          disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                          disabled={!isEditable(sdr)}
                       />
                       <Form.Check
                           type="radio"
                           label="White Noise"
                           checked={localSettings[sdr.id]?.mode === 'wn'}
                           onChange={() => updateLocalSetting(sdr.id, 'mode', 'wn')}
-                          disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                          disabled={!isEditable(sdr)}
                       />
                       <Form.Check
                           type="radio"
                           label="FSK"
                           checked={localSettings[sdr.id]?.mode === 'fsk'}
                           onChange={() => updateLocalSetting(sdr.id, 'mode', 'fsk')}
-                          disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                          disabled={!isEditable(sdr)}
                       />
                       <Form.Check
                           type="radio"
                           label="BPSK"
                           checked={localSettings[sdr.id]?.mode === 'bpsk'}
                           onChange={() => updateLocalSetting(sdr.id, 'mode', 'bpsk')}
-                          disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                          disabled={!isEditable(sdr)}
                       />
                       <Form.Check
                           type="radio"
                           label="QPSK"
                           checked={localSettings[sdr.id]?.mode === 'qpsk'}
                           onChange={() => updateLocalSetting(sdr.id, 'mode', 'qpsk')}
-                          disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                          disabled={!isEditable(sdr)}
                       />
                       <Form.Check
                           type="radio"
                           label="NTSC"
                           checked={localSettings[sdr.id]?.mode === 'ntsc'}
                           onChange={() => updateLocalSetting(sdr.id, 'mode', 'ntsc')}
-                          disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}
+                          disabled={!isEditable(sdr)}
                       />
+                      <Form.Check
+                          type="radio"
+                          label="File (uploaded waveform)"
+                          checked={localSettings[sdr.id]?.mode === 'file'}
+                          onChange={() => updateLocalSetting(sdr.id, 'mode', 'file')}
+                          disabled={!isEditable(sdr) || waveforms.length === 0}
+                      />
+                      {localSettings[sdr.id]?.mode === 'file' && (
+                          <Form.Select
+                              size="sm"
+                              value={localSettings[sdr.id]?.waveform ?? ''}
+                              onChange={(e) => updateLocalSetting(sdr.id, 'waveform', e.target.value)}
+                              disabled={!isEditable(sdr)}
+                              isInvalid={!localSettings[sdr.id]?.waveform}
+                          >
+                            <option value="">Pick a waveform...</option>
+                            {waveforms.map(waveform => (
+                                <option key={waveform.id} value={waveform.id}>
+                                  {waveform.name} ({waveform.sample_rate / 1000000} MHz, {waveform.duration_ms} ms)
+                                </option>
+                            ))}
+                          </Form.Select>
+                      )}
                     </Form.Group>
 
+                    <Spectrum socket={socket} sdr={sdr} onError={setError} />
+
+                    <Diagnostics apiBaseUrl={API_BASE_URL} sdr={sdr} canRun={canOperate} onError={setError} />
+
+                    {sdr.state?.initialized && (
+                        <AdvancedSettings apiBaseUrl={API_BASE_URL} sdr={sdr} onError={setError} disabled={!isEditable(sdr)} />
+                    )}
+
+                    <Form.Group className="mb-2">
+                      <Form.Label>Preset</Form.Label>
+                      <Form.Select
+                          value=""
+                          onChange={(e) => handlePickPreset(sdr.id, e.target.value)}
+                          disabled={!isEditable(sdr)}
+                      >
+                        <option value="">Load preset...</option>
+                        {presets.map(preset => <option key={preset.name} value={preset.name}>{preset.name}</option>)}
+                      </Form.Select>
+                    </Form.Group>
+
+                    <Button variant="outline-secondary" size="sm" onClick={() => handleSavePreset(sdr.id)} className="mb-2" disabled={!isEditable(sdr)}>
+                      Save as Preset
+                    </Button>
+
                     {hasChanges(sdr.id) && (
-                        <Button variant="success" onClick={() => handleApply(sdr.id)} className="mb-2" disabled={isAnyLoading(sdr.id) || !sdr.state?.initialized}>
+                        <Button
+                            variant="success"
+                            onClick={() => handleApply(sdr.id)}
+                            className="mb-2"
+                            disabled={!isEditable(sdr) || (localSettings[sdr.id]?.mode === 'file' && !localSettings[sdr.id]?.waveform)}
+                        >
                           {isLoading[sdr.id]?.apply ? 'Applying...' : 'Apply Changes'}
                         </Button>
                     )}
@@ -333,6 +667,20 @@ function App() {
               </Col>
           ))}
         </Row>
+        {canOperate && <GroupPanel apiBaseUrl={API_BASE_URL} sdrs={sdrs} onError={setError} />}
+        <WaveformLibrary apiBaseUrl={API_BASE_URL} waveforms={waveforms} onChanged={fetchWaveforms} onError={setError} canEdit={canOperate} />
+        <RelayPanel apiBaseUrl={API_BASE_URL} socket={socket} onError={setError} canOverride={isAdmin} />
+        {isAdmin && <FirmwarePanel apiBaseUrl={API_BASE_URL} socket={socket} sdrs={sdrs} onError={setError} />}
+        {isAdmin && (
+            <ConfigTransfer
+                apiBaseUrl={API_BASE_URL}
+                onError={setError}
+                onNotice={setNotice}
+                onImported={() => { fetchSdrs(); fetchPresets(); }}
+            />
+        )}
+        <MissionPanel apiBaseUrl={API_BASE_URL} socket={socket} sdrs={sdrs} onError={setError} canEdit={canOperate} />
+        {canOperate && <AuditFeed apiBaseUrl={API_BASE_URL} socket={socket} onError={setError} />}
       </Container>
   );
 }
@@ -0,0 +1,91 @@
+// src/AuditFeed.js - Live audit trail (auditEvent socket events) with JSON/CSV export of /api/audit.
+
+import React, { useState, useEffect } from 'react';
+import { Card, Button, Table, Badge, Form, Row, Col } from 'react-bootstrap';
+import axios from 'axios';
+
+const FEED_SIZE = 50;
+
+const describeParams = (entry) => {
+  if (!entry.params) return '';
+  return Object.entries(entry.params).map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`).join(' ');
+};
+
+function AuditFeed({ apiBaseUrl, socket, onError }) {
+  const [entries, setEntries] = useState([]);
+  const [filters, setFilters] = useState({ from: '', to: '', sdr: '', action: '' });
+
+  useEffect(() => {
+    axios.get(`${apiBaseUrl}/audit`, { params: { limit: FEED_SIZE } })
+        .then(response => setEntries(response.data.reverse()))
+        .catch(err => onError('Failed to fetch audit trail: ' + err.message));
+  }, [apiBaseUrl, onError]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const handleEvent = (entry) => setEntries(prev => [entry, ...prev].slice(0, FEED_SIZE));
+    socket.on('auditEvent', handleEvent);
+    return () => socket.off('auditEvent', handleEvent);
+  }, [socket]);
+
+  // Download through axios so the auth header goes along
+  const handleExport = async (format) => {
+    const params = { format, limit: 0 };
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params[key] = key === 'from' || key === 'to' ? new Date(value).toISOString() : value;
+    });
+    try {
+      const response = await axios.get(`${apiBaseUrl}/audit`, { params, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      onError('Audit export failed: ' + err.message);
+    }
+  };
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  return (
+      <Card className="mb-4">
+        <Card.Header>Audit Trail</Card.Header>
+        <Card.Body>
+          <Row className="mb-2">
+            <Col md={3}><Form.Control size="sm" type="datetime-local" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} /></Col>
+            <Col md={3}><Form.Control size="sm" type="datetime-local" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} /></Col>
+            <Col md={2}><Form.Control size="sm" placeholder="SDR id" value={filters.sdr} onChange={(e) => updateFilter('sdr', e.target.value)} /></Col>
+            <Col md={2}><Form.Control size="sm" placeholder="Actions (a,b)" value={filters.action} onChange={(e) => updateFilter('action', e.target.value)} /></Col>
+            <Col md={2}>
+              <Button size="sm" variant="outline-primary" className="me-1" onClick={() => handleExport('csv')}>CSV</Button>
+              <Button size="sm" variant="outline-primary" onClick={() => handleExport('json')}>JSON</Button>
+            </Col>
+          </Row>
+          <Table size="sm" responsive style={{ fontSize: '0.85em' }}>
+            <thead>
+            <tr><th>Time</th><th>User</th><th>Source</th><th>SDR</th><th>Action</th><th>Params</th><th>Result</th></tr>
+            </thead>
+            <tbody>
+            {entries.map((entry, i) => (
+                <tr key={`${entry.ts}-${i}`}>
+                  <td>{new Date(entry.ts).toLocaleTimeString()}</td>
+                  <td>{entry.user}{entry.ip ? ` (${entry.ip})` : ''}</td>
+                  <td>{entry.source}</td>
+                  <td>{entry.sdr || '-'}</td>
+                  <td>{entry.action}</td>
+                  <td>{describeParams(entry)}</td>
+                  <td>
+                    <Badge bg={entry.result === 'success' ? 'success' : 'danger'} title={entry.error || ''}>{entry.result}</Badge>
+                  </td>
+                </tr>
+            ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+  );
+}
+
+export default AuditFeed;
@@ -0,0 +1,140 @@
+// src/BandPlan.js - Band plan: each SDR's occupied span (freq ± sampling_freq / 2) drawn against the
+// antenna bands from boards.json, highlighting overlapping boards and spans that leave their antenna.
+// Spans follow the live SDR states (sdrUpdate); antennas and the server conflict policy come from /api/bandplan.
+
+import React, { useState, useEffect } from 'react';
+import { Card, Badge } from 'react-bootstrap';
+import axios from 'axios';
+
+const WIDTH = 1000;
+const LABEL_WIDTH = 110;
+const ROW_HEIGHT = 22;
+const AXIS_HEIGHT = 24;
+const TICKS = 6;
+const COLORS = { band: '#e9ecef', idle: '#adb5bd', tx: '#0d6efd', overlap: '#ffc107', conflict: '#dc3545', outOfBand: '#fd7e14' };
+const POLICY_VARIANTS = { off: 'secondary', warn: 'warning', refuse: 'danger' };
+
+// Spans in MHz with what is wrong with them: overlaps (any configured board) and conflicts (both transmitting)
+const computeSpans = (sdrs, guardMhz) => {
+  const spans = sdrs
+      .filter(sdr => sdr.state?.initialized && sdr.state.freq && sdr.state.sampling_freq)
+      .map(({ id, state }) => {
+        const low = (state.freq - state.sampling_freq / 2) / 1000000;
+        const high = (state.freq + state.sampling_freq / 2) / 1000000;
+        const { antenna } = state;
+        return { id, low, high, lo: state.freq / 1000000, tx: state.tx_on, antenna, outOfBand: Boolean(antenna) && (low < antenna.freq_start || high > antenna.freq_stop) };
+      });
+  spans.forEach(span => {
+    const overlapping = spans.filter(other => other !== span && span.low < other.high + guardMhz && other.low < span.high + guardMhz);
+    span.overlaps = overlapping.map(other => other.id);
+    span.conflicts = span.tx ? overlapping.filter(other => other.tx).map(other => other.id) : [];
+  });
+  return spans;
+};
+
+const spanColor = (span) => {
+  if (span.conflicts.length > 0) return COLORS.conflict;
+  if (span.overlaps.length > 0) return COLORS.overlap;
+  return span.tx ? COLORS.tx : COLORS.idle;
+};
+
+const formatMhz = (mhz) => +mhz.toFixed(3);
+
+function BandPlan({ apiBaseUrl, sdrs, onError }) {
+  const [plan, setPlan] = useState({ policy: null, guard_hz: 0, antennas: [] });
+
+  // Antennas change with the inventory, which also changes the SDR list
+  useEffect(() => {
+    axios.get(`${apiBaseUrl}/bandplan`)
+        .then(response => setPlan(response.data))
+        .catch(err => onError('Failed to fetch band plan: ' + err.message));
+  }, [apiBaseUrl, onError, sdrs.length]);
+
+  const spans = computeSpans(sdrs, plan.guard_hz / 1000000);
+  const edges = [
+    ...plan.antennas.flatMap(antenna => [antenna.freq_start, antenna.freq_stop]),
+    ...spans.flatMap(span => [span.low, span.high])
+  ];
+  if (edges.length === 0) return null;
+
+  const padding = (Math.max(...edges) - Math.min(...edges)) * 0.02 || 1;
+  const min = Math.min(...edges) - padding;
+  const max = Math.max(...edges) + padding;
+  const x = (mhz) => LABEL_WIDTH + ((mhz - min) / (max - min)) * (WIDTH - LABEL_WIDTH - 10);
+  const rows = plan.antennas.length + spans.length;
+  const height = AXIS_HEIGHT + rows * ROW_HEIGHT + 4;
+  const rowY = (index) => AXIS_HEIGHT + index * ROW_HEIGHT;
+
+  // Each pair once
+  const conflictPairs = spans.flatMap(span => span.conflicts.filter(other => span.id < other).map(other => [span.id, other]));
+  const overlapPairs = spans.flatMap(span => span.overlaps.filter(other => span.id < other && !span.conflicts.includes(other)).map(other => [span.id, other]));
+  const outOfBand = spans.filter(span => span.outOfBand);
+
+  return (
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <span>Band Plan</span>
+          {plan.policy && (
+              <Badge bg={POLICY_VARIANTS[plan.policy] || 'secondary'} title="Server policy for freq/mode changes that overlap a transmitting board">
+                Conflict policy: {plan.policy}{plan.guard_hz > 0 && ` (guard ${plan.guard_hz / 1000} kHz)`}
+              </Badge>
+          )}
+        </Card.Header>
+        <Card.Body>
+          <svg viewBox={`0 0 ${WIDTH} ${height}`} width="100%" role="img" aria-label="Band plan">
+            {Array.from({ length: TICKS + 1 }, (_, i) => min + ((max - min) * i) / TICKS).map(mhz => (
+                <g key={mhz}>
+                  <line x1={x(mhz)} x2={x(mhz)} y1={AXIS_HEIGHT - 6} y2={height} stroke="#dee2e6" />
+                  <text x={x(mhz)} y={AXIS_HEIGHT - 10} fontSize="11" textAnchor="middle">{formatMhz(mhz)} MHz</text>
+                </g>
+            ))}
+            {plan.antennas.map((antenna, i) => (
+                <g key={`antenna-${antenna.name}`}>
+                  <text x={4} y={rowY(i) + 15} fontSize="12" fontWeight="bold">{antenna.name}</text>
+                  <rect x={x(antenna.freq_start)} y={rowY(i) + 3} width={x(antenna.freq_stop) - x(antenna.freq_start)} height={ROW_HEIGHT - 6} fill={COLORS.band} stroke="#6c757d">
+                    <title>{`${antenna.name}: ${antenna.freq_start}-${antenna.freq_stop} MHz`}</title>
+                  </rect>
+                </g>
+            ))}
+            {spans.map((span, i) => {
+              const y = rowY(plan.antennas.length + i);
+              return (
+                  <g key={`sdr-${span.id}`}>
+                    <text x={4} y={y + 15} fontSize="12">{span.id.toUpperCase()}{span.tx ? ' (TX)' : ''}</text>
+                    <rect
+                        x={x(span.low)}
+                        y={y + 3}
+                        width={Math.max(x(span.high) - x(span.low), 1)}
+                        height={ROW_HEIGHT - 6}
+                        fill={spanColor(span)}
+                        fillOpacity={span.tx ? 0.9 : 0.5}
+                        stroke={span.outOfBand ? COLORS.outOfBand : 'none'}
+                        strokeWidth={span.outOfBand ? 3 : 0}
+                    >
+                      <title>{`${span.id}: ${formatMhz(span.low)}-${formatMhz(span.high)} MHz (LO ${formatMhz(span.lo)} MHz)`}</title>
+                    </rect>
+                    <line x1={x(span.lo)} x2={x(span.lo)} y1={y + 1} y2={y + ROW_HEIGHT - 1} stroke="#212529" />
+                  </g>
+              );
+            })}
+          </svg>
+          <div className="small">
+            {conflictPairs.map(([a, b]) => (
+                <div key={`conflict-${a}-${b}`}><Badge bg="danger" className="me-1">Conflict</Badge>{a.toUpperCase()} and {b.toUpperCase()} transmit on overlapping spans</div>
+            ))}
+            {overlapPairs.map(([a, b]) => (
+                <div key={`overlap-${a}-${b}`}><Badge bg="warning" text="dark" className="me-1">Overlap</Badge>{a.toUpperCase()} and {b.toUpperCase()} would overlap if both transmit</div>
+            ))}
+            {outOfBand.map(span => (
+                <div key={`band-${span.id}`}>
+                  <Badge bg="warning" text="dark" className="me-1">Out of band</Badge>
+                  {span.id.toUpperCase()} occupies {formatMhz(span.low)}-{formatMhz(span.high)} MHz, outside {span.antenna.name} ({span.antenna.freq_start}-{span.antenna.freq_stop} MHz)
+                </div>
+            ))}
+          </div>
+        </Card.Body>
+      </Card>
+  );
+}
+
+export default BandPlan;
@@ -0,0 +1,109 @@
+// src/ConfigTransfer.js - Whole-configuration export and import for admins: the document is
+// checked by a dry run first, its diff against the running state shown, then applied on confirm.
+
+import React, { useState } from 'react';
+import { Card, Button, Form, Alert } from 'react-bootstrap';
+import axios from 'axios';
+
+const SECTIONS = ['boards', 'antennas', 'presets', 'settings'];
+
+// "added sdr3; changed sdr1 (ip, usb_port)" for one section of the diff
+const describeSection = ({ added, removed, changed }) => [
+  added.length > 0 && `added ${added.join(', ')}`,
+  removed.length > 0 && `removed ${removed.join(', ')}`,
+  changed.length > 0 && `changed ${changed.map(change => `${change.key} (${change.fields.join(', ')})`).join(', ')}`
+].filter(Boolean).join('; ');
+
+function ConfigTransfer({ apiBaseUrl, onError, onNotice, onImported }) {
+  const [doc, setDoc] = useState(null);
+  const [preview, setPreview] = useState(null); // { diff } or { error, details }
+  const [importing, setImporting] = useState(false);
+
+  const handleExport = async () => {
+    try {
+      const response = await axios.get(`${apiBaseUrl}/config/export`, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `sdr-config-${new Date().toISOString().slice(0, 10)}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      onError('Configuration export failed: ' + err.message);
+    }
+  };
+
+  const handlePickFile = async (file) => {
+    setDoc(null);
+    setPreview(null);
+    if (!file) return;
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (err) {
+      setPreview({ error: `${file.name} is not valid JSON`, details: [err.message] });
+      return;
+    }
+    try {
+      const response = await axios.post(`${apiBaseUrl}/config/import`, parsed, { params: { dry_run: '' } });
+      setDoc(parsed);
+      setPreview(response.data);
+    } catch (err) {
+      setPreview({ error: err.response?.data?.error || err.message, details: err.response?.data?.details });
+    }
+  };
+
+  const handleImport = async () => {
+    if (!window.confirm('Replace the running configuration with this document? Removed boards are switched off first.')) return;
+    setImporting(true);
+    try {
+      const response = await axios.post(`${apiBaseUrl}/config/import`, doc);
+      setDoc(null);
+      setPreview(null);
+      if (response.data.restart_required) onNotice('Configuration imported; restart the server to use the new relay boards');
+      onImported();
+    } catch (err) {
+      onError('Configuration import failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const diff = preview?.diff;
+
+  return (
+      <Card className="mb-4">
+        <Card.Header>Configuration</Card.Header>
+        <Card.Body>
+          <Button variant="outline-primary" size="sm" className="mb-3" onClick={handleExport}>Export configuration</Button>
+          <Form.Group className="mb-2">
+            <Form.Label>Import a configuration document (checked before anything changes)</Form.Label>
+            <Form.Control type="file" accept=".json,application/json" onChange={(e) => handlePickFile(e.target.files[0])} />
+          </Form.Group>
+          {preview?.error && (
+              <Alert variant="danger" className="small">
+                {preview.error}
+                {preview.details?.length > 0 && <ul className="mb-0">{preview.details.map(detail => <li key={detail}>{detail}</li>)}</ul>}
+              </Alert>
+          )}
+          {diff && diff.unchanged && <div className="small text-muted">Same as the running configuration, nothing to import.</div>}
+          {diff && !diff.unchanged && (
+              <>
+                <ul className="small">
+                  {SECTIONS.map(section => {
+                    const text = describeSection(diff[section]);
+                    return text && <li key={section}><strong>{section}:</strong> {text}</li>;
+                  })}
+                  {diff.relays.changed && <li><strong>relay boards:</strong> changed (used after a server restart)</li>}
+                </ul>
+                <Button variant="warning" size="sm" onClick={handleImport} disabled={importing}>
+                  {importing ? 'Importing...' : 'Apply import'}
+                </Button>
+              </>
+          )}
+        </Card.Body>
+      </Card>
+  );
+}
+
+export default ConfigTransfer;
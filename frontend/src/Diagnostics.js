@@ -0,0 +1,92 @@
+// src/Diagnostics.js - "Diagnose" on one SDR: runs the server's fixed catalogue of checks
+// (device info, TX enable registers, kernel log, uptime, network), shows how each one went
+// and downloads the stored reports as JSON.
+
+import React, { useState } from 'react';
+import { Button, Badge } from 'react-bootstrap';
+import axios from 'axios';
+
+const STATUS_VARIANTS = { ok: 'success', warning: 'warning', error: 'danger' };
+
+function Diagnostics({ apiBaseUrl, sdr, canRun, onError }) {
+  const [report, setReport] = useState(null);
+  const [reports, setReports] = useState(null); // Earlier reports, loaded on demand
+  const [running, setRunning] = useState(false);
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      const response = await axios.post(`${apiBaseUrl}/sdrs/${sdr.id}/diagnostics`);
+      setReport(response.data);
+      setReports(null);
+    } catch (err) {
+      onError(`Diagnostics of ${sdr.id} failed: ` + (err.response?.data?.error || err.message));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleToggleReports = async () => {
+    if (reports) {
+      setReports(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`${apiBaseUrl}/sdrs/${sdr.id}/diagnostics`);
+      setReports(response.data.reports);
+    } catch (err) {
+      onError('Failed to fetch diagnostics reports: ' + err.message);
+    }
+  };
+
+  const handleDownload = async (reportId) => {
+    try {
+      const response = await axios.get(`${apiBaseUrl}/sdrs/${sdr.id}/diagnostics/${reportId}`, { params: { download: '' }, responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `diagnostics-${sdr.id}-${reportId}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      onError('Report download failed: ' + err.message);
+    }
+  };
+
+  return (
+      <div className="mb-2">
+        {canRun && (
+            <Button variant="outline-secondary" size="sm" className="me-1" onClick={handleRun} disabled={running}>
+              {running ? 'Diagnosing...' : 'Diagnose'}
+            </Button>
+        )}
+        <Button variant="link" size="sm" onClick={handleToggleReports}>{reports ? 'Hide reports' : 'Reports'}</Button>
+        {report && (
+            <div className="small mt-1">
+              {Object.entries(report.checks).map(([name, check]) => (
+                  <div key={name}>
+                    <Badge bg={STATUS_VARIANTS[check.status]}>{check.status}</Badge> {name}
+                    {check.error && <span className="text-danger"> {check.error}</span>}
+                    {check.warnings.map(warning => <div key={warning} className="text-muted ms-3">{warning}</div>)}
+                  </div>
+              ))}
+              <Button variant="link" size="sm" className="p-0" onClick={() => handleDownload(report.id)}>Download report</Button>
+            </div>
+        )}
+        {reports && (
+            <ul className="small mt-1 mb-0">
+              {reports.map(summary => (
+                  <li key={summary.id}>
+                    <Badge bg={STATUS_VARIANTS[summary.status]}>{summary.status}</Badge>{' '}
+                    {new Date(summary.created_at).toLocaleString()} by {summary.created_by}{' '}
+                    <Button variant="link" size="sm" className="p-0" onClick={() => handleDownload(summary.id)}>Download</Button>
+                  </li>
+              ))}
+              {reports.length === 0 && <li className="text-muted">No reports yet</li>}
+            </ul>
+        )}
+      </div>
+  );
+}
+
+export default Diagnostics;
@@ -0,0 +1,213 @@
+// src/FirmwarePanel.js - Firmware for admins: approved .frm images (upload with the declared
+// firmware version and bitstream build ID, sha256 checked by the server), the expected
+// bitstream required for TX, and board updates followed live ('firmwareProgress' events).
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Button, Table, Form, Row, Col, Badge, ProgressBar } from 'react-bootstrap';
+import axios from 'axios';
+
+const STEP_LABELS = {
+  tx_off: 'Switching TX off',
+  upload: 'Uploading',
+  verify: 'Checking md5 on the board',
+  flash: 'Writing flash',
+  reboot: 'Rebooting',
+  boot: 'Waiting for the board',
+  check: 'Checking build IDs'
+};
+
+const sha256Hex = async (file) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+function FirmwarePanel({ apiBaseUrl, socket, sdrs, onError }) {
+  const [images, setImages] = useState([]);
+  const [progress, setProgress] = useState({}); // SDR id -> last firmwareProgress
+  const [targets, setTargets] = useState({}); // SDR id -> image id picked for the update
+  const [file, setFile] = useState(null);
+  const [form, setForm] = useState({ name: '', fw_version: '', build_id: '' });
+  const [uploading, setUploading] = useState(false);
+
+  const fetchImages = useCallback(async () => {
+    try {
+      const response = await axios.get(`${apiBaseUrl}/firmware/images`);
+      setImages(response.data);
+    } catch (err) {
+      onError('Failed to fetch firmware images: ' + err.message);
+    }
+  }, [apiBaseUrl, onError]);
+
+  useEffect(() => {
+    fetchImages();
+  }, [fetchImages]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const onProgress = (update) => setProgress(prev => ({ ...prev, [update.id]: update }));
+    socket.on('firmwareProgress', onProgress);
+    return () => socket.off('firmwareProgress', onProgress);
+  }, [socket]);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setUploading(true);
+    try {
+      const sha256 = await sha256Hex(file);
+      await axios.post(`${apiBaseUrl}/firmware/images`, file, { params: { ...form, sha256 }, headers: { 'Content-Type': 'application/octet-stream' } });
+      setFile(null);
+      setForm({ name: '', fw_version: '', build_id: '' });
+      e.target.reset();
+      fetchImages();
+    } catch (err) {
+      onError('Firmware upload failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleExpected = async (image) => {
+    const message = image
+      ? `Require bitstream ${image.build_id} (${image.name}) for TX? Boards running another one will refuse to transmit.`
+      : 'Stop requiring a bitstream for TX?';
+    if (!window.confirm(message)) return;
+    try {
+      await axios.put(`${apiBaseUrl}/firmware/expected`, { image: image ? image.id : null });
+      fetchImages();
+    } catch (err) {
+      onError('Setting the expected firmware failed: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleDelete = async (image) => {
+    if (!window.confirm(`Delete firmware image ${image.name}?`)) return;
+    try {
+      await axios.delete(`${apiBaseUrl}/firmware/images/${image.id}`);
+      fetchImages();
+    } catch (err) {
+      onError('Firmware delete failed: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleUpdate = async (sdr) => {
+    const image = images.find(candidate => candidate.id === targets[sdr.id]);
+    if (!window.confirm(`Flash ${image.name} to ${sdr.id}? TX goes off and the board reboots.`)) return;
+    try {
+      const response = await axios.post(`${apiBaseUrl}/sdrs/${sdr.id}/firmware`, { image: image.id });
+      setProgress(prev => ({ ...prev, [sdr.id]: { id: sdr.id, ...response.data.update } }));
+    } catch (err) {
+      onError(`Firmware update of ${sdr.id} failed: ` + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const describeProgress = (update) => {
+    if (!update) return '';
+    if (update.status === 'done') return `Updated to ${update.name}`;
+    if (update.status === 'failed') return `Update to ${update.name} failed at ${STEP_LABELS[update.step] || update.step}: ${update.error}`;
+    return `${STEP_LABELS[update.step] || 'Starting'}...`;
+  };
+
+  const expected = images.find(image => image.expected);
+
+  return (
+      <Card className="mb-4">
+        <Card.Header>Firmware</Card.Header>
+        <Card.Body>
+          <p className="small">
+            Expected bitstream: {expected ? `${expected.build_id} (${expected.name})` : 'none, any bitstream may transmit'}
+            {expected && <Button variant="link" size="sm" onClick={() => handleExpected(null)}>Stop enforcing</Button>}
+          </p>
+          <Table size="sm">
+            <thead>
+              <tr><th>Board</th><th>Firmware</th><th>Bitstream</th><th>Update</th><th /></tr>
+            </thead>
+            <tbody>
+              {sdrs.map(sdr => {
+                const firmware = sdr.state?.firmware || {};
+                const update = progress[sdr.id] || firmware.update;
+                const running = update?.status === 'running';
+                return (
+                    <tr key={sdr.id}>
+                      <td>{sdr.id}</td>
+                      <td>{firmware.fw_version || 'not read'}</td>
+                      <td>
+                        {firmware.build_id || 'not read'}{' '}
+                        {!firmware.tx_allowed && <Badge bg="danger">TX blocked</Badge>}
+                      </td>
+                      <td style={{ minWidth: 200 }}>
+                        <div className="small">{describeProgress(update)}</div>
+                        {running && update.step === 'upload' && <ProgressBar now={update.percent || 0} label={`${update.percent || 0}%`} />}
+                      </td>
+                      <td className="text-nowrap">
+                        <Form.Select
+                            size="sm"
+                            className="d-inline-block w-auto me-1"
+                            value={targets[sdr.id] || ''}
+                            onChange={(e) => setTargets(prev => ({ ...prev, [sdr.id]: e.target.value }))}
+                            disabled={running}
+                        >
+                          <option value="">Image...</option>
+                          {images.map(image => <option key={image.id} value={image.id}>{image.name} ({image.build_id})</option>)}
+                        </Form.Select>
+                        <Button size="sm" variant="warning" onClick={() => handleUpdate(sdr)} disabled={!targets[sdr.id] || running || !sdr.state?.initialized}>
+                          Update
+                        </Button>
+                      </td>
+                    </tr>
+                );
+              })}
+            </tbody>
+          </Table>
+          <Table size="sm">
+            <thead>
+              <tr><th>Image</th><th>Firmware</th><th>Bitstream</th><th>Size</th><th>SHA-256</th><th>Uploaded</th><th /></tr>
+            </thead>
+            <tbody>
+              {images.map(image => (
+                  <tr key={image.id}>
+                    <td>{image.name} {image.expected && <Badge bg="success">expected</Badge>}</td>
+                    <td>{image.fw_version}</td>
+                    <td>{image.build_id}</td>
+                    <td>{(image.size / 1048576).toFixed(1)} MB</td>
+                    <td title={image.sha256}><code>{image.sha256.slice(0, 12)}</code></td>
+                    <td>{new Date(image.uploaded_at).toLocaleString()} by {image.uploaded_by}</td>
+                    <td className="text-nowrap">
+                      {!image.expected && <Button size="sm" variant="outline-success" className="me-1" onClick={() => handleExpected(image)}>Make expected</Button>}
+                      <Button size="sm" variant="outline-danger" onClick={() => handleDelete(image)} disabled={image.expected}>Delete</Button>
+                    </td>
+                  </tr>
+              ))}
+              {images.length === 0 && <tr><td colSpan={7} className="text-muted">No firmware images uploaded</td></tr>}
+            </tbody>
+          </Table>
+          <Form onSubmit={handleUpload}>
+            <Row className="g-2 align-items-end">
+              <Col md={4}>
+                <Form.Label>Image (.frm)</Form.Label>
+                <Form.Control type="file" accept=".frm" onChange={(e) => setFile(e.target.files[0] || null)} />
+              </Col>
+              <Col md={3}>
+                <Form.Label>Name</Form.Label>
+                <Form.Control value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+              </Col>
+              <Col md={2}>
+                <Form.Label>Firmware version</Form.Label>
+                <Form.Control value={form.fw_version} placeholder="v0.38" onChange={(e) => setForm({ ...form, fw_version: e.target.value })} />
+              </Col>
+              <Col md={2}>
+                <Form.Label>Build ID</Form.Label>
+                <Form.Control value={form.build_id} placeholder="0x5ade0102" onChange={(e) => setForm({ ...form, build_id: e.target.value })} />
+              </Col>
+              <Col md={1}>
+                <Button type="submit" disabled={!file || !form.name || !form.fw_version || !form.build_id || uploading}>
+                  {uploading ? 'Uploading...' : 'Upload'}
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+  );
+}
+
+export default FirmwarePanel;
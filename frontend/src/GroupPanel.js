@@ -0,0 +1,107 @@
+// src/GroupPanel.js - Group controls: pick several SDRs (by hand, by antenna or by tag) and
+// init them, tune them or set their mode in one /api/groups request, with per-board results.
+
+import React, { useState, useEffect } from 'react';
+import { Card, Button, Form, Row, Col, Badge } from 'react-bootstrap';
+import axios from 'axios';
+
+const MODES = ['none', 'wn', 'fsk', 'bpsk', 'qpsk', 'ntsc'];
+
+function GroupPanel({ apiBaseUrl, sdrs, onError }) {
+  const [groups, setGroups] = useState({ antennas: {}, tags: {} });
+  const [selected, setSelected] = useState([]);
+  const [freq, setFreq] = useState(''); // MHz
+  const [mode, setMode] = useState('none');
+  const [results, setResults] = useState(null); // Last request: { id: { success, error } }
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    axios.get(`${apiBaseUrl}/groups`)
+        .then(response => setGroups(response.data))
+        .catch(err => onError('Failed to fetch groups: ' + err.message));
+  }, [apiBaseUrl, onError, sdrs.length]);
+
+  const toggle = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]));
+  };
+
+  const run = async (action, body = {}) => {
+    setBusy(true);
+    try {
+      const response = await axios.post(`${apiBaseUrl}/groups/${encodeURIComponent(selected.join(','))}/${action}`, body);
+      setResults(response.data.results);
+    } catch (err) {
+      onError(`Group ${action} failed: ` + (err.response?.data?.error || err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const disabled = busy || selected.length === 0;
+
+  return (
+      <Card className="mb-4">
+        <Card.Header>Group Control</Card.Header>
+        <Card.Body>
+          <div className="mb-2">
+            {sdrs.map(sdr => (
+                <Form.Check
+                    inline
+                    key={sdr.id}
+                    id={`group-${sdr.id}`}
+                    label={sdr.id.toUpperCase()}
+                    checked={selected.includes(sdr.id)}
+                    onChange={() => toggle(sdr.id)}
+                />
+            ))}
+          </div>
+          <div className="mb-3">
+            {Object.entries(groups.antennas).map(([name, ids]) => (
+                <Button key={`antenna-${name}`} variant="outline-secondary" size="sm" className="me-1 mb-1" onClick={() => setSelected(ids)}>
+                  Antenna {name}
+                </Button>
+            ))}
+            {Object.entries(groups.tags).map(([tag, ids]) => (
+                <Button key={`tag-${tag}`} variant="outline-info" size="sm" className="me-1 mb-1" onClick={() => setSelected(ids)}>
+                  #{tag}
+                </Button>
+            ))}
+            <Button variant="link" size="sm" className="mb-1" onClick={() => setSelected([])}>Clear</Button>
+          </div>
+          <Row className="g-2 align-items-end">
+            <Col xs="auto">
+              <Button variant="primary" onClick={() => run('init')} disabled={disabled}>Initialize</Button>
+            </Col>
+            <Col xs="auto">
+              <Form.Label className="small mb-0">Frequency (MHz)</Form.Label>
+              <Form.Control type="number" value={freq} onChange={(e) => setFreq(e.target.value)} />
+            </Col>
+            <Col xs="auto">
+              <Button variant="secondary" onClick={() => run('freq', { value: parseFloat(freq) * 1000000 })} disabled={disabled || freq === ''}>Set Frequency</Button>
+            </Col>
+            <Col xs="auto">
+              <Form.Label className="small mb-0">Mode</Form.Label>
+              <Form.Select value={mode} onChange={(e) => setMode(e.target.value)}>
+                {MODES.map(option => <option key={option} value={option}>{option.toUpperCase()}</option>)}
+              </Form.Select>
+            </Col>
+            <Col xs="auto">
+              <Button variant="success" onClick={() => run('set_mode', { mode })} disabled={disabled}>Set Mode</Button>
+            </Col>
+          </Row>
+          {results && (
+              <div className="mt-3 small">
+                {Object.entries(results).map(([id, result]) => (
+                    <div key={id}>
+                      <Badge bg={result.success ? 'success' : 'danger'} className="me-1">{id.toUpperCase()}</Badge>
+                      {result.success ? 'OK' : result.error}
+                    </div>
+                ))}
+              </div>
+          )}
+        </Card.Body>
+      </Card>
+  );
+}
+
+export default GroupPanel;
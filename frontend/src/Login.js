@@ -0,0 +1,48 @@
+// src/Login.js - Login screen; exchanges username/password for a session token.
+
+import React, { useState } from 'react';
+import { Container, Card, Form, Button, Alert } from 'react-bootstrap';
+import axios from 'axios';
+
+function Login({ apiBaseUrl, onLogin }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await axios.post(`${apiBaseUrl}/auth/login`, { username, password });
+      onLogin(response.data);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+      <Container className="mt-5" style={{ maxWidth: 400 }}>
+        <Card>
+          <Card.Header>SDR Control - Sign in</Card.Header>
+          <Card.Body>
+            {error && <Alert variant="danger">{error}</Alert>}
+            <Form onSubmit={handleSubmit}>
+              <Form.Group className="mb-2">
+                <Form.Label>Username</Form.Label>
+                <Form.Control value={username} onChange={(e) => setUsername(e.target.value)} autoFocus required />
+              </Form.Group>
+              <Form.Group className="mb-3">
+                <Form.Label>Password</Form.Label>
+                <Form.Control type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+              </Form.Group>
+              <Button type="submit" variant="primary" disabled={busy}>{busy ? 'Signing in...' : 'Sign in'}</Button>
+            </Form>
+          </Card.Body>
+        </Card>
+      </Container>
+  );
+}
+
+export default Login;
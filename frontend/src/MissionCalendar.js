@@ -0,0 +1,86 @@
+// src/MissionCalendar.js - Week calendar of scheduled mission occurrences.
+// Expands repeat rules (every_s / count / until) for the visible week only.
+
+import React, { useState } from 'react';
+import { Button, Table, Badge } from 'react-bootstrap';
+
+const DAY_MS = 24 * 3600 * 1000;
+const MAX_OCCURRENCES_PER_DAY = 24;
+
+const startOfWeek = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7)); // Monday
+  return d;
+};
+
+// Occurrences of a mission that begin inside [from, to)
+const occurrencesBetween = (mission, from, to) => {
+  const start = Date.parse(mission.start_time);
+  if (!mission.repeat) return start >= from && start < to ? [start] : [];
+
+  const every = mission.repeat.every_s * 1000;
+  const until = mission.repeat.until ? Date.parse(mission.repeat.until) : Infinity;
+  const result = [];
+  let index = Math.max(0, Math.ceil((from - start) / every));
+  for (let begins = start + index * every; begins < to && begins <= until; begins += every, index++) {
+    if (mission.repeat.count !== undefined && index >= mission.repeat.count) break;
+    result.push(begins);
+    if (result.length >= MAX_OCCURRENCES_PER_DAY * 7) break;
+  }
+  return result;
+};
+
+function MissionCalendar({ missions }) {
+  const [weekStart, setWeekStart] = useState(startOfWeek(new Date()));
+
+  const days = Array.from({ length: 7 }, (_, i) => new Date(weekStart.getTime() + i * DAY_MS));
+  const entries = days.map(day => {
+    const from = day.getTime();
+    return missions
+        .filter(m => m.enabled)
+        .flatMap(m => occurrencesBetween(m, from, from + DAY_MS).map(begins => ({ mission: m, begins })))
+        .sort((a, b) => a.begins - b.begins);
+  });
+
+  const shiftWeek = (weeks) => setWeekStart(new Date(weekStart.getTime() + weeks * 7 * DAY_MS));
+
+  return (
+      <div className="mb-4">
+        <div className="d-flex align-items-center mb-2">
+          <Button size="sm" variant="outline-secondary" onClick={() => shiftWeek(-1)}>&lt;</Button>
+          <span className="mx-3">Week of {weekStart.toLocaleDateString()}</span>
+          <Button size="sm" variant="outline-secondary" onClick={() => shiftWeek(1)}>&gt;</Button>
+          <Button size="sm" variant="link" onClick={() => setWeekStart(startOfWeek(new Date()))}>Today</Button>
+        </div>
+        <Table bordered size="sm">
+          <thead>
+          <tr>
+            {days.map(day => <th key={day.getTime()}>{day.toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' })}</th>)}
+          </tr>
+          </thead>
+          <tbody>
+          <tr>
+            {entries.map((dayEntries, i) => (
+                <td key={i} style={{ verticalAlign: 'top', width: '14%' }}>
+                  {dayEntries.slice(0, MAX_OCCURRENCES_PER_DAY).map(({ mission, begins }) => (
+                      <div key={`${mission.id}-${begins}`} className="small mb-1">
+                        <Badge bg={mission.status === 'running' ? 'success' : 'secondary'}>
+                          {new Date(begins).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        </Badge>{' '}
+                        {mission.name}
+                      </div>
+                  ))}
+                  {dayEntries.length > MAX_OCCURRENCES_PER_DAY && (
+                      <div className="small text-muted">+{dayEntries.length - MAX_OCCURRENCES_PER_DAY} more</div>
+                  )}
+                </td>
+            ))}
+          </tr>
+          </tbody>
+        </Table>
+      </div>
+  );
+}
+
+export default MissionCalendar;
@@ -0,0 +1,202 @@
+// src/MissionPanel.js - Timed TX missions: list, create/delete/enable, and a week calendar.
+// Missions run on the server (/api/missions); socket events keep the list current.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Button, Form, Row, Col, Table, Badge, ButtonGroup } from 'react-bootstrap';
+import axios from 'axios';
+import MissionCalendar from './MissionCalendar';
+
+const MODES = ['wn', 'fsk', 'bpsk', 'qpsk', 'ntsc'];
+const STATUS_VARIANTS = { scheduled: 'primary', running: 'success', completed: 'secondary', failed: 'danger', missed: 'warning', disabled: 'light' };
+
+const emptyForm = {
+  name: '',
+  target: '',
+  mode: 'wn',
+  freq: '',
+  gain: 0,
+  sampling_freq: '',
+  start_time: '',
+  duration_s: 60,
+  repeat_every_s: '',
+  repeat_count: ''
+};
+
+function MissionPanel({ apiBaseUrl, socket, sdrs, onError, canEdit }) {
+  const [missions, setMissions] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [view, setView] = useState('list');
+  const [saving, setSaving] = useState(false);
+
+  const fetchMissions = useCallback(async () => {
+    try {
+      const response = await axios.get(`${apiBaseUrl}/missions`);
+      setMissions(response.data);
+    } catch (err) {
+      onError('Failed to fetch missions: ' + err.message);
+    }
+  }, [apiBaseUrl, onError]);
+
+  useEffect(() => {
+    fetchMissions();
+  }, [fetchMissions]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const events = ['missionsChanged', 'missionStarted', 'missionEnded', 'missionFailed'];
+    events.forEach(event => socket.on(event, fetchMissions));
+    return () => events.forEach(event => socket.off(event, fetchMissions));
+  }, [socket, fetchMissions]);
+
+  const groups = [...new Set(sdrs.map(sdr => sdr.state?.antenna?.name).filter(Boolean))];
+
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const [targetType, targetId] = form.target.split(':');
+      const body = {
+        name: form.name,
+        [targetType]: targetId,
+        mode: form.mode,
+        freq: parseFloat(form.freq) * 1000000,
+        gain: parseFloat(form.gain),
+        start_time: new Date(form.start_time).toISOString(),
+        duration_s: parseFloat(form.duration_s)
+      };
+      if (form.sampling_freq !== '' && form.mode !== 'ntsc') body.sampling_freq = parseFloat(form.sampling_freq) * 1000000;
+      if (form.repeat_every_s !== '') {
+        body.repeat = { every_s: parseFloat(form.repeat_every_s) };
+        if (form.repeat_count !== '') body.repeat.count = parseInt(form.repeat_count);
+      }
+      await axios.post(`${apiBaseUrl}/missions`, body);
+      setForm(emptyForm);
+      onError(null);
+    } catch (err) {
+      onError('Create mission failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (mission) => {
+    try {
+      await axios.put(`${apiBaseUrl}/missions/${mission.id}`, { enabled: !mission.enabled });
+    } catch (err) {
+      onError('Update mission failed: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleDelete = async (mission) => {
+    if (!window.confirm(`Delete mission "${mission.name}"?`)) return;
+    try {
+      await axios.delete(`${apiBaseUrl}/missions/${mission.id}`);
+    } catch (err) {
+      onError('Delete mission failed: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          Missions
+          <ButtonGroup size="sm">
+            <Button variant={view === 'list' ? 'primary' : 'outline-primary'} onClick={() => setView('list')}>List</Button>
+            <Button variant={view === 'calendar' ? 'primary' : 'outline-primary'} onClick={() => setView('calendar')}>Calendar</Button>
+          </ButtonGroup>
+        </Card.Header>
+        <Card.Body>
+          {view === 'calendar' ? (
+              <MissionCalendar missions={missions} />
+          ) : (
+              <Table size="sm" hover responsive>
+                <thead>
+                <tr>
+                  <th>Name</th><th>Target</th><th>Mode</th><th>Freq (MHz)</th><th>Next run</th><th>Duration (s)</th><th>Status</th><th />
+                </tr>
+                </thead>
+                <tbody>
+                {missions.map(mission => (
+                    <tr key={mission.id}>
+                      <td>{mission.name}</td>
+                      <td>{mission.sdr || mission.group}</td>
+                      <td>{mission.mode.toUpperCase()}</td>
+                      <td>{mission.freq / 1000000}</td>
+                      <td>{mission.next_run ? new Date(mission.next_run).toLocaleString() : '-'}</td>
+                      <td>{mission.duration_s}{mission.repeat ? ` every ${mission.repeat.every_s}` : ''}</td>
+                      <td>
+                        <Badge bg={STATUS_VARIANTS[mission.status] || 'secondary'} text={mission.status === 'disabled' ? 'dark' : undefined}>
+                          {mission.status}
+                        </Badge>
+                      </td>
+                      <td>
+                        {canEdit && (
+                            <>
+                              <Button size="sm" variant="outline-secondary" className="me-1" onClick={() => handleToggle(mission)}>
+                                {mission.enabled ? 'Disable' : 'Enable'}
+                              </Button>
+                              <Button size="sm" variant="outline-danger" onClick={() => handleDelete(mission)}>Delete</Button>
+                            </>
+                        )}
+                      </td>
+                    </tr>
+                ))}
+                </tbody>
+              </Table>
+          )}
+
+          {canEdit && (
+              <Form onSubmit={handleCreate}>
+                <Row>
+                  <Col md={3}>
+                    <Form.Control className="mb-2" placeholder="Name" value={form.name} onChange={(e) => updateForm('name', e.target.value)} required />
+                  </Col>
+                  <Col md={3}>
+                    <Form.Select className="mb-2" value={form.target} onChange={(e) => updateForm('target', e.target.value)} required>
+                      <option value="">Target...</option>
+                      {sdrs.map(sdr => <option key={sdr.id} value={`sdr:${sdr.id}`}>{sdr.id.toUpperCase()}</option>)}
+                      {groups.map(name => <option key={name} value={`group:${name}`}>Group: {name}</option>)}
+                    </Form.Select>
+                  </Col>
+                  <Col md={2}>
+                    <Form.Select className="mb-2" value={form.mode} onChange={(e) => updateForm('mode', e.target.value)}>
+                      {MODES.map(mode => <option key={mode} value={mode}>{mode.toUpperCase()}</option>)}
+                    </Form.Select>
+                  </Col>
+                  <Col md={2}>
+                    <Form.Control className="mb-2" type="number" placeholder="Freq (MHz)" value={form.freq} onChange={(e) => updateForm('freq', e.target.value)} required />
+                  </Col>
+                  <Col md={2}>
+                    <Form.Control className="mb-2" type="number" placeholder="Gain" value={form.gain} onChange={(e) => updateForm('gain', e.target.value)} />
+                  </Col>
+                </Row>
+                <Row>
+                  <Col md={3}>
+                    <Form.Control className="mb-2" type="datetime-local" value={form.start_time} onChange={(e) => updateForm('start_time', e.target.value)} required />
+                  </Col>
+                  <Col md={2}>
+                    <Form.Control className="mb-2" type="number" placeholder="Duration (s)" value={form.duration_s} onChange={(e) => updateForm('duration_s', e.target.value)} required />
+                  </Col>
+                  <Col md={2}>
+                    <Form.Control className="mb-2" type="number" placeholder="Sampling (MHz)" value={form.sampling_freq} onChange={(e) => updateForm('sampling_freq', e.target.value)} disabled={form.mode === 'ntsc'} />
+                  </Col>
+                  <Col md={2}>
+                    <Form.Control className="mb-2" type="number" placeholder="Repeat every (s)" value={form.repeat_every_s} onChange={(e) => updateForm('repeat_every_s', e.target.value)} />
+                  </Col>
+                  <Col md={1}>
+                    <Form.Control className="mb-2" type="number" placeholder="Times" value={form.repeat_count} onChange={(e) => updateForm('repeat_count', e.target.value)} disabled={form.repeat_every_s === ''} />
+                  </Col>
+                  <Col md={2}>
+                    <Button type="submit" variant="success" disabled={saving}>{saving ? 'Saving...' : 'Add Mission'}</Button>
+                  </Col>
+                </Row>
+              </Form>
+          )}
+        </Card.Body>
+      </Card>
+  );
+}
+
+export default MissionPanel;
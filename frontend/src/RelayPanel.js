@@ -0,0 +1,86 @@
+// src/RelayPanel.js - Relay states (relayUpdate socket events) with the admin manual override for maintenance.
+
+import React, { useState, useEffect } from 'react';
+import { Card, Button, Table, Badge, Form } from 'react-bootstrap';
+import axios from 'axios';
+
+const describeState = (state) => (state === null ? 'unknown' : state ? 'closed' : 'open');
+
+function RelayPanel({ apiBaseUrl, socket, onError, canOverride }) {
+  const [data, setData] = useState({ override: false, relays: [] });
+
+  useEffect(() => {
+    axios.get(`${apiBaseUrl}/relays`)
+        .then(response => setData(response.data))
+        .catch(err => onError('Failed to fetch relays: ' + err.message));
+  }, [apiBaseUrl, onError]);
+
+  useEffect(() => {
+    if (!socket) return;
+    socket.on('relayUpdate', setData);
+    return () => socket.off('relayUpdate', setData);
+  }, [socket]);
+
+  const handleOverride = async (enabled) => {
+    if (enabled && !window.confirm('Manual override stops the relays from following the transmitting SDRs. Continue?')) return;
+    try {
+      const response = await axios.post(`${apiBaseUrl}/relays/override`, { enabled });
+      setData(response.data);
+    } catch (err) {
+      onError('Relay override failed: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  const handleToggle = async (relay) => {
+    try {
+      const response = await axios.post(`${apiBaseUrl}/relays/${relay.relay}`, { state: relay.state ? 0 : 1 });
+      setData(response.data);
+    } catch (err) {
+      onError(`Setting relay ${relay.relay} failed: ` + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+      <Card className="mb-4">
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <span>Relays {data.override && <Badge bg="warning" text="dark">Manual override</Badge>}</span>
+          {canOverride && (
+              <Form.Check
+                  type="switch"
+                  id="relay-override"
+                  label="Manual override"
+                  checked={data.override}
+                  onChange={(e) => handleOverride(e.target.checked)}
+              />
+          )}
+        </Card.Header>
+        <Card.Body>
+          <Table size="sm" className="mb-0">
+            <thead>
+              <tr><th>Relay</th><th>Board</th><th>GPIO</th><th>State</th><th>Required</th>{data.override && canOverride && <th />}</tr>
+            </thead>
+            <tbody>
+              {data.relays.map(relay => (
+                  <tr key={relay.relay}>
+                    <td>{relay.relay}</td>
+                    <td>{relay.board} ({relay.backend}{relay.active_low ? ', active-low' : ''})</td>
+                    <td>{relay.gpio}</td>
+                    <td><Badge bg={relay.state ? 'success' : 'secondary'}>{describeState(relay.state)}</Badge></td>
+                    <td>{relay.required ? 'closed' : 'open'}</td>
+                    {data.override && canOverride && (
+                        <td>
+                          <Button size="sm" variant="outline-primary" onClick={() => handleToggle(relay)}>
+                            {relay.state ? 'Open' : 'Close'}
+                          </Button>
+                        </td>
+                    )}
+                  </tr>
+              ))}
+            </tbody>
+          </Table>
+        </Card.Body>
+      </Card>
+  );
+}
+
+export default RelayPanel;
@@ -0,0 +1,137 @@
+// src/Spectrum.js - Live RX spectrum and waterfall of one SDR (server-side FFT, 'spectrum' socket
+// events while subscribed), with markers for the TX frequency and the antenna band.
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Button } from 'react-bootstrap';
+
+const WIDTH = 300;
+const PLOT_HEIGHT = 120;
+const WATERFALL_ROWS = 100;
+const FLOOR_DB = -110;
+const TOP_DB = 0;
+
+// dBFS to a blue-yellow-red heat color
+const heat = (db) => {
+  const t = Math.min(Math.max((db - FLOOR_DB) / (TOP_DB - FLOOR_DB), 0), 1);
+  const r = Math.round(255 * Math.min(Math.max(t * 2 - 0.5, 0), 1));
+  const g = Math.round(255 * Math.min(Math.max(t < 0.5 ? t * 2 : 2 - t * 2, 0), 1));
+  const b = Math.round(255 * Math.min(Math.max(1 - t * 2, 0), 1));
+  return [r, g, b];
+};
+
+function Spectrum({ socket, sdr, onError }) {
+  const [visible, setVisible] = useState(false);
+  const [spectrum, setSpectrum] = useState(null);
+  const [captureError, setCaptureError] = useState(null);
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    if (!socket || !visible) return;
+    const onSpectrum = (data) => {
+      if (data.id !== sdr.id) return;
+      setSpectrum(data);
+      setCaptureError(null);
+    };
+    const onSpectrumError = ({ id, error }) => {
+      if (id === sdr.id) setCaptureError(error);
+    };
+    socket.on('spectrum', onSpectrum);
+    socket.on('spectrumError', onSpectrumError);
+    socket.emit('spectrum_subscribe', { sdr: sdr.id }, (reply) => {
+      if (reply?.error) onError(`Spectrum of ${sdr.id} unavailable: ${reply.error}`);
+    });
+    return () => {
+      socket.off('spectrum', onSpectrum);
+      socket.off('spectrumError', onSpectrumError);
+      socket.emit('spectrum_unsubscribe', { sdr: sdr.id });
+    };
+  }, [socket, visible, sdr.id, onError]);
+
+  // Scroll the waterfall down one row and paint the newest spectrum on top
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !spectrum) return;
+    const context = canvas.getContext('2d');
+    context.drawImage(canvas, 0, 0, canvas.width, canvas.height - 1, 0, 1, canvas.width, canvas.height - 1);
+    const row = context.createImageData(spectrum.bins.length, 1);
+    spectrum.bins.forEach((db, i) => {
+      const [r, g, b] = heat(db);
+      row.data.set([r, g, b, 255], i * 4);
+    });
+    context.putImageData(row, 0, 0);
+  }, [spectrum]);
+
+  if (!visible) {
+    return (
+        <Button variant="outline-info" size="sm" className="mb-2" onClick={() => setVisible(true)} disabled={!sdr.state?.initialized}>
+          Show Spectrum
+        </Button>
+    );
+  }
+
+  const center = spectrum?.center_hz;
+  const span = spectrum?.sample_rate;
+  const low = center - span / 2;
+  const x = (hz) => ((hz - low) / span) * WIDTH;
+  const inSpan = (hz) => spectrum && center !== null && hz >= low && hz <= low + span;
+  const y = (db) => PLOT_HEIGHT * (TOP_DB - Math.min(Math.max(db, FLOOR_DB), TOP_DB)) / (TOP_DB - FLOOR_DB);
+  const { antenna, freq: txFreq, tx_on: txOn } = sdr.state || {};
+  const bandLow = antenna && Math.max(antenna.freq_start * 1000000, low);
+  const bandHigh = antenna && Math.min(antenna.freq_stop * 1000000, low + span);
+
+  return (
+      <div className="mb-2">
+        <div className="d-flex justify-content-between align-items-center small">
+          <span>
+            RX spectrum
+            {spectrum && center !== null && ` ${(low / 1000000).toFixed(2)}-${((low + span) / 1000000).toFixed(2)} MHz, RBW ${(spectrum.rbw_hz / 1000).toFixed(1)} kHz`}
+          </span>
+          <Button variant="link" size="sm" className="p-0" onClick={() => setVisible(false)}>Hide</Button>
+        </div>
+        {captureError && <div className="small text-danger">Capture failed: {captureError}</div>}
+        {!spectrum && !captureError && <div className="small text-muted">Waiting for the first capture...</div>}
+        {spectrum && center !== null && (
+            <>
+              <svg viewBox={`0 0 ${WIDTH} ${PLOT_HEIGHT}`} width="100%" role="img" aria-label={`RX spectrum of ${sdr.id}`} style={{ background: '#212529' }}>
+                {antenna && bandLow < bandHigh && (
+                    <rect x={x(bandLow)} y={0} width={x(bandHigh) - x(bandLow)} height={PLOT_HEIGHT} fill="#198754" fillOpacity="0.15">
+                      <title>{`${antenna.name}: ${antenna.freq_start}-${antenna.freq_stop} MHz`}</title>
+                    </rect>
+                )}
+                {[-20, -40, -60, -80, -100].map(db => (
+                    <g key={db}>
+                      <line x1={0} x2={WIDTH} y1={y(db)} y2={y(db)} stroke="#495057" strokeWidth="0.5" />
+                      <text x={2} y={y(db) - 2} fontSize="8" fill="#adb5bd">{db} dBFS</text>
+                    </g>
+                ))}
+                <polyline
+                    fill="none"
+                    stroke="#ffc107"
+                    strokeWidth="1"
+                    points={spectrum.bins.map((db, i) => `${((i + 0.5) / spectrum.bins.length) * WIDTH},${y(db)}`).join(' ')}
+                />
+                {inSpan(txFreq) && (
+                    <line x1={x(txFreq)} x2={x(txFreq)} y1={0} y2={PLOT_HEIGHT} stroke={txOn ? '#dc3545' : '#adb5bd'} strokeDasharray={txOn ? '' : '3 2'}>
+                      <title>{`TX ${txFreq / 1000000} MHz${txOn ? ' (on)' : ''}`}</title>
+                    </line>
+                )}
+              </svg>
+              <div style={{ position: 'relative' }}>
+                <canvas ref={canvasRef} width={spectrum.bins.length} height={WATERFALL_ROWS} style={{ width: '100%', height: WATERFALL_ROWS, display: 'block', background: '#000' }} />
+                {antenna && bandLow < bandHigh && (
+                    <div style={{ position: 'absolute', top: 0, bottom: 0, left: `${(x(bandLow) / WIDTH) * 100}%`, width: `${((x(bandHigh) - x(bandLow)) / WIDTH) * 100}%`, borderLeft: '1px solid #198754', borderRight: '1px solid #198754' }} />
+                )}
+                {inSpan(txFreq) && (
+                    <div style={{ position: 'absolute', top: 0, bottom: 0, left: `${(x(txFreq) / WIDTH) * 100}%`, borderLeft: `1px ${txOn ? 'solid #dc3545' : 'dashed #adb5bd'}` }} />
+                )}
+              </div>
+              {txFreq > 0 && !inSpan(txFreq) && (
+                  <div className="small text-muted">TX frequency {txFreq / 1000000} MHz is outside the RX span (set the RX LO under Advanced)</div>
+              )}
+            </>
+        )}
+      </div>
+  );
+}
+
+export default Spectrum;
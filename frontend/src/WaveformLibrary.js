@@ -0,0 +1,122 @@
+// src/WaveformLibrary.js - Uploaded IQ waveforms for the File generator mode: list, upload
+// (ci16, cf32 or a SigMF archive, sent raw as application/octet-stream) and delete for operators.
+// The list itself lives in App, which also feeds the waveform pickers on the cards.
+
+import React, { useState } from 'react';
+import { Card, Button, Table, Form, Row, Col } from 'react-bootstrap';
+import axios from 'axios';
+
+const FORMAT_BY_EXTENSION = { sigmf: 'sigmf', cf32: 'cf32', fc32: 'cf32', ci16: 'ci16', sc16: 'ci16' };
+
+const guessFormat = (fileName) => FORMAT_BY_EXTENSION[fileName.split('.').pop().toLowerCase()] || 'ci16';
+
+function WaveformLibrary({ apiBaseUrl, waveforms, onChanged, onError, canEdit }) {
+  const [file, setFile] = useState(null);
+  const [name, setName] = useState('');
+  const [format, setFormat] = useState('ci16');
+  const [sampleRate, setSampleRate] = useState(''); // MHz
+  const [uploading, setUploading] = useState(false);
+
+  const handlePickFile = (picked) => {
+    setFile(picked || null);
+    if (!picked) return;
+    setFormat(guessFormat(picked.name));
+    if (!name) setName(picked.name.replace(/\.[^.]*$/, '').replace(/[^\w .-]/g, '_').slice(0, 64));
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    setUploading(true);
+    try {
+      const params = { name, format };
+      if (sampleRate !== '') params.sample_rate = parseFloat(sampleRate) * 1000000;
+      await axios.post(`${apiBaseUrl}/waveforms`, file, { params, headers: { 'Content-Type': 'application/octet-stream' } });
+      setFile(null);
+      setName('');
+      setSampleRate('');
+      e.target.reset();
+      onChanged();
+    } catch (err) {
+      onError('Waveform upload failed: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (waveform) => {
+    if (!window.confirm(`Delete waveform ${waveform.name}?`)) return;
+    try {
+      await axios.delete(`${apiBaseUrl}/waveforms/${waveform.id}`);
+      onChanged();
+    } catch (err) {
+      onError('Waveform delete failed: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
+  return (
+      <Card className="mb-4">
+        <Card.Header>Waveforms</Card.Header>
+        <Card.Body>
+          <Table size="sm">
+            <thead>
+              <tr><th>Name</th><th>Uploaded as</th><th>Rate (MHz)</th><th>Samples</th><th>Duration</th><th>Uploaded</th>{canEdit && <th />}</tr>
+            </thead>
+            <tbody>
+              {waveforms.map(waveform => (
+                  <tr key={waveform.id}>
+                    <td>{waveform.name}</td>
+                    <td>{waveform.format}{waveform.clipped > 0 && ` (${waveform.clipped} clipped)`}</td>
+                    <td>{waveform.sample_rate / 1000000}</td>
+                    <td>{waveform.samples}</td>
+                    <td>{waveform.duration_ms} ms</td>
+                    <td>{new Date(waveform.uploaded_at).toLocaleString()} by {waveform.uploaded_by}</td>
+                    {canEdit && (
+                        <td><Button size="sm" variant="outline-danger" onClick={() => handleDelete(waveform)}>Delete</Button></td>
+                    )}
+                  </tr>
+              ))}
+              {waveforms.length === 0 && <tr><td colSpan={canEdit ? 7 : 6} className="text-muted">No waveforms uploaded</td></tr>}
+            </tbody>
+          </Table>
+          {canEdit && (
+              <Form onSubmit={handleUpload}>
+                <Row className="g-2 align-items-end">
+                  <Col md={4}>
+                    <Form.Label>IQ file</Form.Label>
+                    <Form.Control type="file" onChange={(e) => handlePickFile(e.target.files[0])} />
+                  </Col>
+                  <Col md={3}>
+                    <Form.Label>Name</Form.Label>
+                    <Form.Control value={name} onChange={(e) => setName(e.target.value)} />
+                  </Col>
+                  <Col md={2}>
+                    <Form.Label>Format</Form.Label>
+                    <Form.Select value={format} onChange={(e) => setFormat(e.target.value)}>
+                      <option value="ci16">ci16 (int16 I/Q)</option>
+                      <option value="cf32">cf32 (float32 I/Q)</option>
+                      <option value="sigmf">SigMF archive</option>
+                    </Form.Select>
+                  </Col>
+                  <Col md={2}>
+                    <Form.Label>Sample rate (MHz)</Form.Label>
+                    <Form.Control
+                        type="number"
+                        value={sampleRate}
+                        placeholder={format === 'sigmf' ? 'from metadata' : ''}
+                        onChange={(e) => setSampleRate(e.target.value)}
+                    />
+                  </Col>
+                  <Col md={1}>
+                    <Button type="submit" disabled={!file || !name || uploading || (format !== 'sigmf' && sampleRate === '')}>
+                      {uploading ? 'Uploading...' : 'Upload'}
+                    </Button>
+                  </Col>
+                </Row>
+              </Form>
+          )}
+        </Card.Body>
+      </Card>
+  );
+}
+
+export default WaveformLibrary;
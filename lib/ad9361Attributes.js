@@ -0,0 +1,100 @@
+// lib/ad9361Attributes.js
+// Whitelisted ad9361-phy attributes beyond the basic settings in sdrControl (TX1 gain,
+// gain mode, TX LO, sampling rate): RF bandwidths, the RX LO, RX gain, the second
+// channel of 2R2T boards (boards.json `channels: 2`) and the FIR filter enables.
+// Limits come from the chip's own `*_available` attributes, as "[min step max]" or a
+// list of values; attributes without one (FIR enables) are 0/1.
+const iio = require('./iioCommands');
+
+const ATTRIBUTES = {
+    rx_lo_freq: { channel: 'altvoltage0', output: true, attr: 'frequency', type: 'int', unit: 'Hz', available: 'frequency_available' },
+    rx_rf_bandwidth: { channel: 'voltage0', output: false, attr: 'rf_bandwidth', type: 'int', unit: 'Hz', available: 'rf_bandwidth_available' },
+    tx_rf_bandwidth: { channel: 'voltage0', output: true, attr: 'rf_bandwidth', type: 'int', unit: 'Hz', available: 'rf_bandwidth_available' },
+    rx1_gain: { channel: 'voltage0', output: false, attr: 'hardwaregain', type: 'float', unit: 'dB', available: 'hardwaregain_available' },
+    rx_fir_enable: { channel: 'voltage0', output: false, attr: 'filter_fir_en', type: 'bool' },
+    tx_fir_enable: { channel: 'voltage0', output: true, attr: 'filter_fir_en', type: 'bool' },
+    // Second channel (TX2 gain is its attenuation, <= 0 dB, like the basic TX1 gain)
+    rx2_gain: { channel: 'voltage1', output: false, attr: 'hardwaregain', type: 'float', unit: 'dB', available: 'hardwaregain_available', second: true },
+    rx2_gain_control_mode: { channel: 'voltage1', output: false, attr: 'gain_control_mode', type: 'enum', available: 'gain_control_mode_available', second: true },
+    tx2_gain: { channel: 'voltage1', output: true, attr: 'hardwaregain', type: 'float', unit: 'dB', available: 'hardwaregain_available', second: true }
+};
+
+// Attributes the board has: the second channel only on 2R2T boards
+function keysFor(board) {
+    return Object.keys(ATTRIBUTES).filter(key => !ATTRIBUTES[key].second || board?.channels === 2);
+}
+
+function readCommand(key) {
+    const { channel, output, attr } = ATTRIBUTES[key];
+    return iio.readAttr(channel, attr, output);
+}
+
+function writeCommand(key, value) {
+    const { channel, output, attr, type } = ATTRIBUTES[key];
+    return iio.writeAttr(channel, attr, output, type === 'bool' ? Number(value) : value);
+}
+
+// Keys whose limits can be read, with the command reading them
+function availableCommands(board) {
+    return keysFor(board)
+        .filter(key => ATTRIBUTES[key].available)
+        .map(key => [key, iio.readAttr(ATTRIBUTES[key].channel, ATTRIBUTES[key].available, ATTRIBUTES[key].output)]);
+}
+
+function parseValue(key, output) {
+    const text = String(output).trim();
+    switch (ATTRIBUTES[key].type) {
+        case 'int': return parseInt(text);
+        case 'float': return parseFloat(text);
+        case 'bool': return text === '1';
+        default: return text;
+    }
+}
+
+// "[70000000 1 6000000000]" -> { min, step, max }, "manual slow_attack" -> { values }
+function parseAvailable(output) {
+    const text = String(output).trim();
+    const range = text.match(/^\[\s*(\S+)\s+(\S+)\s+(\S+)\s*\]$/);
+    if (range) return { min: Number(range[1]), step: Number(range[2]), max: Number(range[3]) };
+    return { values: text.split(/\s+/).filter(Boolean) };
+}
+
+// Error message for a value the board would refuse, or null
+function validate(key, value, board, limits) {
+    const spec = ATTRIBUTES[key];
+    if (!spec) return `Unknown attribute ${key}`;
+    if (!keysFor(board).includes(key)) return `${key} needs a 2R2T board (channels: 2 in boards.json)`;
+    if (spec.type === 'bool') return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    if (spec.type === 'enum') {
+        if (typeof value !== 'string') return `${key} must be a string`;
+        return !limits?.values || limits.values.includes(value) ? null : `${key} must be one of ${limits.values.join(', ')}`;
+    }
+    if (typeof value !== 'number' || !isFinite(value)) return `${key} must be a number`;
+    if (spec.type === 'int' && !Number.isInteger(value)) return `${key} must be an integer`;
+    if (limits?.min !== undefined && (value < limits.min || value > limits.max)) {
+        return `${key} must be between ${limits.min} and ${limits.max} ${spec.unit || ''}`.trim();
+    }
+    return null;
+}
+
+// Model as shown to clients: where each attribute lives and what it accepts
+function describe(board, values = {}, limits = {}) {
+    return Object.fromEntries(keysFor(board).map(key => {
+        const { channel, output, attr, type, unit } = ATTRIBUTES[key];
+        const accepts = type === 'bool' ? { values: [false, true] } : limits[key] || null;
+        return [key, { channel, direction: output ? 'output' : 'input', attr, type, unit: unit || null, value: values[key] ?? null, available: accepts }];
+    }));
+}
+
+module.exports = {
+    KEYS: Object.keys(ATTRIBUTES),
+    typeOf: key => ATTRIBUTES[key].type,
+    keysFor,
+    readCommand,
+    writeCommand,
+    availableCommands,
+    parseValue,
+    parseAvailable,
+    validate,
+    describe
+};
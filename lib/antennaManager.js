@@ -0,0 +1,80 @@
+// lib/antennaManager.js
+const logger = require('./logger');
+
+let ANTENNAS = {}; // Set from server.js, keyed by antenna name
+let sdrAntennas = {}; // SDR id -> antenna name
+
+// Link antennas to boards using each antenna's `sdrs` list
+function setAntennas(antennas, boards) {
+    ANTENNAS = antennas;
+    sdrAntennas = {};
+    Object.values(antennas).forEach(antenna => {
+        if (!(antenna.freq_start < antenna.freq_stop)) {
+            logger.warn(`Antenna ${antenna.name} has an invalid band ${antenna.freq_start}-${antenna.freq_stop} MHz`);
+        }
+        antenna.sdrs.forEach(id => {
+            if (!boards[id]) {
+                logger.warn(`Antenna ${antenna.name} references unknown SDR ${id}`);
+                return;
+            }
+            if (sdrAntennas[id]) {
+                logger.warn(`SDR ${id} is assigned to both ${sdrAntennas[id]} and ${antenna.name}, keeping ${sdrAntennas[id]}`);
+                return;
+            }
+            sdrAntennas[id] = antenna.name;
+        });
+    });
+}
+
+function getAntennas() {
+    return ANTENNAS;
+}
+
+function getAntenna(id) {
+    const name = sdrAntennas[id];
+    return name ? ANTENNAS[name] : null;
+}
+
+// Antenna summary exposed to API/socket clients (band in MHz, as in boards.json)
+function getAntennaInfo(id) {
+    const antenna = getAntenna(id);
+    if (!antenna) return null;
+    return { name: antenna.name, freq_start: antenna.freq_start, freq_stop: antenna.freq_stop };
+}
+
+// Returns an error message if freq (Hz) is outside the SDR's antenna band, null otherwise
+function checkFrequency(id, freq) {
+    const antenna = getAntenna(id);
+    if (!antenna) return null;
+    const min = antenna.freq_start * 1000000;
+    const max = antenna.freq_stop * 1000000;
+    if (freq < min || freq > max) {
+        return `Frequency ${freq / 1000000} MHz is outside antenna ${antenna.name} band (${antenna.freq_start}-${antenna.freq_stop} MHz)`;
+    }
+    return null;
+}
+
+// OR together the relay mapping of every transmitting SDR's antenna.
+// Boards without an antenna fall back to their own `relays` array. Mappings shorter
+// than relayCount leave the remaining relays open; entries past it are ignored.
+function getRequiredRelays(states, boards, relayCount) {
+    const required = Array(relayCount).fill(0);
+    Object.entries(states).forEach(([id, state]) => {
+        if (!state.tx_on) return;
+        const relays = getAntenna(id)?.relays ?? boards[id]?.relays;
+        if (!Array.isArray(relays)) return;
+        relays.slice(0, relayCount).forEach((val, idx) => {
+            if (val === 1) required[idx] = 1;
+        });
+    });
+    return required;
+}
+
+module.exports = {
+    setAntennas,
+    getAntennas,
+    getAntenna,
+    getAntennaInfo,
+    checkFrequency,
+    getRequiredRelays
+};
@@ -0,0 +1,509 @@
+// lib/apiSpec.js
+// OpenAPI 3.1 description of the REST API, served at /api/docs. lib/apiValidator checks
+// every request against it, so the parameter and body schemas here are the API's input
+// rules: keep them in line with the routes in server.js. `x-role` is the least role an
+// operation needs (requireRole); every /api route but login needs a session token.
+const rfLimits = require('./rfLimits');
+const ad9361 = require('./ad9361Attributes');
+const { GEN_MODES, TX_MODES, SETTINGS_KEYS } = require('./sdrControl');
+const { ROLES, USERNAME_PATTERN, MIN_PASSWORD_LENGTH } = require('./auth');
+const { ID_PATTERN, BOARD_FIELDS } = require('./boardSchema');
+const presetStore = require('./presetStore');
+const sdrGroups = require('./sdrGroups');
+const missionScheduler = require('./missionScheduler');
+const sweepEngine = require('./sweepEngine');
+const waveformLibrary = require('./waveformLibrary');
+const configTransfer = require('./configTransfer');
+const firmwareRepository = require('./firmwareRepository');
+const diagnostics = require('./diagnostics');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const range = (key, description) => {
+    const { min, max, unit } = rfLimits.LIMITS[key];
+    return { type: 'number', minimum: min, maximum: max, description: `${description} (${unit})` };
+};
+
+const ATTRIBUTE_TYPES = { int: 'integer', float: 'number', bool: 'boolean', enum: 'string' };
+
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, description });
+const sdrId = pathParam('id', ref('SdrId'), 'SDR board id');
+
+const jsonBody = (schema, required = true) => ({ required, content: { 'application/json': { schema } } });
+
+const ok = (description, schema = { type: 'object' }) => ({
+    200: { description, content: { 'application/json': { schema } } },
+    default: { description: 'Error', content: { 'application/json': { schema: ref('Error') } } }
+});
+
+// One operation; the operationId of the SDR control actions is also their socket `command` action
+function op(operationId, role, summary, { params = [], body, responses } = {}) {
+    return {
+        operationId,
+        summary,
+        'x-role': role,
+        ...(params.length > 0 && { parameters: params }),
+        ...(body && { requestBody: body }),
+        responses: responses || ok('Success', ref('Success'))
+    };
+}
+
+const stateResponse = ok('New board state', {
+    type: 'object',
+    properties: { success: { type: 'boolean' }, state: ref('SdrState') }
+});
+
+const sdrAction = (operationId, summary, body) => op(operationId, 'operator', summary, { params: [sdrId], body, responses: stateResponse });
+
+const valueBody = schema => jsonBody({ type: 'object', required: ['value'], properties: { value: schema }, additionalProperties: false });
+
+const settingsProperties = {
+    gain: ref('TxGain'),
+    gen_mode: ref('GenMode'),
+    freq: ref('Frequency'),
+    sampling_freq: ref('SampleRate'),
+    mode: ref('TxMode'),
+    waveform: { type: ['string', 'null'], description: 'Waveform id, for mode file' }
+};
+
+const missionProperties = {
+    name: { type: 'string', minLength: 1 },
+    sdr: { type: ['string', 'null'], pattern: ID_PATTERN.source, description: 'Target board (exactly one of sdr or group)' },
+    group: { type: ['string', 'null'], description: 'Target antenna name' },
+    mode: { type: 'string', enum: missionScheduler.MISSION_MODES },
+    freq: ref('Frequency'),
+    gain: ref('TxGain'),
+    sampling_freq: ref('SampleRate'),
+    start_time: { type: 'string', format: 'date-time' },
+    duration_s: { type: 'number', exclusiveMinimum: 0, maximum: missionScheduler.MAX_DURATION_S },
+    repeat: {
+        type: ['object', 'null'],
+        required: ['every_s'],
+        properties: {
+            every_s: { type: 'number', exclusiveMinimum: 0, description: 'At least duration_s' },
+            count: { type: 'integer', minimum: 1 },
+            until: { type: 'string', format: 'date-time' }
+        },
+        additionalProperties: false
+    },
+    enabled: { type: 'boolean' }
+};
+
+module.exports = {
+    openapi: '3.1.0',
+    info: {
+        title: 'SDR server API',
+        version: '1.0.0',
+        description: 'Control of AD9361 (Pluto) boards: settings, TX modes, relays, sweeps, missions and inventory. ' +
+            'Errors answer { error, details? } with the HTTP status; validation errors are 400 with every problem in details.'
+    },
+    servers: [{ url: '/' }],
+    security: [{ bearer: [] }],
+    components: {
+        securitySchemes: {
+            bearer: { type: 'http', scheme: 'bearer', description: 'Token from POST /api/auth/login' }
+        },
+        schemas: {
+            Error: {
+                type: 'object',
+                required: ['error'],
+                properties: {
+                    error: { type: 'string' },
+                    details: { type: 'array', items: { type: 'string' } }
+                }
+            },
+            Success: { type: 'object', properties: { success: { type: 'boolean' } } },
+            SdrId: { type: 'string', pattern: ID_PATTERN.source },
+            Frequency: range('freq', 'AD9361 LO frequency'),
+            SampleRate: range('sampling_freq', 'AD9361 baseband sampling rate'),
+            TxGain: range('gain', 'TX1 hardware gain (attenuation)'),
+            GenMode: { type: 'string', enum: GEN_MODES },
+            TxMode: { type: 'string', enum: TX_MODES },
+            Settings: {
+                type: 'object',
+                description: `Settings bundle; any of ${SETTINGS_KEYS.join(', ')}`,
+                properties: settingsProperties,
+                additionalProperties: false,
+                minProperties: 1
+            },
+            SdrState: {
+                type: 'object',
+                description: 'Board state with its antenna, health, TX safety, restore report and queue summary'
+            },
+            ConfigDocument: {
+                type: 'object',
+                description: 'Whole configuration; entries are checked by lib/boardSchema and the settings rules on import',
+                required: ['format', 'version'],
+                properties: {
+                    format: { type: 'string', enum: [configTransfer.FORMAT] },
+                    version: { type: 'integer', minimum: 1, maximum: configTransfer.VERSION },
+                    exported_at: { type: 'string' },
+                    exported_by: { type: ['string', 'null'] },
+                    boards: { type: 'array', items: { type: 'object' }, description: 'boards.json board entries' },
+                    antennas: { type: 'array', items: { type: 'object' }, description: 'boards.json antenna entries' },
+                    relays: { type: 'object', description: 'settings.json relays section (used after a restart)' },
+                    presets: { type: 'object', description: 'Preset name -> settings bundle' },
+                    settings: { type: 'object', description: 'SDR id -> desired settings bundle' }
+                },
+                additionalProperties: false
+            }
+        }
+    },
+    paths: {
+        '/api/docs': {
+            get: op('docs', 'viewer', 'This document', { responses: ok('OpenAPI document') })
+        },
+        '/api/auth/login': {
+            post: {
+                ...op('login', null, 'Start a session', {
+                    body: jsonBody({
+                        type: 'object',
+                        required: ['username', 'password'],
+                        properties: { username: { type: 'string' }, password: { type: 'string' } }
+                    }),
+                    responses: ok('Session token and user', { type: 'object', properties: { token: { type: 'string' }, user: { type: 'object' } } })
+                }),
+                security: []
+            }
+        },
+        '/api/auth/logout': {
+            post: op('logout', 'viewer', 'End the session')
+        },
+        '/api/auth/me': {
+            get: op('me', 'viewer', 'Logged-in user', { responses: ok('User') })
+        },
+        '/api/users': {
+            get: op('listUsers', 'admin', 'List users', { responses: ok('Users', { type: 'array', items: { type: 'object' } }) }),
+            post: op('createUser', 'admin', 'Create a user', {
+                body: jsonBody({
+                    type: 'object',
+                    required: ['username', 'password', 'role'],
+                    properties: {
+                        username: { type: 'string', pattern: USERNAME_PATTERN.source },
+                        password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+                        role: { type: 'string', enum: ROLES }
+                    },
+                    additionalProperties: false
+                })
+            })
+        },
+        '/api/users/{username}': {
+            put: op('updateUser', 'admin', 'Change the password and/or role of a user', {
+                params: [pathParam('username', { type: 'string', pattern: USERNAME_PATTERN.source })],
+                body: jsonBody({
+                    type: 'object',
+                    properties: {
+                        password: { type: 'string', minLength: MIN_PASSWORD_LENGTH },
+                        role: { type: 'string', enum: ROLES }
+                    },
+                    additionalProperties: false
+                })
+            }),
+            delete: op('deleteUser', 'admin', 'Delete a user (not the last admin)', {
+                params: [pathParam('username', { type: 'string', pattern: USERNAME_PATTERN.source })]
+            })
+        },
+        '/api/sdrs': {
+            get: op('listSdrs', 'viewer', 'Every board with its state', { responses: ok('Boards', { type: 'array', items: ref('SdrState') }) })
+        },
+        '/api/sdrs/{id}/init': {
+            post: sdrAction('init', 'Connect and initialize the board')
+        },
+        '/api/sdrs/{id}/reconnect': {
+            post: { ...sdrAction('reconnect', 'Power-cycle the board USB port, reconnect and re-initialize'), 'x-role': 'admin' }
+        },
+        '/api/sdrs/{id}/gen_mode': {
+            post: sdrAction('gen_mode', 'RX gain control mode', valueBody(ref('GenMode')))
+        },
+        '/api/sdrs/{id}/gain': {
+            post: sdrAction('gain', 'TX1 gain', valueBody(ref('TxGain')))
+        },
+        '/api/sdrs/{id}/freq': {
+            post: sdrAction('freq', 'TX LO frequency (also within the antenna band)', valueBody(ref('Frequency')))
+        },
+        '/api/sdrs/{id}/sampling_freq': {
+            post: sdrAction('sampling_freq', 'Baseband sampling rate', valueBody(ref('SampleRate')))
+        },
+        '/api/sdrs/{id}/set_mode': {
+            post: sdrAction('set_mode', 'Select the generator mode (none = TX off, file = loop an uploaded waveform); updates the relays', jsonBody({
+                type: 'object',
+                required: ['mode'],
+                properties: { mode: ref('TxMode'), waveform: { type: 'string', description: 'Waveform id, required for mode file' } },
+                additionalProperties: false
+            }))
+        },
+        '/api/sdrs/{id}/attributes': {
+            get: op('getAttributes', 'viewer', 'Advanced ad9361-phy attributes with their accepted ranges', { params: [sdrId], responses: ok('Attributes') }),
+            post: sdrAction('setAttributes', 'Write advanced attributes in one batch (ranges are checked against the chip)', jsonBody({
+                type: 'object',
+                properties: Object.fromEntries(ad9361.KEYS.map(key => [key, { type: ATTRIBUTE_TYPES[ad9361.typeOf(key)] }])),
+                additionalProperties: false,
+                minProperties: 1
+            }))
+        },
+        '/api/sdrs/{id}/apply': {
+            post: op('apply', 'operator', 'Apply a settings bundle, or { preset }, rolling back on failure', {
+                params: [sdrId],
+                body: jsonBody({
+                    type: 'object',
+                    properties: { ...settingsProperties, preset: { type: 'string', pattern: presetStore.NAME_PATTERN.source } },
+                    additionalProperties: false,
+                    minProperties: 1
+                }),
+                responses: ok('New state and the settings before', {
+                    type: 'object',
+                    properties: { success: { type: 'boolean' }, state: ref('SdrState'), previous: { type: 'object' } }
+                })
+            })
+        },
+        '/api/sdrs/{id}/sweep/start': {
+            post: op('startSweep', 'operator', 'Start a linear sweep ({ start, stop, step }) or a hop list ({ hops })', {
+                params: [sdrId],
+                body: jsonBody({
+                    type: 'object',
+                    properties: {
+                        start: ref('Frequency'),
+                        stop: ref('Frequency'),
+                        step: { type: 'number', exclusiveMinimum: 0, description: 'Hz' },
+                        hops: { type: 'array', minItems: 1, items: ref('Frequency') },
+                        dwell_ms: { type: 'number', minimum: sweepEngine.MIN_DWELL_MS },
+                        loop: { type: 'boolean' }
+                    },
+                    additionalProperties: false
+                }),
+                responses: ok('Sweep started')
+            })
+        },
+        '/api/sdrs/{id}/sweep/stop': {
+            post: op('stopSweep', 'operator', 'Stop the running sweep', { params: [sdrId] })
+        },
+        '/api/sdrs/{id}/sweep': {
+            get: op('getSweep', 'viewer', 'Sweep status', { params: [sdrId], responses: ok('Sweep status') })
+        },
+        '/api/sdrs/{id}/spectrum': {
+            get: op('getSpectrum', 'viewer', 'Capture one RX spectrum (dBFS bins over center_hz ± sample_rate / 2)', { params: [sdrId], responses: ok('Spectrum') })
+        },
+        '/api/sdrs/{id}/firmware': {
+            get: op('getFirmware', 'viewer', 'Build IDs read at init, the expected bitstream and the last update', { params: [sdrId], responses: ok('Firmware status') }),
+            post: op('updateFirmware', 'admin', 'Flash an approved image (TX off, upload, md5 check, update, reboot); answers 202, progress in firmwareProgress events', {
+                params: [sdrId],
+                body: jsonBody({ type: 'object', required: ['image'], properties: { image: { type: 'string' } }, additionalProperties: false }),
+                responses: ok('Update started')
+            })
+        },
+        '/api/sdrs/{id}/diagnostics': {
+            get: op('listDiagnostics', 'viewer', 'The diagnostic checks available and the stored reports of the board, newest first', { params: [sdrId], responses: ok('Checks and reports') }),
+            post: op('runDiagnostics', 'operator', 'Run diagnostic checks from the fixed catalogue (all by default) and store the report', {
+                params: [sdrId],
+                body: jsonBody({
+                    type: 'object',
+                    properties: { checks: { type: 'array', minItems: 1, items: { type: 'string', enum: Object.keys(diagnostics.CATALOGUE) } } },
+                    additionalProperties: false
+                }, false),
+                responses: ok('Report')
+            })
+        },
+        '/api/sdrs/{id}/diagnostics/{reportId}': {
+            get: op('getDiagnostics', 'viewer', 'One stored report', {
+                params: [sdrId, pathParam('reportId', { type: 'string' }), queryParam('download', { type: 'string' }, 'Present: answer as an attachment')],
+                responses: ok('Report')
+            })
+        },
+        '/api/sdrs/{id}/queue': {
+            get: op('getQueue', 'viewer', 'Command queue: the running job and those waiting', { params: [sdrId], responses: ok('Queue') })
+        },
+        '/api/sdrs/{id}/queue/{job}': {
+            delete: op('cancelJob', 'operator', 'Cancel a queued or running job', {
+                params: [sdrId, pathParam('job', { type: 'integer', minimum: 1 }, 'Job number')]
+            })
+        },
+        '/api/sdrs/{id}/restart_usb': {
+            post: op('restartSdrUsb', 'admin', 'Power-cycle the board USB port', { params: [sdrId] })
+        },
+        '/api/sdrs/{id}/sim': {
+            get: op('getSim', 'admin', 'Simulator model and faults (sim transport only)', { params: [sdrId], responses: ok('Simulator') }),
+            post: op('setSimFaults', 'admin', 'Inject simulator faults', {
+                params: [sdrId],
+                body: jsonBody({
+                    type: 'object',
+                    properties: {
+                        latency_ms: { type: 'number', minimum: 0 },
+                        jitter_ms: { type: 'number', minimum: 0 },
+                        fault_rate: { type: 'number', minimum: 0, maximum: 1 },
+                        disconnect_rate: { type: 'number', minimum: 0, maximum: 1 },
+                        connect_fail: { type: 'boolean' },
+                        boot_ms: { type: 'number', minimum: 0 }
+                    },
+                    additionalProperties: false
+                })
+            })
+        },
+        '/api/presets': {
+            get: op('listPresets', 'viewer', 'Named settings bundles', { responses: ok('Presets', { type: 'array', items: { type: 'object' } }) })
+        },
+        '/api/presets/{name}': {
+            put: op('savePreset', 'operator', 'Create or replace a preset', {
+                params: [pathParam('name', { type: 'string', pattern: presetStore.NAME_PATTERN.source })],
+                body: jsonBody(ref('Settings'))
+            }),
+            delete: op('deletePreset', 'operator', 'Delete a preset', {
+                params: [pathParam('name', { type: 'string', pattern: presetStore.NAME_PATTERN.source })]
+            })
+        },
+        '/api/presets/{name}/apply': {
+            post: op('applyPreset', 'operator', 'Apply a preset to several boards (207 if some failed)', {
+                params: [pathParam('name', { type: 'string', pattern: presetStore.NAME_PATTERN.source })],
+                body: jsonBody({
+                    type: 'object',
+                    required: ['sdrs'],
+                    properties: { sdrs: { type: 'array', minItems: 1, items: ref('SdrId') } },
+                    additionalProperties: false
+                }),
+                responses: ok('Per-board results')
+            })
+        },
+        '/api/waveforms': {
+            get: op('listWaveforms', 'viewer', 'Uploaded IQ waveforms', { responses: ok('Waveforms', { type: 'array', items: { type: 'object' } }) }),
+            post: op('uploadWaveform', 'operator', 'Upload an IQ file as the application/octet-stream body (stored as ci16)', {
+                params: [
+                    { ...queryParam('name', { type: 'string', pattern: waveformLibrary.NAME_PATTERN.source }), required: true },
+                    { ...queryParam('format', { type: 'string', enum: waveformLibrary.FORMATS }, 'ci16, cf32 (interleaved little-endian I/Q) or sigmf (tar archive)'), required: true },
+                    queryParam('sample_rate', ref('SampleRate'), 'Required unless the SigMF metadata has core:sample_rate')
+                ],
+                body: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } } } },
+                responses: ok('Stored waveform')
+            })
+        },
+        '/api/waveforms/{waveformId}': {
+            delete: op('deleteWaveform', 'operator', 'Delete a waveform (not while it plays)', { params: [pathParam('waveformId', { type: 'string' })] })
+        },
+        '/api/firmware/images': {
+            get: op('listFirmwareImages', 'viewer', 'Approved firmware images', { responses: ok('Images', { type: 'array', items: { type: 'object' } }) }),
+            post: op('uploadFirmwareImage', 'admin', 'Upload a .frm image as the application/octet-stream body', {
+                params: [
+                    { ...queryParam('name', { type: 'string', pattern: firmwareRepository.NAME_PATTERN.source }), required: true },
+                    { ...queryParam('fw_version', { type: 'string', minLength: 1 }, 'Firmware version the image reports (iio context fw_version)'), required: true },
+                    { ...queryParam('build_id', { type: 'string', pattern: firmwareRepository.BUILD_ID_PATTERN.source }, 'FPGA build ID of its bitstream'), required: true },
+                    queryParam('sha256', { type: 'string', pattern: '^[0-9a-fA-F]{64}$' }, 'Checked against the received file')
+                ],
+                body: { required: true, content: { 'application/octet-stream': { schema: { type: 'string', contentMediaType: 'application/octet-stream' } } } },
+                responses: ok('Stored image')
+            })
+        },
+        '/api/firmware/images/{imageId}': {
+            delete: op('deleteFirmwareImage', 'admin', 'Delete an image (not the expected one, nor while it is flashed)', { params: [pathParam('imageId', { type: 'string' })] })
+        },
+        '/api/firmware/expected': {
+            put: op('setExpectedFirmware', 'admin', 'Require the bitstream of an image for TX, or { image: null } to stop', {
+                body: jsonBody({ type: 'object', required: ['image'], properties: { image: { type: ['string', 'null'] } }, additionalProperties: false })
+            })
+        },
+        '/api/groups': {
+            get: op('listGroups', 'viewer', 'Antenna and tag groups', { responses: ok('Groups') })
+        },
+        '/api/groups/{group}/{action}': {
+            post: op('groupAction', 'operator', 'Run an action on antenna:<name>, tag:<tag> or id,id,... (207 if some failed)', {
+                params: [
+                    pathParam('group', { type: 'string', minLength: 1 }),
+                    pathParam('action', { type: 'string', enum: sdrGroups.ACTIONS })
+                ],
+                body: jsonBody({
+                    type: 'object',
+                    properties: { value: ref('Frequency'), mode: ref('TxMode') },
+                    additionalProperties: false
+                }, false),
+                responses: ok('Per-board results')
+            })
+        },
+        '/api/bandplan': {
+            get: op('getBandPlan', 'viewer', 'Frequency conflict policy and antenna bands (MHz)', { responses: ok('Band plan') })
+        },
+        '/api/missions': {
+            get: op('listMissions', 'viewer', 'Scheduled TX missions', { responses: ok('Missions', { type: 'array', items: { type: 'object' } }) }),
+            post: op('createMission', 'operator', 'Schedule a mission', {
+                body: jsonBody({
+                    type: 'object',
+                    required: ['name', 'mode', 'freq', 'start_time', 'duration_s'],
+                    properties: missionProperties,
+                    additionalProperties: false
+                })
+            })
+        },
+        '/api/missions/{missionId}': {
+            get: op('getMission', 'viewer', 'One mission', { params: [pathParam('missionId', { type: 'string' })], responses: ok('Mission') }),
+            put: op('updateMission', 'operator', 'Change a mission', {
+                params: [pathParam('missionId', { type: 'string' })],
+                body: jsonBody({ type: 'object', properties: missionProperties, additionalProperties: false })
+            }),
+            delete: op('deleteMission', 'operator', 'Delete (and stop) a mission', { params: [pathParam('missionId', { type: 'string' })] })
+        },
+        '/api/audit': {
+            get: op('queryAudit', 'operator', 'Audit trail', {
+                params: [
+                    queryParam('from', { type: 'string', format: 'date-time' }),
+                    queryParam('to', { type: 'string', format: 'date-time' }),
+                    queryParam('sdr', { type: 'string' }),
+                    queryParam('action', { type: 'string' }, 'Comma-separated list'),
+                    queryParam('user', { type: 'string' }),
+                    queryParam('limit', { type: 'integer', minimum: 0 }, '0 = all (default 1000)'),
+                    queryParam('format', { type: 'string', enum: ['json', 'csv'] }),
+                    queryParam('download', { type: 'string' }, 'Present: answer as an attachment')
+                ],
+                responses: ok('Entries (or CSV)', { type: 'array', items: { type: 'object' } })
+            })
+        },
+        '/api/boards': {
+            get: op('listBoards', 'admin', 'Board inventory (boards.json)', { responses: ok('Boards', { type: 'array', items: { type: 'object' } }) }),
+            post: op('createBoard', 'admin', 'Add a board (fields checked by lib/boardSchema; errors in details)', {
+                body: jsonBody({ type: 'object', properties: Object.fromEntries(BOARD_FIELDS.map(field => [field, {}])) })
+            })
+        },
+        '/api/boards/{id}': {
+            get: op('getBoard', 'admin', 'One board entry', { params: [sdrId], responses: ok('Board') }),
+            put: op('updateBoard', 'admin', 'Replace fields of a board entry', {
+                params: [sdrId],
+                body: jsonBody({ type: 'object', properties: Object.fromEntries(BOARD_FIELDS.map(field => [field, {}])) })
+            }),
+            delete: op('deleteBoard', 'admin', 'Remove a board (TX off first)', { params: [sdrId] })
+        },
+        '/api/config/export': {
+            get: op('exportConfig', 'admin', 'Boards, antennas, relay boards, presets and desired SDR settings as one document', {
+                params: [queryParam('download', { type: 'string' }, 'Present: answer as an attachment')],
+                responses: ok('Configuration document', ref('ConfigDocument'))
+            })
+        },
+        '/api/config/import': {
+            post: op('importConfig', 'admin', 'Check a configuration document and apply it; sections left out are kept (errors in details)', {
+                params: [queryParam('dry_run', { type: 'string' }, 'Present: only validate and answer with the diff')],
+                body: jsonBody(ref('ConfigDocument')),
+                responses: ok('Diff against the running state', {
+                    type: 'object',
+                    properties: { success: { type: 'boolean' }, dry_run: { type: 'boolean' }, diff: { type: 'object' }, restart_required: { type: 'boolean' } }
+                })
+            })
+        },
+        '/api/relays': {
+            get: op('getRelays', 'viewer', 'Relay states and override flag', { responses: ok('Relays') })
+        },
+        '/api/relays/override': {
+            post: op('setRelayOverride', 'admin', 'Enable or disable the manual relay override', {
+                body: jsonBody({ type: 'object', required: ['enabled'], properties: { enabled: { type: 'boolean' } }, additionalProperties: false })
+            })
+        },
+        '/api/relays/{relay}': {
+            post: op('setRelay', 'admin', 'Switch one relay (override only)', {
+                params: [pathParam('relay', { type: 'integer', minimum: 0 }, 'Relay index')],
+                body: jsonBody({ type: 'object', required: ['state'], properties: { state: { type: 'integer', enum: [0, 1] } }, additionalProperties: false })
+            })
+        },
+        '/api/emergency_stop': {
+            post: op('emergency_stop', 'viewer', 'TX off on every board and every relay open (500 if some did not confirm)', {
+                responses: ok('Per-board and relay results')
+            })
+        },
+        '/api/restart_usb': {
+            post: op('restartUsb', 'admin', 'Power-cycle every port of the USB hub')
+        }
+    }
+};
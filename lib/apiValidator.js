@@ -0,0 +1,138 @@
+// lib/apiValidator.js
+// Request validation generated from the OpenAPI document (lib/apiSpec): the path
+// parameters, query and JSON body of every documented operation are checked against its
+// schemas before the route runs. Implements the JSON Schema subset the document uses
+// (type, enum, ranges, lengths, pattern, date-time, properties, required, items, $ref).
+// Failures answer 400 { error, details } with every problem found.
+const spec = require('./apiSpec');
+
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+    array: value => Array.isArray(value),
+    null: value => value === null
+};
+
+function resolve(schema) {
+    if (!schema?.$ref) return schema;
+    return resolve(schema.$ref.slice(2).split('/').reduce((node, key) => node[key], spec));
+}
+
+const at = (where, key) => (where ? `${where}.${key}` : key);
+
+// Appends "<where> <problem>" messages for value to errors
+function check(schema, value, where, errors) {
+    schema = resolve(schema);
+    const name = where || 'body';
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(type => TYPE_CHECKS[type](value))) {
+            errors.push(`${name} must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${name} must be one of ${schema.enum.join(', ')}`);
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${name} must be >= ${schema.minimum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${name} must be > ${schema.exclusiveMinimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${name} must be <= ${schema.maximum}`);
+    } else if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${name} must be at least ${schema.minLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${name} has an invalid format`);
+        if (schema.format === 'date-time' && isNaN(Date.parse(value))) errors.push(`${name} must be an ISO date`);
+    } else if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${name} must have at least ${schema.minItems} item(s)`);
+        if (schema.items) value.forEach((item, i) => check(schema.items, item, `${name}[${i}]`, errors));
+    } else if (TYPE_CHECKS.object(value)) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) errors.push(`${at(where, key)} is required`);
+        });
+        if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) errors.push(`${name} must not be empty`);
+        Object.entries(value).forEach(([key, property]) => {
+            const propertySchema = schema.properties?.[key] ?? schema.additionalProperties;
+            if (propertySchema === false) errors.push(`${at(where, key)} is not allowed`);
+            else if (propertySchema && propertySchema !== true) check(propertySchema, property, at(where, key), errors);
+        });
+    }
+}
+
+// Path and query parameters arrive as strings
+function coerce(schema, raw) {
+    if (typeof raw !== 'string') return raw;
+    const type = [].concat(resolve(schema).type)[0];
+    if ((type === 'integer' || type === 'number') && raw.trim() !== '' && !isNaN(Number(raw))) return Number(raw);
+    if (type === 'boolean' && (raw === 'true' || raw === 'false')) return raw === 'true';
+    return raw;
+}
+
+// Problems with a request to an operation (empty array when valid).
+// input: { params, query, body }
+function validate(operation, { params = {}, query = {}, body } = {}) {
+    const errors = [];
+    (operation.parameters || []).forEach(parameter => {
+        const raw = (parameter.in === 'path' ? params : query)[parameter.name];
+        if (raw === undefined) {
+            if (parameter.required) errors.push(`${parameter.name} is required`);
+            return;
+        }
+        check(parameter.schema, coerce(parameter.schema, raw), parameter.name, errors);
+    });
+    const bodySchema = operation.requestBody?.content['application/json']?.schema;
+    if (bodySchema && (operation.requestBody.required || (body !== undefined && Object.keys(body).length > 0))) {
+        check(bodySchema, body ?? {}, '', errors);
+    }
+    return errors;
+}
+
+// Every operation with a matcher for its path; literal paths first, so
+// /api/relays/override wins over /api/relays/{relay}
+const operations = Object.entries(spec.paths).flatMap(([route, item]) => {
+    const names = [];
+    const pattern = new RegExp(`^${route.replace(/\{(\w+)\}/g, (_, name) => {
+        names.push(name);
+        return '([^/]+)';
+    })}/?$`);
+    return Object.entries(item).map(([method, operation]) => ({ method: method.toUpperCase(), pattern, names, operation }));
+}).sort((a, b) => a.names.length - b.names.length);
+
+const byId = Object.fromEntries(operations.map(entry => [entry.operation.operationId, entry.operation]));
+
+function errorBody(errors) {
+    return { error: `Invalid request: ${errors.join('; ')}`, details: errors };
+}
+
+// Express middleware; requests to undocumented routes pass through
+function validateRequest(req, res, next) {
+    const url = req.baseUrl + req.path;
+    for (const { method, pattern, names, operation } of operations) {
+        if (method !== req.method) continue;
+        const match = url.match(pattern);
+        if (!match) continue;
+        let params;
+        try {
+            params = Object.fromEntries(names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+        } catch {
+            return res.status(400).json(errorBody(['malformed URL encoding']));
+        }
+        const errors = validate(operation, { params, query: req.query, body: req.body });
+        if (errors.length > 0) return res.status(400).json(errorBody(errors));
+        return next();
+    }
+    next();
+}
+
+// Same checks for input that does not come over REST (socket commands):
+// { error, details } or null
+function validateOperation(operationId, input) {
+    const errors = validate(byId[operationId], input);
+    return errors.length > 0 ? errorBody(errors) : null;
+}
+
+module.exports = {
+    validateRequest,
+    validateOperation
+};
@@ -0,0 +1,122 @@
+// lib/auditLog.js
+// Append-only audit trail of RF-affecting actions (JSON lines in data/audit/).
+// The active file rotates to audit-<timestamp>.log once it reaches AUDIT_MAX_BYTES;
+// rotated files are never rewritten. Emits 'record' for the live feed.
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { dataPath } = require('./dataStore');
+const { sdrStates } = require('./sdrManager');
+
+const events = new EventEmitter();
+const AUDIT_DIR = dataPath('audit');
+const ACTIVE_FILE = path.join(AUDIT_DIR, 'audit.log');
+const MAX_BYTES = parseInt(process.env.AUDIT_MAX_BYTES) || 10 * 1024 * 1024;
+const CSV_COLUMNS = ['ts', 'user', 'ip', 'source', 'sdr', 'action', 'result', 'error', 'params', 'before', 'after'];
+
+function snapshot(id) {
+    const state = sdrStates[id];
+    if (!state) return null;
+    const mode = Object.keys(state.modes || {}).find(key => state.modes[key]) || 'none';
+    return { gain: state.gain, gen_mode: state.gen_mode, freq: state.freq, sampling_freq: state.sampling_freq, mode, tx_on: state.tx_on };
+}
+
+function rotateIfNeeded() {
+    if (!fs.existsSync(ACTIVE_FILE) || fs.statSync(ACTIVE_FILE).size < MAX_BYTES) return;
+    const rotated = path.join(AUDIT_DIR, `audit-${new Date().toISOString().replace(/[:.]/g, '-')}.log`);
+    fs.renameSync(ACTIVE_FILE, rotated);
+    logger.info(`Audit log rotated to ${rotated}`);
+}
+
+// ctx: { user, ip, source } of whoever asked for the action
+function record(ctx = {}, { sdr = null, action, params, before, after, result, error }) {
+    const entry = {
+        ts: new Date().toISOString(),
+        user: ctx.user || 'system',
+        ip: ctx.ip || null,
+        source: ctx.source || 'system',
+        sdr,
+        action,
+        params: params ?? null,
+        before: before ?? null,
+        after: after ?? null,
+        result,
+        error: error ?? null
+    };
+    try {
+        fs.mkdirSync(AUDIT_DIR, { recursive: true });
+        rotateIfNeeded();
+        fs.appendFileSync(ACTIVE_FILE, JSON.stringify(entry) + '\n');
+    } catch (err) {
+        logger.error(`Failed to write audit record: ${err.message}`);
+    }
+    events.emit('record', entry);
+    return entry;
+}
+
+// Run an action for an SDR and record its before/after state and outcome
+async function track(ctx, action, id, params, fn) {
+    const before = snapshot(id);
+    try {
+        const value = await fn();
+        record(ctx, { sdr: id, action, params, before, after: snapshot(id), result: 'success' });
+        return value;
+    } catch (err) {
+        record(ctx, { sdr: id, action, params, before, after: snapshot(id), result: 'error', error: err.message });
+        throw err;
+    }
+}
+
+function listFiles() {
+    if (!fs.existsSync(AUDIT_DIR)) return [];
+    // Rotated names sort chronologically; the active file is always the newest
+    const rotated = fs.readdirSync(AUDIT_DIR).filter(name => /^audit-.+\.log$/.test(name)).sort();
+    return [...rotated, 'audit.log'].map(name => path.join(AUDIT_DIR, name)).filter(file => fs.existsSync(file));
+}
+
+// Filters: from/to (ISO), sdr, action, user; limit keeps the newest entries (0 = all)
+function query({ from, to, sdr, action, user, limit = 1000 } = {}) {
+    const fromTs = from ? Date.parse(from) : -Infinity;
+    const toTs = to ? Date.parse(to) : Infinity;
+    const actions = action ? action.split(',') : null;
+    const entries = [];
+    listFiles().forEach(file => {
+        fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+            if (!line) return;
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                return;
+            }
+            const ts = Date.parse(entry.ts);
+            if (ts < fromTs || ts > toTs) return;
+            if (sdr && entry.sdr !== sdr) return;
+            if (actions && !actions.includes(entry.action)) return;
+            if (user && entry.user !== user) return;
+            entries.push(entry);
+        });
+    });
+    return limit > 0 ? entries.slice(-limit) : entries;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+    const lines = entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+}
+
+module.exports = {
+    events,
+    record,
+    track,
+    snapshot,
+    query,
+    toCsv
+};
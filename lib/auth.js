@@ -0,0 +1,205 @@
+// lib/auth.js
+// Local users (scrypt-hashed, data/users.json), bearer-token sessions and roles.
+// Roles are ordered: viewer < operator < admin.
+const crypto = require('crypto');
+const fs = require('fs');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { readJson, writeJson, dataPath } = require('./dataStore');
+
+const USERS_FILE = 'users.json';
+const INITIAL_PASSWORD_FILE = 'initial-admin-password';
+const ROLES = ['viewer', 'operator', 'admin'];
+const SESSION_TTL_MS = 12 * 3600 * 1000;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{1,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const events = new EventEmitter(); // 'revoked' (token) when a session ends early
+const users = new Map(); // username -> { username, role, salt, hash }
+const sessions = new Map(); // token -> { username, role, expires }
+
+function authError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function hashPassword(password, salt) {
+    return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function saveUsers() {
+    writeJson(USERS_FILE, [...users.values()], { mode: 0o600 });
+}
+
+// Load users; on first start create an admin from SDR_ADMIN_PASSWORD or a random password.
+// A random password never goes through the logger (app.log ends up in bug reports): it is
+// written to data/initial-admin-password, readable by the owner only, and to stderr.
+function loadUsers() {
+    users.clear();
+    readJson(USERS_FILE, []).forEach(user => users.set(user.username, user));
+    if (users.size > 0) return;
+
+    const password = process.env.SDR_ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64');
+    createUser({ username: 'admin', password, role: 'admin' });
+    if (!process.env.SDR_ADMIN_PASSWORD) {
+        const file = dataPath(INITIAL_PASSWORD_FILE);
+        fs.writeFileSync(file, `${password}\n`, { mode: 0o600 });
+        fs.chmodSync(file, 0o600);
+        process.stderr.write(`No users found, created 'admin' with password: ${password} (change it)\n`);
+        logger.warn(`No users found, created 'admin'; its password is in ${file} (change it)`);
+    }
+}
+
+function publicUser(user) {
+    return { username: user.username, role: user.role };
+}
+
+function validateRole(role) {
+    if (!ROLES.includes(role)) throw authError(400, `role must be one of ${ROLES.join(', ')}`);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw authError(400, `password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+}
+
+// Whether user is the only admin left (deleting or demoting it would lock admins out)
+function isLastAdmin(user) {
+    return user.role === 'admin' && [...users.values()].filter(u => u.role === 'admin').length === 1;
+}
+
+function listUsers() {
+    return [...users.values()].map(publicUser);
+}
+
+function createUser({ username, password, role }) {
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) throw authError(400, 'Invalid username');
+    if (users.has(username)) throw authError(409, 'User already exists');
+    validateRole(role);
+    validatePassword(password);
+    const salt = crypto.randomBytes(16).toString('hex');
+    users.set(username, { username, role, salt, hash: hashPassword(password, salt) });
+    saveUsers();
+    logger.info(`User ${username} created with role ${role}`);
+    return publicUser(users.get(username));
+}
+
+function updateUser(username, { password, role }) {
+    const user = users.get(username);
+    if (!user) throw authError(404, 'User not found');
+    if (role !== undefined) {
+        validateRole(role);
+        if (role !== 'admin' && isLastAdmin(user)) throw authError(400, 'Cannot demote the last admin');
+    }
+    if (password !== undefined) validatePassword(password);
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) {
+        user.salt = crypto.randomBytes(16).toString('hex');
+        user.hash = hashPassword(password, user.salt);
+    }
+    saveUsers();
+    revokeSessions(username);
+    return publicUser(user);
+}
+
+function deleteUser(username) {
+    if (!users.has(username)) throw authError(404, 'User not found');
+    if (isLastAdmin(users.get(username))) throw authError(400, 'Cannot delete the last admin');
+    users.delete(username);
+    saveUsers();
+    revokeSessions(username);
+    logger.info(`User ${username} deleted`);
+}
+
+function login(username, password) {
+    const user = users.get(username);
+    const valid = user && typeof password === 'string' &&
+        crypto.timingSafeEqual(Buffer.from(hashPassword(password, user.salt), 'hex'), Buffer.from(user.hash, 'hex'));
+    if (!valid) {
+        logger.warn(`Failed login for user ${username}`);
+        throw authError(401, 'Invalid username or password');
+    }
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { username: user.username, role: user.role, expires: Date.now() + SESSION_TTL_MS });
+    logger.info(`User ${username} logged in`);
+    return { token, user: publicUser(user) };
+}
+
+function logout(token) {
+    sessions.delete(token);
+    events.emit('revoked', token);
+}
+
+function revokeSessions(username) {
+    for (const [token, session] of sessions) {
+        if (session.username === username) logout(token);
+    }
+}
+
+// Returns the session user for a token, or null if unknown/expired
+function verifyToken(token) {
+    const session = token && sessions.get(token);
+    if (!session) return null;
+    if (session.expires < Date.now()) {
+        sessions.delete(token);
+        return null;
+    }
+    return { username: session.username, role: session.role };
+}
+
+function hasRole(user, role) {
+    return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// Express middleware: every /api request needs a valid session
+function authenticate(req, res, next) {
+    const token = getBearerToken(req);
+    const user = verifyToken(token);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    req.user = user;
+    req.token = token;
+    next();
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!hasRole(req.user, role)) return res.status(403).json({ error: `${role} role required` });
+        next();
+    };
+}
+
+// socket.io middleware: token in the handshake auth payload, viewer is enough to connect
+function authenticateSocket(socket, next) {
+    const token = socket.handshake.auth?.token;
+    const user = verifyToken(token);
+    if (!user) return next(new Error('Authentication required'));
+    socket.data.user = user;
+    socket.data.token = token;
+    next();
+}
+
+module.exports = {
+    events,
+    ROLES,
+    USERNAME_PATTERN,
+    MIN_PASSWORD_LENGTH,
+    loadUsers,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    login,
+    logout,
+    verifyToken,
+    hasRole,
+    authenticate,
+    requireRole,
+    authenticateSocket
+};
@@ -0,0 +1,108 @@
+// lib/bandPlan.js
+// Occupied spectrum of each board (freq ± sampling_freq / 2) and the frequency conflict
+// policy (settings.json `conflicts`): a freq, sampling_freq or set_mode change that makes
+// a transmitting board overlap another transmitting board is logged and reported ('warn')
+// or refused with 409 ('refuse'). Emits 'conflict' with { id, conflicts, refused, message }.
+// A change that passes holds its span (reserve) until the board's queue job has committed
+// it or failed, so concurrent changes on different boards see each other.
+const EventEmitter = require('events');
+const logger = require('./logger');
+const settings = require('./settings');
+const { sdrStates } = require('./sdrManager');
+const { getAntennas } = require('./antennaManager');
+
+const events = new EventEmitter();
+const reported = {}; // SDR id -> conflicting ids last warned about, so sweeps do not repeat it every hop
+const reservations = {}; // SDR id -> Set of spans checked but not yet committed to its state
+
+function span(freq, sampling_freq) {
+    return { low: freq - sampling_freq / 2, high: freq + sampling_freq / 2 };
+}
+
+const mhz = hz => +(hz / 1000000).toFixed(3);
+
+// Spans board id occupies: its committed one while transmitting, and those reserved by changes in flight
+function occupiedSpans(id) {
+    const state = sdrStates[id];
+    const spans = state.tx_on && state.freq && state.sampling_freq ? [span(state.freq, state.sampling_freq)] : [];
+    return [...spans, ...(reservations[id] || [])];
+}
+
+// Transmitting boards whose span would overlap board id's with `changes` ({ freq, sampling_freq })
+function findConflicts(id, changes = {}) {
+    const { guard_hz } = settings.get('conflicts');
+    const state = { ...sdrStates[id], ...changes };
+    const own = span(state.freq, state.sampling_freq);
+    return Object.keys(sdrStates)
+        .filter(other => other !== id)
+        .map(other => occupiedSpans(other)
+            .filter(({ low, high }) => own.low < high + guard_hz && low < own.high + guard_hz)
+            .map(({ low, high }) => ({ sdr: other, low, high }))[0])
+        .filter(Boolean);
+}
+
+// Apply the policy to a change that leaves board id transmitting; throws (status 409) when refused
+function checkChange(id, changes) {
+    const { policy } = settings.get('conflicts');
+    if (policy === 'off') return;
+    const conflicts = findConflicts(id, changes);
+    const key = conflicts.map(conflict => conflict.sdr).sort().join(',');
+    const refused = policy === 'refuse';
+    if (!key || (!refused && reported[id] === key)) {
+        if (!key) delete reported[id];
+        return;
+    }
+
+    const state = { ...sdrStates[id], ...changes };
+    const own = span(state.freq, state.sampling_freq);
+    const message = `SDR ${id} (${mhz(own.low)}-${mhz(own.high)} MHz) would overlap ` +
+        conflicts.map(conflict => `${conflict.sdr} (${mhz(conflict.low)}-${mhz(conflict.high)} MHz)`).join(', ');
+    logger.warn(`Frequency conflict${refused ? ', change refused' : ''}: ${message}`);
+    events.emit('conflict', { id, conflicts, refused, message });
+    if (refused) {
+        const err = new Error(`Frequency conflict: ${message}`);
+        err.status = 409;
+        throw err;
+    }
+    reported[id] = key;
+}
+
+// Check a change and hold its span until the returned release() (call it once the queue job
+// committing the change has finished, whether it succeeded or not)
+function reserve(id, changes) {
+    checkChange(id, changes);
+    const state = { ...sdrStates[id], ...changes };
+    const reserved = span(state.freq, state.sampling_freq);
+    if (!reservations[id]) reservations[id] = new Set();
+    reservations[id].add(reserved);
+    return () => {
+        reservations[id]?.delete(reserved);
+        if (reservations[id]?.size === 0) delete reservations[id];
+    };
+}
+
+function isReserved(id) {
+    return Boolean(reservations[id]);
+}
+
+// Forget the warning once a board stops transmitting
+function clear(id) {
+    delete reported[id];
+}
+
+// Static part of the band plan for clients: policy and antenna bands (MHz, as in boards.json)
+function getPlan() {
+    const { policy, guard_hz } = settings.get('conflicts');
+    const antennas = Object.values(getAntennas()).map(({ name, freq_start, freq_stop, sdrs }) => ({ name, freq_start, freq_stop, sdrs }));
+    return { policy, guard_hz, antennas };
+}
+
+module.exports = {
+    events,
+    findConflicts,
+    checkChange,
+    reserve,
+    isReserved,
+    clear,
+    getPlan
+};
@@ -0,0 +1,208 @@
+// lib/boardInventory.js
+// Live board list: CRUD for admins (written back to boards.json atomically) and a
+// watch on boards.json so hand edits are picked up without a restart. Every change
+// is validated first; an invalid file is reported and the running config kept.
+// Emits 'changed' ({ added, removed, updated, ctx }) once a new config is live.
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { BOARDS_FILE, parseBoardsFile, writeBoardsFile, toBoards, toAntennas } = require('./configLoader');
+const { isAntenna } = require('./boardSchema');
+const { sdrStates, registerSDR, unregisterSDR, resetLink } = require('./sdrManager');
+const { setAntennas } = require('./antennaManager');
+const sdrControl = require('./sdrControl');
+const sweepEngine = require('./sweepEngine');
+const healthMonitor = require('./healthMonitor');
+const txSafety = require('./txSafety');
+const spectrumCapture = require('./spectrumCapture');
+const firmwareManager = require('./firmwareManager');
+const auditLog = require('./auditLog');
+
+const events = new EventEmitter();
+const FILE_CTX = { user: 'system', source: 'file' };
+const RELOAD_DELAY_MS = 300; // Editors write in several steps; wait for the last one
+// Changing these means talking to a different device (or differently), so the link is rebuilt
+const LINK_FIELDS = ['ip', 'transport', 'sim', 'mode_gpio'];
+
+let SDR_BOARDS = null; // Shared with server.js and sdrManager, updated in place
+let entries = [];
+let lastText = null; // Content last applied, to ignore our own writes coming back from the watcher
+let watcher = null;
+let reloadTimer = null;
+let queue = Promise.resolve(); // Changes run one at a time, each on top of the previous one
+
+function init(boards) {
+    SDR_BOARDS = boards;
+    const parsed = parseBoardsFile();
+    entries = parsed.entries;
+    lastText = parsed.text;
+}
+
+function list() {
+    return entries.filter(entry => !isAntenna(entry));
+}
+
+// Every boards.json entry (boards and antennas) as running now
+function getEntries() {
+    return entries;
+}
+
+function get(id) {
+    const board = SDR_BOARDS[id];
+    if (!board) throw sdrControl.controlError(404, 'Board not found');
+    return board;
+}
+
+// Switch TX off before a board is retired or re-linked; an unreachable board is logged, not fatal
+async function quiesce(id, ctx) {
+    if (sweepEngine.isRunning(id)) sweepEngine.stop(id, 'board_changed', ctx);
+    if (!sdrStates[id]?.tx_on) return;
+    try {
+        await sdrControl.setMode(id, 'none', ctx);
+    } catch (err) {
+        logger.error(`Could not switch TX off on SDR ${id} before reconfiguring it: ${err.message}`);
+    }
+}
+
+// Bring the running server in line with a validated entry list
+async function apply(newEntries, ctx) {
+    const boards = toBoards(newEntries);
+    const added = Object.keys(boards).filter(id => !SDR_BOARDS[id]);
+    const removed = Object.keys(SDR_BOARDS).filter(id => !boards[id]);
+    const updated = Object.keys(boards).filter(id => SDR_BOARDS[id] && JSON.stringify(SDR_BOARDS[id]) !== JSON.stringify(boards[id]));
+    const relinked = updated.filter(id => LINK_FIELDS.some(key => JSON.stringify(SDR_BOARDS[id][key]) !== JSON.stringify(boards[id][key])));
+
+    await Promise.all([...removed, ...relinked].map(id => quiesce(id, ctx)));
+
+    entries = newEntries;
+    removed.forEach(id => {
+        unregisterSDR(id);
+        healthMonitor.forget(id);
+        txSafety.forget(id);
+        spectrumCapture.forget(id);
+        firmwareManager.forget(id);
+        delete SDR_BOARDS[id];
+    });
+    Object.keys(boards).forEach(id => {
+        SDR_BOARDS[id] = boards[id];
+    });
+    added.forEach(registerSDR);
+    relinked.forEach(resetLink);
+    setAntennas(toAntennas(newEntries), SDR_BOARDS);
+
+    if (added.length || removed.length || updated.length) {
+        logger.info(`Boards updated: added [${added}], removed [${removed}], changed [${updated}]`);
+    }
+    events.emit('changed', { added, removed, updated, ctx });
+}
+
+function serialize(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+}
+
+// Write, then apply: the watcher sees the same text afterwards and skips it
+async function commit(newEntries, ctx) {
+    lastText = writeBoardsFile(newEntries);
+    await apply(newEntries, ctx);
+}
+
+function create(body, ctx) {
+    return serialize(() => {
+        if (!body || typeof body !== 'object') throw sdrControl.controlError(400, 'Board object required');
+        if (body.id !== undefined && SDR_BOARDS[body.id]) throw sdrControl.controlError(409, `Board ${body.id} already exists`);
+        return auditLog.track(ctx, 'board_add', body.id ?? null, body, async () => {
+            await commit([...entries, body], ctx);
+            return SDR_BOARDS[body.id];
+        });
+    });
+}
+
+// Merge the body into the board; null removes a field. The id cannot change.
+function update(id, body, ctx) {
+    return serialize(() => {
+        const board = { ...get(id), ...body };
+        if (!body || typeof body !== 'object') throw sdrControl.controlError(400, 'Board object required');
+        if (body.id !== undefined && body.id !== id) throw sdrControl.controlError(400, 'Board id cannot be changed');
+        Object.keys(board).forEach(key => {
+            if (board[key] === null) delete board[key];
+        });
+        return auditLog.track(ctx, 'board_update', id, body, async () => {
+            await commit(entries.map(entry => (!isAntenna(entry) && entry.id === id ? board : entry)), ctx);
+            return SDR_BOARDS[id];
+        });
+    });
+}
+
+// Retiring a board also takes it out of its antenna
+function remove(id, ctx) {
+    return serialize(() => {
+        get(id);
+        return auditLog.track(ctx, 'board_remove', id, null, async () => {
+            const newEntries = entries
+                .filter(entry => isAntenna(entry) || entry.id !== id)
+                .map(entry => (isAntenna(entry) && Array.isArray(entry.sdrs) && entry.sdrs.includes(id)
+                    ? { ...entry, sdrs: entry.sdrs.filter(sdr => sdr !== id) }
+                    : entry));
+            await commit(newEntries, ctx);
+        });
+    });
+}
+
+// Swap in a whole entry list (configuration import); the caller audits it
+function replace(newEntries, ctx) {
+    return serialize(() => commit(newEntries, ctx));
+}
+
+async function reloadFromFile() {
+    let parsed;
+    try {
+        parsed = parseBoardsFile();
+    } catch (err) {
+        if (err.code === 'ENOENT') return; // Mid-rename; the next event has the new file
+        logger.error(`${BOARDS_FILE} changed but was not applied: ${err.message}`);
+        (err.details || []).forEach(detail => logger.error(`  ${detail}`));
+        auditLog.record(FILE_CTX, { action: 'boards_reload', params: null, result: 'error', error: [err.message, ...(err.details || [])].join('; ') });
+        return;
+    }
+    if (parsed.text === lastText) return;
+    lastText = parsed.text;
+    try {
+        await apply(parsed.entries, FILE_CTX);
+        auditLog.record(FILE_CTX, { action: 'boards_reload', params: null, after: { boards: Object.keys(SDR_BOARDS) }, result: 'success' });
+    } catch (err) {
+        logger.error(`Applying ${BOARDS_FILE} failed: ${err.message}`);
+    }
+}
+
+// Watch the directory rather than the file: editors and our own writes replace it by rename
+function watch() {
+    const file = path.resolve(BOARDS_FILE);
+    watcher = fs.watch(path.dirname(file), (eventType, filename) => {
+        if (filename !== path.basename(file)) return;
+        clearTimeout(reloadTimer);
+        reloadTimer = setTimeout(() => serialize(reloadFromFile), RELOAD_DELAY_MS);
+    });
+    logger.info(`Watching ${BOARDS_FILE} for changes`);
+}
+
+function unwatch() {
+    if (watcher) watcher.close();
+    clearTimeout(reloadTimer);
+}
+
+module.exports = {
+    events,
+    init,
+    watch,
+    unwatch,
+    list,
+    getEntries,
+    get,
+    create,
+    update,
+    remove,
+    replace
+};
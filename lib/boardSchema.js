@@ -0,0 +1,174 @@
+// lib/boardSchema.js
+// Validation of boards.json: SDR boards (entries with `id`) and antennas (entries with
+// `freq_start`/`freq_stop` in MHz). validateEntries() returns every problem found as
+// "<entry>: <message>" strings rather than stopping at the first one.
+const { TRANSPORTS } = require('./transports');
+const { BACKENDS, validatePins } = require('./gpio');
+
+const RESTORE_POLICIES = ['safe', 'settings', 'full'];
+const ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const HOST_PATTERN = /^[A-Za-z0-9.-]+$/;
+// mode_gpio options end up in commands run on the board, so only plain tokens pass
+const CHIP_PATTERN = /^gpiochip\d+$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isRelayArray = value => Array.isArray(value) && value.every(v => v === 0 || v === 1);
+const isNonNegative = value => typeof value === 'number' && isFinite(value) && value >= 0;
+
+const number = value => (isNonNegative(value) ? null : 'must be a number >= 0');
+const integer = value => (Number.isInteger(value) && value >= 0 ? null : 'must be an integer >= 0');
+const rate = value => (isNonNegative(value) && value <= 1 ? null : 'must be a number between 0 and 1');
+const boolean = value => (typeof value === 'boolean' ? null : 'must be true or false');
+
+// Options objects of a board: key -> check, in the same style as the fields
+const MODE_GPIO_OPTIONS = {
+    backend: value => (BACKENDS.includes(value) ? null : `must be one of ${BACKENDS.join(', ')}`),
+    chip: value => (typeof value === 'string' && CHIP_PATTERN.test(value) ? null : 'must be a gpiochip name (e.g. gpiochip0)'),
+    pins: value => {
+        if (!isObject(value) && !Array.isArray(value)) return 'must be an object of mode -> pin';
+        try {
+            validatePins(value);
+            return null;
+        } catch (err) {
+            return err.message;
+        }
+    },
+    active_low: boolean,
+    sudo: boolean,
+    base: integer
+};
+
+// Simulator faults (lib/transports/simTransport)
+const SIM_OPTIONS = {
+    latency_ms: number,
+    jitter_ms: number,
+    fault_rate: rate,
+    disconnect_rate: rate,
+    connect_fail: boolean,
+    boot_ms: number
+};
+
+// Per-board overrides of settings.json `health`
+const HEALTH_OPTIONS = {
+    interval_ms: number,
+    ping_timeout_ms: number,
+    backoff_base_ms: number,
+    backoff_max_ms: number,
+    usb_cycle_after: integer,
+    reapply: boolean,
+    freq_tolerance_hz: number,
+    sampling_tolerance_hz: number,
+    gain_tolerance_db: number
+};
+
+// First problem of an options object, as "<key> <message>", or null
+function checkOptions(value, options) {
+    if (!isObject(value)) return 'must be an object';
+    for (const [key, option] of Object.entries(value)) {
+        const check = options[key];
+        if (!check) return `has unknown option ${key}`;
+        const message = check(option);
+        if (message) return `${key} ${message}`;
+    }
+    return null;
+}
+
+// Field name -> check returning an error message or null
+const BOARD_FIELDS = {
+    id: value => (typeof value === 'string' && ID_PATTERN.test(value) ? null : 'must be letters, digits, "_" or "-"'),
+    ip: value => (typeof value === 'string' && HOST_PATTERN.test(value) ? null : 'must be an IP address or host name'),
+    name: value => (typeof value === 'string' ? null : 'must be a string'),
+    usb_port: value => (Number.isInteger(value) && value > 0 ? null : 'must be a positive integer'),
+    transport: value => (TRANSPORTS.includes(value) ? null : `must be one of ${TRANSPORTS.join(', ')}`),
+    relays: value => (isRelayArray(value) ? null : 'must be an array of 0/1'),
+    sim: value => checkOptions(value, SIM_OPTIONS),
+    health: value => checkOptions(value, HEALTH_OPTIONS),
+    max_tx_s: value => (typeof value === 'number' && value >= 0 ? null : 'must be a number >= 0 (0 = no limit)'),
+    channels: value => ([1, 2].includes(value) ? null : 'must be 1 or 2 (2R2T)'),
+    tags: value => (Array.isArray(value) && value.every(tag => typeof tag === 'string' && ID_PATTERN.test(tag)) ? null : 'must be an array of tags (letters, digits, "_" or "-")'),
+    restore_policy: value => (RESTORE_POLICIES.includes(value) ? null : `must be one of ${RESTORE_POLICIES.join(', ')}`),
+    mode_gpio: value => checkOptions(value, MODE_GPIO_OPTIONS)
+};
+
+const ANTENNA_FIELDS = {
+    name: value => (typeof value === 'string' && value.trim() ? null : 'must be a non-empty string'),
+    freq_start: value => (typeof value === 'number' && value > 0 ? null : 'must be a positive number (MHz)'),
+    freq_stop: value => (typeof value === 'number' && value > 0 ? null : 'must be a positive number (MHz)'),
+    relays: value => (isRelayArray(value) ? null : 'must be an array of 0/1'),
+    sdrs: value => (Array.isArray(value) && value.every(id => typeof id === 'string') ? null : 'must be an array of SDR ids')
+};
+
+function isAntenna(entry) {
+    return entry.id === undefined && entry.freq_start !== undefined && entry.freq_stop !== undefined;
+}
+
+function checkFields(entry, fields, required, label, errors) {
+    required.forEach(key => {
+        if (entry[key] === undefined) errors.push(`${label}: ${key} is required`);
+    });
+    Object.entries(entry).forEach(([key, value]) => {
+        const check = fields[key];
+        if (!check) errors.push(`${label}: unknown field ${key}`);
+        else if (value !== undefined) {
+            const message = check(value);
+            if (message) errors.push(`${label}: ${key} ${message}`);
+        }
+    });
+}
+
+function validateBoard(board, label, errors) {
+    // Simulated boards have no address
+    const required = board.transport === 'sim' ? ['id'] : ['id', 'ip'];
+    checkFields(board, BOARD_FIELDS, required, label, errors);
+}
+
+function validateAntenna(antenna, label, errors) {
+    checkFields(antenna, ANTENNA_FIELDS, ['name', 'freq_start', 'freq_stop'], label, errors);
+    if (typeof antenna.freq_start === 'number' && typeof antenna.freq_stop === 'number' && antenna.freq_start >= antenna.freq_stop) {
+        errors.push(`${label}: freq_start must be below freq_stop`);
+    }
+}
+
+function validateEntries(entries) {
+    if (!Array.isArray(entries)) return ['boards.json must contain an array'];
+    const errors = [];
+    const ids = new Set();
+    const names = new Set();
+    const assigned = {}; // SDR id -> antenna name
+
+    entries.forEach((entry, i) => {
+        if (!isObject(entry)) {
+            errors.push(`entry ${i}: must be an object`);
+            return;
+        }
+        if (isAntenna(entry)) {
+            const label = `antenna ${entry.name ?? `#${i}`}`;
+            validateAntenna(entry, label, errors);
+            if (names.has(entry.name)) errors.push(`${label}: duplicate antenna name`);
+            names.add(entry.name);
+            return;
+        }
+        const label = `board ${entry.id ?? `#${i}`}`;
+        validateBoard(entry, label, errors);
+        if (entry.id !== undefined && ids.has(entry.id)) errors.push(`${label}: duplicate id`);
+        ids.add(entry.id);
+    });
+
+    // Antenna links need every board, so they are checked once all entries are known
+    entries.filter(entry => isObject(entry) && isAntenna(entry) && Array.isArray(entry.sdrs)).forEach(antenna => {
+        antenna.sdrs.forEach(id => {
+            if (!ids.has(id)) errors.push(`antenna ${antenna.name}: unknown SDR ${id}`);
+            else if (assigned[id]) errors.push(`antenna ${antenna.name}: SDR ${id} already belongs to antenna ${assigned[id]}`);
+            else assigned[id] = antenna.name;
+        });
+    });
+    return errors;
+}
+
+module.exports = {
+    BOARD_FIELDS: Object.keys(BOARD_FIELDS),
+    RESTORE_POLICIES,
+    ID_PATTERN,
+    isAntenna,
+    validateEntries
+};
@@ -0,0 +1,190 @@
+// lib/commandQueue.js
+// One queue per SDR, so commands from different requests never interleave on a board.
+// A job is a single command or a whole operation (set_mode, init...); jobs run one at
+// a time, highest priority first, and commands issued from inside the running job
+// join it instead of queueing behind it. Every job gets an AbortSignal that fires on
+// cancellation or timeout; transports close the remote command when it does.
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+const settings = require('./settings');
+
+const PRIORITIES = { emergency: 0, control: 1, background: 2 };
+
+const queues = {}; // SDR id -> { pending: [jobs], running: job | null }
+const current = new AsyncLocalStorage(); // Job whose code is running
+let nextJobId = 1;
+
+// Error carrying the HTTP status the routes should answer with
+function queueError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function getQueue(id) {
+    if (!queues[id]) queues[id] = { pending: [], running: null };
+    return queues[id];
+}
+
+// Job holding this board in the caller's async context, if any (also once aborted,
+// until its code has wound down; timers it left behind do not count after that)
+function currentJob(id) {
+    const job = current.getStore();
+    return job && job.sdr === id && queues[id]?.running === job ? job : null;
+}
+
+function settle(job, err, result) {
+    if (job.state === 'done') return;
+    job.state = 'done';
+    clearTimeout(job.timer);
+    if (err) job.reject(err);
+    else job.resolve(result);
+}
+
+function abort(job, err) {
+    if (job.state === 'pending') {
+        const queue = getQueue(job.sdr);
+        queue.pending = queue.pending.filter(other => other !== job);
+        settle(job, err);
+    } else if (job.state === 'running') {
+        // The job's own promise settles once its code notices the signal
+        job.controller.abort(err);
+        settle(job, err);
+    }
+}
+
+function pump(id) {
+    const queue = getQueue(id);
+    if (queue.running || queue.pending.length === 0) return;
+    const job = queue.pending.shift();
+    queue.running = job;
+    job.state = 'running';
+    job.started_at = Date.now();
+    current.run(job, () => Promise.resolve().then(() => job.fn(job.controller.signal)))
+        .then(result => settle(job, null, result), err => settle(job, err))
+        .finally(() => {
+            job.command = null;
+            queue.running = null;
+            pump(id);
+        });
+}
+
+// Run fn(signal) exclusively on the board. Options:
+//   priority   - emergency | control (default) | background
+//   preempt    - cancel every pending job of lower priority and abort the running one (e-stop)
+//   timeout_ms - from enqueueing to completion
+async function run(id, label, fn, { priority = 'control', preempt = false, timeout_ms } = {}) {
+    const running = currentJob(id);
+    if (running) {
+        if (running.controller.signal.aborted) throw running.controller.signal.reason;
+        return fn(running.controller.signal);
+    }
+
+    const cfg = settings.get('queue');
+    const queue = getQueue(id);
+    const rank = PRIORITIES[priority];
+    if (rank === undefined) throw new Error(`Unknown queue priority '${priority}'`);
+    if (rank > PRIORITIES.emergency && queue.pending.length >= cfg.max_depth) {
+        throw queueError(503, `Command queue of SDR ${id} is full (${queue.pending.length} pending)`);
+    }
+
+    if (preempt) {
+        const reason = queueError(409, `Cancelled by ${label} on SDR ${id}`);
+        queue.pending.filter(job => job.rank > rank).forEach(job => abort(job, reason));
+        if (queue.running && queue.running.rank > rank) {
+            logger.warn(`Aborting ${queue.running.label} on SDR ${id} for ${label}`);
+            abort(queue.running, reason);
+        }
+    }
+
+    const job = {
+        id: nextJobId++,
+        sdr: id,
+        label,
+        priority,
+        rank,
+        fn,
+        state: 'pending',
+        command: null,
+        queued_at: Date.now(),
+        started_at: null,
+        controller: new AbortController()
+    };
+    const promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+    const ms = timeout_ms ?? cfg.timeout_ms;
+    job.timer = setTimeout(() => {
+        logger.warn(`${label} on SDR ${id} timed out after ${ms} ms (${job.state})`);
+        abort(job, queueError(504, `${label} on SDR ${id} timed out after ${ms} ms`));
+    }, ms);
+
+    // Stable insert: after every job of the same or higher priority
+    const index = queue.pending.findIndex(other => other.rank > rank);
+    if (index === -1) queue.pending.push(job);
+    else queue.pending.splice(index, 0, job);
+    pump(id);
+    return promise;
+}
+
+// Record the command the running job is executing, for getStatus()
+function setCommand(id, command) {
+    const job = currentJob(id);
+    if (job) job.command = command;
+}
+
+function describe(job, now) {
+    return {
+        job: job.id,
+        label: job.label,
+        priority: job.priority,
+        command: job.command,
+        queued_at: new Date(job.queued_at).toISOString(),
+        started_at: job.started_at ? new Date(job.started_at).toISOString() : null,
+        waited_ms: (job.started_at || now) - job.queued_at,
+        running_ms: job.started_at ? now - job.started_at : null
+    };
+}
+
+function getStatus(id) {
+    const queue = getQueue(id);
+    const now = Date.now();
+    return {
+        depth: queue.pending.length,
+        running: queue.running ? describe(queue.running, now) : null,
+        pending: queue.pending.map(job => describe(job, now))
+    };
+}
+
+// Short form for the SDR view
+function getSummary(id) {
+    const { depth, running } = getStatus(id);
+    return { depth, running: running && { label: running.label, command: running.command, running_ms: running.running_ms } };
+}
+
+function cancel(id, jobId, reason = 'Cancelled') {
+    const queue = getQueue(id);
+    const job = [queue.running, ...queue.pending].find(other => other && other.id === jobId);
+    if (!job) throw queueError(404, 'Job not found');
+    abort(job, queueError(409, reason));
+    return describe(job, Date.now());
+}
+
+// Board removed: fail whatever is still waiting and abort what is running
+function forget(id) {
+    const queue = queues[id];
+    if (!queue) return;
+    [...queue.pending].forEach(job => abort(job, queueError(410, `SDR ${id} was removed`)));
+    if (queue.running) abort(queue.running, queueError(410, `SDR ${id} was removed`));
+}
+
+module.exports = {
+    PRIORITIES: Object.keys(PRIORITIES),
+    run,
+    setCommand,
+    getStatus,
+    getSummary,
+    cancel,
+    forget
+};
@@ -1,21 +1,90 @@
 // lib/configLoader.js
 const fs = require('fs');
 const logger = require('./logger');
+const { isAntenna, validateEntries } = require('./boardSchema');
+
+const BOARDS_FILE = 'boards.json';
+
+// Error carrying every validation problem found in `details`
+function configError(message, details) {
+    const err = new Error(message);
+    err.status = 400;
+    err.details = details;
+    return err;
+}
+
+// boards.json holds both SDR boards (entries with an `id`) and antenna groups
+// (entries with `freq_start`/`freq_stop` in MHz and an `sdrs` list of board ids).
+// Returns { entries, text }; throws with `details` if the file does not validate.
+function parseBoardsFile() {
+    const text = fs.readFileSync(BOARDS_FILE, 'utf8');
+    let entries;
+    try {
+        entries = JSON.parse(text);
+    } catch (err) {
+        throw configError(`${BOARDS_FILE} is not valid JSON`, [err.message]);
+    }
+    const errors = validateEntries(entries);
+    if (errors.length > 0) throw configError(`${BOARDS_FILE} has ${errors.length} error(s)`, errors);
+    return { entries, text };
+}
+
+// Startup: the server cannot run without a valid board list
+function readBoardsFile() {
+    try {
+        return parseBoardsFile().entries;
+    } catch (err) {
+        logger.error(`Failed to load ${BOARDS_FILE}: ${err.message}`);
+        (err.details || []).forEach(detail => logger.error(`  ${detail}`));
+        process.exit(1);
+    }
+}
+
+// Validate, then write through a temp file and rename so readers never see half a file.
+// Returns the text written.
+function writeBoardsFile(entries) {
+    const errors = validateEntries(entries);
+    if (errors.length > 0) throw configError('Invalid board configuration', errors);
+    const text = JSON.stringify(entries, null, 2) + '\n';
+    const tmp = `${BOARDS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, text);
+    fs.renameSync(tmp, BOARDS_FILE);
+    return text;
+}
+
+function toBoards(entries) {
+    const SDR_BOARDS = {};
+    entries.filter(entry => !isAntenna(entry)).forEach(entry => {
+        SDR_BOARDS[entry.id] = entry;
+    });
+    return SDR_BOARDS;
+}
+
+function toAntennas(entries) {
+    const ANTENNAS = {};
+    entries.filter(isAntenna).forEach(antenna => {
+        ANTENNAS[antenna.name] = { sdrs: [], ...antenna };
+    });
+    return ANTENNAS;
+}
 
 module.exports = {
+    BOARDS_FILE,
+    configError,
+    parseBoardsFile,
+    writeBoardsFile,
+    toBoards,
+    toAntennas,
+
     loadBoards: function() {
-        let SDR_BOARDS = {};
-        try {
-            const data = fs.readFileSync('boards.json', 'utf8');
-            const boardsArray = JSON.parse(data);
-            boardsArray.forEach(board => {
-                SDR_BOARDS[board.id] = board;
-            });
-            logger.info('Loaded SDR boards from boards.json');
-        } catch (err) {
-            logger.error(`Failed to load boards.json: ${err.message}`);
-            process.exit(1);
-        }
+        const SDR_BOARDS = toBoards(readBoardsFile());
+        logger.info(`Loaded ${Object.keys(SDR_BOARDS).length} SDR board(s) from ${BOARDS_FILE}`);
         return SDR_BOARDS;
+    },
+
+    loadAntennas: function() {
+        const ANTENNAS = toAntennas(readBoardsFile());
+        logger.info(`Loaded ${Object.keys(ANTENNAS).length} antenna(s) from ${BOARDS_FILE}`);
+        return ANTENNAS;
     }
-};
\ No newline at end of file
+};
@@ -0,0 +1,201 @@
+// lib/configTransfer.js
+// Whole-system configuration as one versioned document, to clone a deployment onto a
+// spare Pi: boards and antennas (boards.json, relay mappings included), the relay boards
+// (settings.json `relays`), presets and the desired settings of every SDR. An import is
+// checked as a whole and compared with the running state before anything is written;
+// sections left out of the document are kept as they are. Imported SDR settings become
+// the desired state (startup restore and health re-apply use it); an import never drives
+// the hardware itself. Waveform files are not part of the document: settings naming a
+// waveform need it in the library already.
+const logger = require('./logger');
+const settings = require('./settings');
+const { configError } = require('./configLoader');
+const { isAntenna, validateEntries } = require('./boardSchema');
+const { createGpioLines } = require('./gpio');
+const boardInventory = require('./boardInventory');
+const presetStore = require('./presetStore');
+const sdrControl = require('./sdrControl');
+const auditLog = require('./auditLog');
+
+const FORMAT = 'sdr-shade-config';
+const VERSION = 1;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Desired settings of a board: live if it has been set up since the start, else as stored
+function desiredOf(id) {
+    const desired = sdrControl.getDesiredSettings(id) || sdrControl.getStoredSettings(id);
+    if (!desired) return null;
+    const { updated_at, ...bundle } = desired;
+    return bundle;
+}
+
+function exportConfig(user) {
+    const entries = boardInventory.getEntries();
+    const boards = entries.filter(entry => !isAntenna(entry));
+    const desired = {};
+    boards.forEach(board => {
+        const bundle = desiredOf(board.id);
+        if (bundle) desired[board.id] = bundle;
+    });
+    return {
+        format: FORMAT,
+        version: VERSION,
+        exported_at: new Date().toISOString(),
+        exported_by: user || null,
+        boards,
+        antennas: entries.filter(isAntenna),
+        relays: settings.get('relays'),
+        presets: Object.fromEntries(presetStore.list().map(({ name, ...bundle }) => [name, bundle])),
+        settings: desired
+    };
+}
+
+// Check a settings bundle the way the routes do; returns the message or null
+function settingsError(bundle) {
+    try {
+        sdrControl.validateSettings(undefined, bundle);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+// Validate a document; returns the target state { boards, antennas, relays, presets, settings },
+// taking the running value for every section the document leaves out
+function resolve(doc) {
+    if (!isObject(doc)) throw configError('Configuration document must be a JSON object', []);
+    if (doc.format !== FORMAT) throw configError(`Not a configuration document (format must be ${FORMAT})`, []);
+    if (!Number.isInteger(doc.version) || doc.version < 1 || doc.version > VERSION) {
+        throw configError(`Unsupported configuration version ${doc.version} (this server reads up to ${VERSION})`, []);
+    }
+
+    const current = exportConfig();
+    const target = {
+        boards: doc.boards ?? current.boards,
+        antennas: doc.antennas ?? current.antennas,
+        relays: doc.relays ?? current.relays,
+        presets: doc.presets ?? current.presets,
+        settings: doc.settings ?? {}
+    };
+    const errors = [];
+
+    if (!Array.isArray(target.boards)) errors.push('boards: must be an array');
+    if (!Array.isArray(target.antennas)) errors.push('antennas: must be an array');
+    if (errors.length === 0) {
+        target.boards.forEach((entry, i) => {
+            if (isObject(entry) && isAntenna(entry)) errors.push(`boards[${i}]: is an antenna entry (move it to antennas)`);
+        });
+        target.antennas.forEach((entry, i) => {
+            if (isObject(entry) && !isAntenna(entry)) errors.push(`antennas[${i}]: needs name, freq_start and freq_stop and no id`);
+        });
+        errors.push(...validateEntries([...target.antennas, ...target.boards]));
+    }
+
+    if (!isObject(target.relays) || !Array.isArray(target.relays.boards)) {
+        errors.push('relays: must be an object with a boards array');
+    } else {
+        target.relays.boards.forEach((board, i) => {
+            try {
+                createGpioLines(board || {}, async () => '');
+            } catch (err) {
+                errors.push(`relays.boards[${i}]: ${err.message}`);
+            }
+        });
+    }
+
+    if (!isObject(target.presets)) {
+        errors.push('presets: must be an object of name -> settings');
+    } else {
+        Object.entries(target.presets).forEach(([name, bundle]) => {
+            if (!presetStore.NAME_PATTERN.test(name)) errors.push(`preset ${name}: invalid name`);
+            const message = settingsError(bundle);
+            if (message) errors.push(`preset ${name}: ${message}`);
+        });
+    }
+
+    if (!isObject(target.settings)) {
+        errors.push('settings: must be an object of SDR id -> settings');
+    } else {
+        const ids = new Set(Array.isArray(target.boards) ? target.boards.map(board => board?.id) : []);
+        Object.entries(target.settings).forEach(([id, bundle]) => {
+            if (!ids.has(id)) errors.push(`settings ${id}: unknown SDR`);
+            const message = settingsError(bundle);
+            if (message) errors.push(`settings ${id}: ${message}`);
+        });
+    }
+
+    if (errors.length > 0) throw configError(`Configuration document has ${errors.length} error(s)`, errors);
+    return target;
+}
+
+// { added, removed, changed: [{ key, fields }] } between two key -> object maps
+function diffMaps(before, after) {
+    const changed = Object.keys(after).filter(key => before[key]).map(key => {
+        const fields = [...new Set([...Object.keys(before[key]), ...Object.keys(after[key])])]
+            .filter(field => JSON.stringify(before[key][field]) !== JSON.stringify(after[key][field]));
+        return { key, fields };
+    });
+    return {
+        added: Object.keys(after).filter(key => !before[key]),
+        removed: Object.keys(before).filter(key => !after[key]),
+        changed: changed.filter(change => change.fields.length > 0)
+    };
+}
+
+const byKey = (list, key) => Object.fromEntries(list.map(entry => [entry[key], entry]));
+
+function diff(current, target) {
+    // Settings are only ever set by an import, never cleared: compare the boards it names
+    const desiredBefore = Object.fromEntries(Object.keys(target.settings)
+        .filter(id => current.settings[id])
+        .map(id => [id, current.settings[id]]));
+    const result = {
+        boards: diffMaps(byKey(current.boards, 'id'), byKey(target.boards, 'id')),
+        antennas: diffMaps(byKey(current.antennas, 'name'), byKey(target.antennas, 'name')),
+        presets: diffMaps(current.presets, target.presets),
+        settings: diffMaps(desiredBefore, target.settings),
+        relays: { changed: JSON.stringify(current.relays) !== JSON.stringify(target.relays) }
+    };
+    result.unchanged = result.relays.changed === false && ['boards', 'antennas', 'presets', 'settings']
+        .every(section => ['added', 'removed', 'changed'].every(kind => result[section][kind].length === 0));
+    return result;
+}
+
+// Dry run: validation and the diff against the running state, nothing written
+function preview(doc) {
+    return { dry_run: true, diff: diff(exportConfig(), resolve(doc)) };
+}
+
+// Apply boards.json first (through the inventory, so removed boards go quiet first): it is
+// the step that can still fail on disk or on reload, and nothing else is written before it.
+// Then the presets, the desired settings of the new board list and the relay boards.
+// The relay boards are only configured at startup, hence restart_required.
+async function importConfig(doc, ctx) {
+    const target = resolve(doc);
+    const changes = diff(exportConfig(), target);
+    const params = {
+        boards: target.boards.length,
+        antennas: target.antennas.length,
+        presets: Object.keys(target.presets).length,
+        settings: Object.keys(target.settings).length
+    };
+    return auditLog.track(ctx, 'config_import', null, params, async () => {
+        if (changes.unchanged) return { success: true, diff: changes, restart_required: false };
+        await boardInventory.replace([...target.antennas, ...target.boards], ctx);
+        presetStore.replaceAll(target.presets);
+        Object.entries(target.settings).forEach(([id, bundle]) => sdrControl.setDesired(id, bundle));
+        if (changes.relays.changed) settings.save('relays', target.relays);
+        logger.info(`Configuration imported by ${ctx.user}: ${target.boards.length} board(s), ${target.antennas.length} antenna(s), ${params.presets} preset(s)`);
+        if (changes.relays.changed) logger.warn('Relay boards changed in settings.json; restart the server to use them');
+        return { success: true, diff: changes, restart_required: changes.relays.changed };
+    });
+}
+
+module.exports = {
+    FORMAT,
+    VERSION,
+    exportConfig,
+    preview,
+    importConfig
+};
@@ -0,0 +1,39 @@
+// lib/dataStore.js
+// JSON files the server keeps across restarts (missions, presets, ...).
+// Stored under ./data next to boards.json, or SDR_DATA_DIR if set.
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DATA_DIR = process.env.SDR_DATA_DIR || 'data';
+
+function dataPath(name) {
+    return path.join(DATA_DIR, name);
+}
+
+function readJson(name, fallback) {
+    const file = dataPath(name);
+    if (!fs.existsSync(file)) return fallback;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        logger.error(`Failed to read ${file}: ${err.message}`);
+        return fallback;
+    }
+}
+
+// Write to a temp file and rename so a crash never leaves half a file behind
+function writeJson(name, data, { mode } = {}) {
+    const file = dataPath(name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode });
+    fs.renameSync(tmp, file);
+}
+
+module.exports = {
+    DATA_DIR,
+    dataPath,
+    readJson,
+    writeJson
+};
@@ -0,0 +1,228 @@
+// lib/diagnostics.js
+// Remote diagnostics of a board from a fixed catalogue of read-only checks, so nobody has
+// to SSH in for iio_info or dmesg. Each check runs its commands (lib/iioCommands builders,
+// never text from the request) through the command queue and parses the output into JSON;
+// a failing check is recorded in the report and the others still run. Reports are kept
+// under data/diagnostics/ (settings.json `diagnostics.keep_reports` per board), with their
+// summaries indexed in data/diagnostics.json.
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const settings = require('./settings');
+const iio = require('./iioCommands');
+const { readJson, writeJson, dataPath } = require('./dataStore');
+const { executeCommand, executeBatch, TX_ENABLE_REGISTERS } = require('./sdrManager');
+const sdrControl = require('./sdrControl');
+const firmwareManager = require('./firmwareManager');
+const auditLog = require('./auditLog');
+
+const INDEX_FILE = 'diagnostics.json';
+const KERNEL_PROBLEM = /\b(error|fail(ed|ure)?|timeout|timed out|overflow|underflow)\b/i;
+
+let index = readJson(INDEX_FILE, []); // Report summaries, oldest first
+
+const reportFile = reportId => `diagnostics/${reportId}.json`;
+
+// iio_info: library and backend, context attributes (hw_model, fw_version, serial, ...) and
+// the devices with their channel counts
+function parseDeviceInfo([output]) {
+    const info = { library_version: null, backend: null, attributes: {}, devices: [] };
+    let section = null;
+    output.split('\n').forEach(line => {
+        let match;
+        if ((match = line.match(/^Library version: (.+)$/))) info.library_version = match[1];
+        else if ((match = line.match(/^Backend description string: (.+)$/))) info.backend = match[1];
+        else if (/^IIO context has \d+ attributes/.test(line)) section = 'attributes';
+        else if (/^IIO context has \d+ devices/.test(line)) section = 'devices';
+        else if (section === 'attributes' && (match = line.match(/^\t([^\t:][^:]*): ?(.*)$/))) info.attributes[match[1]] = match[2];
+        else if (section === 'devices' && (match = line.match(/^\t(iio:device\d+|trigger\d+): ?(\S*)(.*)$/))) {
+            info.devices.push({ id: match[1], name: match[2] || null, buffer_capable: match[3].includes('buffer capable'), channels: 0 });
+        } else if (section === 'devices' && (match = line.match(/^\t\t(\d+) channels found/)) && info.devices.length > 0) {
+            info.devices[info.devices.length - 1].channels = Number(match[1]);
+        }
+    });
+    const warnings = info.devices.length === 0 ? ['No IIO devices found'] : [];
+    return { result: info, warnings };
+}
+
+// The TX enables read back against what initSDR writes (0 after a reboot without init)
+function parseTxRegisters(outputs) {
+    const result = {};
+    const warnings = [];
+    Object.entries(TX_ENABLE_REGISTERS).forEach(([address, written], i) => {
+        const value = parseInt(outputs[i], 16);
+        const expected = parseInt(written, 16);
+        const hex = number => `0x${number.toString(16).padStart(2, '0')}`;
+        result[address] = { value: isNaN(value) ? null : hex(value), expected: hex(expected), ok: value === expected };
+        if (value !== expected) warnings.push(`Register ${address} reads ${outputs[i].trim() || 'nothing'}, initSDR writes ${hex(expected)}`);
+    });
+    return { result, warnings };
+}
+
+// dmesg lines with their timestamp in seconds since boot, and those that look like problems
+function parseKernelLog([output]) {
+    const lines = output.split('\n').filter(line => line.trim() !== '').map(line => {
+        const match = line.match(/^\[\s*(\d+\.\d+)\]\s?(.*)$/);
+        return match ? { time_s: Number(match[1]), message: match[2] } : { time_s: null, message: line };
+    });
+    const problems = lines.filter(line => KERNEL_PROBLEM.test(line.message));
+    const warnings = problems.length > 0 ? [`${problems.length} kernel log line(s) mention errors or failures`] : [];
+    return { result: { lines, problems }, warnings };
+}
+
+// /proc/uptime then /proc/loadavg
+function parseUptime([output]) {
+    const [uptime = '', loadavg = ''] = output.split('\n');
+    const [uptime_s, idle_s] = uptime.trim().split(/\s+/).map(Number);
+    const [load1, load5, load15, processes] = loadavg.trim().split(/\s+/);
+    const [running, total] = (processes || '').split('/').map(Number);
+    return {
+        result: {
+            uptime_s: isNaN(uptime_s) ? null : uptime_s,
+            idle_s: isNaN(idle_s) ? null : idle_s,
+            load_avg: [load1, load5, load15].map(Number),
+            processes: { running: running ?? null, total: total ?? null }
+        },
+        warnings: []
+    };
+}
+
+// /proc/net/dev: two header lines, then "<iface>: <8 receive counters> <8 transmit counters>"
+const NET_FIELDS = ['bytes', 'packets', 'errs', 'drop', 'fifo', 'frame', 'compressed', 'multicast'];
+const NET_TX_FIELDS = ['bytes', 'packets', 'errs', 'drop', 'fifo', 'colls', 'carrier', 'compressed'];
+
+function parseNetworkStats([output]) {
+    const interfaces = {};
+    output.split('\n').slice(2).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon === -1) return;
+        const counters = line.slice(colon + 1).trim().split(/\s+/).map(Number);
+        interfaces[line.slice(0, colon).trim()] = {
+            rx: Object.fromEntries(NET_FIELDS.map((field, i) => [field, counters[i]])),
+            tx: Object.fromEntries(NET_TX_FIELDS.map((field, i) => [field, counters[i + 8]]))
+        };
+    });
+    const warnings = Object.entries(interfaces)
+        .filter(([, counters]) => counters.rx.errs > 0 || counters.tx.errs > 0 || counters.rx.drop > 0 || counters.tx.drop > 0)
+        .map(([name, counters]) => `${name}: ${counters.rx.errs + counters.tx.errs} error(s), ${counters.rx.drop + counters.tx.drop} drop(s)`);
+    return { result: { interfaces }, warnings };
+}
+
+// The only commands diagnostics ever run; requests pick checks by name
+const CATALOGUE = {
+    device_info: {
+        description: 'IIO context attributes and devices (iio_info)',
+        commands: () => [iio.deviceInfo()],
+        parse: parseDeviceInfo
+    },
+    tx_registers: {
+        description: `TX enable registers ${Object.keys(TX_ENABLE_REGISTERS).join('/')} against the values initSDR writes`,
+        commands: () => Object.keys(TX_ENABLE_REGISTERS).map(address => iio.readRegister(address)),
+        parse: parseTxRegisters
+    },
+    kernel_log: {
+        description: 'End of the kernel log (dmesg)',
+        commands: () => [iio.kernelLog(settings.get('diagnostics').kernel_log_lines)],
+        parse: parseKernelLog
+    },
+    uptime: {
+        description: 'Uptime and load averages',
+        commands: () => [iio.uptime()],
+        parse: parseUptime
+    },
+    network: {
+        description: 'Interface counters (/proc/net/dev)',
+        commands: () => [iio.networkStats()],
+        parse: parseNetworkStats
+    }
+};
+
+function listChecks() {
+    return Object.entries(CATALOGUE).map(([name, check]) => ({ name, description: check.description }));
+}
+
+async function runCheck(id, name) {
+    const check = CATALOGUE[name];
+    const commands = check.commands();
+    const started = Date.now();
+    try {
+        const outputs = commands.length === 1 ? [await executeCommand(id, commands[0], 1)] : await executeBatch(id, commands, 1);
+        const { result, warnings } = check.parse(outputs.map(output => String(output ?? '')));
+        return { status: warnings.length > 0 ? 'warning' : 'ok', commands, duration_ms: Date.now() - started, result, warnings, output: outputs, error: null };
+    } catch (err) {
+        return { status: 'error', commands, duration_ms: Date.now() - started, result: null, warnings: [], output: null, error: err.message };
+    }
+}
+
+const summarize = report => ({
+    id: report.id,
+    sdr: report.sdr,
+    created_at: report.created_at,
+    created_by: report.created_by,
+    duration_ms: report.duration_ms,
+    status: report.status,
+    counts: report.counts
+});
+
+// Keep the newest keep_reports of a board
+function prune(id) {
+    const { keep_reports } = settings.get('diagnostics');
+    const reports = index.filter(summary => summary.sdr === id);
+    const expired = new Set(reports.slice(0, Math.max(reports.length - keep_reports, 0)).map(summary => summary.id));
+    if (expired.size === 0) return;
+    expired.forEach(reportId => fs.rmSync(dataPath(reportFile(reportId)), { force: true }));
+    index = index.filter(summary => !expired.has(summary.id));
+}
+
+// Run the named checks (all of them by default) on board id; resolves with the stored report
+async function run(id, checks, ctx) {
+    sdrControl.requireSDR(id);
+    if (firmwareManager.isUpdating(id)) throw sdrControl.controlError(409, `Firmware update of SDR ${id} running`);
+    const names = checks ?? Object.keys(CATALOGUE);
+    if (!Array.isArray(names) || names.length === 0) throw sdrControl.controlError(400, 'checks must be a non-empty array of check names');
+    const unknown = names.filter(name => !Object.prototype.hasOwnProperty.call(CATALOGUE, name));
+    if (unknown.length > 0) throw sdrControl.controlError(400, `Unknown check(s) ${unknown.join(', ')}; available: ${Object.keys(CATALOGUE).join(', ')}`);
+
+    return auditLog.track(ctx, 'diagnostics', id, { checks: names }, async () => {
+        const started = Date.now();
+        const results = {};
+        for (const name of [...new Set(names)]) results[name] = await runCheck(id, name);
+        const statuses = Object.values(results).map(result => result.status);
+        const counts = Object.fromEntries(['ok', 'warning', 'error'].map(status => [status, statuses.filter(s => s === status).length]));
+        const report = {
+            id: uuidv4(),
+            sdr: id,
+            created_at: new Date(started).toISOString(),
+            created_by: ctx.user || null,
+            duration_ms: Date.now() - started,
+            status: counts.error > 0 ? 'error' : counts.warning > 0 ? 'warning' : 'ok',
+            counts,
+            checks: results
+        };
+        writeJson(reportFile(report.id), report);
+        index.push(summarize(report));
+        prune(id);
+        writeJson(INDEX_FILE, index);
+        logger.info(`Diagnostics of SDR ${id} by ${ctx.user}: ${counts.ok} ok, ${counts.warning} warning(s), ${counts.error} error(s)`);
+        return report;
+    });
+}
+
+// Summaries of board id's reports, newest first
+function list(id) {
+    return index.filter(summary => summary.sdr === id).reverse();
+}
+
+function get(id, reportId) {
+    const report = index.some(summary => summary.id === reportId && summary.sdr === id) ? readJson(reportFile(reportId), null) : null;
+    if (!report) throw sdrControl.controlError(404, `Diagnostics report ${reportId} not found for SDR ${id}`);
+    return report;
+}
+
+module.exports = {
+    CATALOGUE,
+    listChecks,
+    run,
+    list,
+    get
+};
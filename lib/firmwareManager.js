@@ -0,0 +1,183 @@
+// lib/firmwareManager.js
+// Firmware status of each board (build IDs read by initSDR against the expected bitstream)
+// and the update sequence over the board's own link: TX off, SFTP upload of an approved
+// image, md5 check on the board, update_frm.sh, reboot, wait for the board and re-init,
+// then compare the build IDs it boots with the ones declared for the image. The board is
+// taken out of service for the whole sequence: held in sdrControl (init, settings and TX
+// answer 409), uninitialized and paused in the health monitor.
+// Emits 'progress' ({ id, image, name, step, percent, status, error, ... }) at every step.
+const EventEmitter = require('events');
+const logger = require('./logger');
+const settings = require('./settings');
+const iio = require('./iioCommands');
+const commandQueue = require('./commandQueue');
+const withTimeout = require('./withTimeout');
+const firmwareRepository = require('./firmwareRepository');
+const { sdrStates, executeCommand, connectToSDR, disconnectSDR, getTransport } = require('./sdrManager');
+const sdrControl = require('./sdrControl');
+const healthMonitor = require('./healthMonitor');
+const sweepEngine = require('./sweepEngine');
+const auditLog = require('./auditLog');
+
+const events = new EventEmitter();
+const STEPS = ['tx_off', 'upload', 'verify', 'flash', 'reboot', 'boot', 'check'];
+const updates = {}; // SDR id -> progress of the running or last update
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function getStatus(id) {
+    const firmware = sdrStates[id]?.firmware || null;
+    const expected = firmwareRepository.getExpected();
+    return {
+        fw_version: firmware?.fw_version ?? null,
+        build_id: firmware ? firmwareRepository.normalizeBuildId(firmware.build_id) : null,
+        read_at: firmware?.read_at ?? null,
+        expected_build_id: expected?.build_id ?? null,
+        tx_allowed: firmwareRepository.txError(firmware) === null,
+        update: updates[id] || null
+    };
+}
+
+function isUpdating(id) {
+    return updates[id]?.status === 'running';
+}
+
+function progress(id, changes) {
+    updates[id] = { ...updates[id], ...changes };
+    events.emit('progress', { id, ...updates[id] });
+}
+
+// Retry the connection until the board answers again after its reboot
+async function waitForBoot(id) {
+    const { reboot_timeout_ms, retry_ms } = settings.get('firmware');
+    const { ping_timeout_ms } = settings.get('health');
+    const deadline = Date.now() + reboot_timeout_ms;
+    await sleep(retry_ms);
+    for (;;) {
+        try {
+            disconnectSDR(id);
+            await withTimeout(connectToSDR(id), ping_timeout_ms, 'Connect');
+            return;
+        } catch (err) {
+            if (Date.now() + retry_ms > deadline) throw new Error(`Board did not come back within ${reboot_timeout_ms / 1000} s: ${err.message}`);
+            await sleep(retry_ms);
+        }
+    }
+}
+
+async function runUpdate(id, image, ctx) {
+    const { remote_dir, upload_timeout_ms, flash_timeout_ms } = settings.get('firmware');
+    const remote = `${remote_dir}/${image.id}.frm`;
+    let flashed = false;
+    try {
+        progress(id, { step: 'tx_off' });
+        if (sweepEngine.isRunning(id)) sweepEngine.stop(id, 'firmware_update', ctx);
+        // Also cancels whatever was queued before the hold (an init would bring the board back)
+        await sdrControl.forceTxOff(id, ctx);
+        healthMonitor.pause(id, `firmware update to ${image.name}`);
+        sdrStates[id].initialized = false;
+        sdrControl.events.emit('update', id);
+
+        progress(id, { step: 'upload', percent: 0 });
+        await executeCommand(id, iio.makeDir(remote_dir));
+        let lastPercent = 0;
+        await commandQueue.run(id, `upload ${remote}`, signal => getTransport(id).upload(firmwareRepository.localPath(image.id), remote, {
+            signal,
+            onProgress: (transferred, total) => {
+                const percent = Math.floor(transferred / total * 100);
+                // Whole steps of 5 % keep the socket traffic down on a slow link
+                if (percent - lastPercent >= 5 || percent === 100) {
+                    lastPercent = percent;
+                    progress(id, { percent });
+                }
+            }
+        }), { timeout_ms: upload_timeout_ms });
+
+        progress(id, { step: 'verify', percent: null });
+        const [md5] = (await executeCommand(id, iio.md5sum(remote), 1)).split(/\s+/);
+        if (md5 !== image.md5) throw new Error(`Checksum mismatch on the board: ${md5}, expected ${image.md5}`);
+
+        progress(id, { step: 'flash' });
+        flashed = true;
+        await commandQueue.run(id, 'flash firmware', () => executeCommand(id, iio.flashFirmware(remote), 1), { timeout_ms: flash_timeout_ms });
+
+        progress(id, { step: 'reboot' });
+        // The link drops under the command, so its outcome says nothing; closing it ends the wait
+        await withTimeout(executeCommand(id, iio.reboot(), 1), settings.get('health').ping_timeout_ms, 'Reboot').catch(() => {});
+        disconnectSDR(id);
+
+        progress(id, { step: 'boot' });
+        await waitForBoot(id);
+
+        progress(id, { step: 'check' });
+        await sdrControl.init(id, ctx, { force: true, held: true });
+        const running = sdrStates[id].firmware;
+        const buildId = firmwareRepository.normalizeBuildId(running.build_id);
+        if (running.fw_version !== image.fw_version || buildId !== image.build_id) {
+            throw new Error(`Board booted ${running.fw_version} / ${buildId || 'unknown'}, image declares ${image.fw_version} / ${image.build_id}`);
+        }
+        progress(id, { status: 'done', step: null, finished_at: new Date().toISOString() });
+        logger.info(`SDR ${id} updated to ${image.name} (${image.fw_version}, bitstream ${image.build_id})`);
+    } catch (err) {
+        // Before the flash the board still runs its old firmware and can go back into service
+        if (!flashed && sdrStates[id]) sdrStates[id].initialized = true;
+        progress(id, { status: 'failed', error: err.message, finished_at: new Date().toISOString() });
+        logger.error(`Firmware update of SDR ${id} failed at ${updates[id].step}: ${err.message}`);
+        throw err;
+    } finally {
+        sdrControl.release(id);
+        healthMonitor.resume(id);
+        sdrControl.events.emit('update', id);
+    }
+}
+
+// Start updating board id to an approved image; resolves with the initial progress while
+// the sequence runs on (followed through 'progress' events and getStatus)
+function start(id, imageId, ctx) {
+    sdrControl.requireSDR(id);
+    if (isUpdating(id)) throw sdrControl.controlError(409, `Firmware update of SDR ${id} already running`);
+    sdrControl.requireInitialized(id);
+    const image = firmwareRepository.get(imageId);
+    updates[id] = {
+        image: image.id,
+        name: image.name,
+        fw_version: image.fw_version,
+        build_id: image.build_id,
+        from: getStatus(id).build_id,
+        steps: STEPS,
+        step: null,
+        percent: null,
+        status: 'running',
+        error: null,
+        started_at: new Date().toISOString(),
+        started_by: ctx.user || null,
+        finished_at: null
+    };
+    sdrControl.hold(id, `firmware update to ${image.name} running`);
+    const params = { image: image.id, name: image.name, fw_version: image.fw_version, build_id: image.build_id };
+    auditLog.track(ctx, 'firmware_update', id, params, () => runUpdate(id, image, ctx)).catch(() => {});
+    logger.info(`Firmware update of SDR ${id} to ${image.name} started by ${ctx.user}`);
+    return updates[id];
+}
+
+// Images being flashed stay in the repository until the update is over
+function removeImage(imageId) {
+    const busy = Object.keys(updates).filter(id => isUpdating(id) && updates[id].image === imageId);
+    if (busy.length > 0) throw sdrControl.controlError(409, `Image is being flashed to ${busy.join(', ')}`);
+    return firmwareRepository.remove(imageId);
+}
+
+// Board removed from boards.json
+function forget(id) {
+    if (!isUpdating(id)) delete updates[id];
+}
+
+module.exports = {
+    events,
+    STEPS,
+    getStatus,
+    isUpdating,
+    start,
+    removeImage,
+    forget
+};
@@ -0,0 +1,133 @@
+// lib/firmwareRepository.js
+// Approved Pluto firmware images (.frm: the FIT image with our bitstream, followed by its
+// md5 as 32 hex digits and a newline) kept under data/firmware/, indexed in data/firmware.json
+// with the firmware version and FPGA build ID the uploader declares for them. One image can be
+// marked expected: boards whose bitstream build ID differs are refused for TX.
+const crypto = require('crypto');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const settings = require('./settings');
+const { readJson, writeJson, dataPath } = require('./dataStore');
+
+const INDEX_FILE = 'firmware.json';
+const NAME_PATTERN = /^[\w .-]{1,64}$/;
+const VERSION_PATTERN = /^[\w.+-]{1,32}$/;
+const BUILD_ID_PATTERN = /^0x[0-9a-fA-F]{1,8}$/;
+const TRAILER_BYTES = 33;
+
+let index = readJson(INDEX_FILE, { images: {}, expected: null });
+
+// Error carrying the HTTP status the routes should answer with
+function firmwareError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+const localPath = id => dataPath(`firmware/${id}.frm`);
+const digest = (algorithm, data) => crypto.createHash(algorithm).update(data).digest('hex');
+
+// Build IDs compare as 8 hex digits ("0x5ade0102"); anything else (e.g. "unknown") is null
+function normalizeBuildId(value) {
+    if (typeof value !== 'string' || !BUILD_ID_PATTERN.test(value.trim())) return null;
+    return `0x${parseInt(value, 16).toString(16).padStart(8, '0')}`;
+}
+
+function list() {
+    return Object.values(index.images).map(image => ({ ...image, expected: image.id === index.expected }));
+}
+
+function get(id) {
+    const image = index.images[id];
+    if (!image) throw firmwareError(404, `Firmware image ${id} not found`);
+    return image;
+}
+
+function getExpected() {
+    return index.expected ? index.images[index.expected] : null;
+}
+
+// Store an upload ({ name, fw_version, build_id, sha256 } from the request); returns its entry
+function create(buffer, { name, fw_version, build_id, sha256 }, user) {
+    if (!NAME_PATTERN.test(name || '')) throw firmwareError(400, 'Invalid image name');
+    if (!VERSION_PATTERN.test(fw_version || '')) throw firmwareError(400, 'fw_version required (e.g. v0.38)');
+    const buildId = normalizeBuildId(build_id);
+    if (!buildId) throw firmwareError(400, 'build_id required as hex (e.g. 0x5ade0102)');
+    if (!buffer || buffer.length <= TRAILER_BYTES) throw firmwareError(400, 'Firmware image required');
+    const { max_image_bytes } = settings.get('firmware');
+    if (buffer.length > max_image_bytes) throw firmwareError(400, `Image is ${buffer.length} bytes, at most ${max_image_bytes} allowed`);
+
+    // Transfer check first, then the image's own md5 trailer (what update_frm.sh checks on the board)
+    const fileSha256 = digest('sha256', buffer);
+    if (sha256 !== undefined && String(sha256).toLowerCase() !== fileSha256) {
+        throw firmwareError(400, `sha256 mismatch: received ${fileSha256}, expected ${sha256}`);
+    }
+    const body = buffer.subarray(0, buffer.length - TRAILER_BYTES);
+    const trailer = buffer.subarray(buffer.length - TRAILER_BYTES).toString('latin1');
+    if (!/^[0-9a-f]{32}\n$/.test(trailer) || trailer.slice(0, 32) !== digest('md5', body)) {
+        throw firmwareError(400, 'Not a .frm image: the md5 trailer is missing or does not match');
+    }
+    const duplicate = Object.values(index.images).find(image => image.sha256 === fileSha256);
+    if (duplicate) throw firmwareError(409, `Same image already stored as ${duplicate.name}`);
+
+    const id = uuidv4();
+    fs.mkdirSync(dataPath('firmware'), { recursive: true });
+    fs.writeFileSync(localPath(id), buffer);
+    index.images[id] = {
+        id,
+        name,
+        fw_version,
+        build_id: buildId,
+        size: buffer.length,
+        md5: digest('md5', buffer),
+        sha256: fileSha256,
+        uploaded_by: user || null,
+        uploaded_at: new Date().toISOString()
+    };
+    writeJson(INDEX_FILE, index);
+    logger.info(`Firmware image ${name} (${id}) stored: ${fw_version}, bitstream ${buildId}`);
+    return index.images[id];
+}
+
+function remove(id) {
+    const image = get(id);
+    if (index.expected === id) throw firmwareError(409, `Image ${image.name} is the expected firmware; pick another one first`);
+    fs.rmSync(localPath(id), { force: true });
+    delete index.images[id];
+    writeJson(INDEX_FILE, index);
+    logger.info(`Firmware image ${image.name} (${id}) deleted`);
+    return image;
+}
+
+// null stops enforcing a bitstream
+function setExpected(id) {
+    const image = id === null ? null : get(id);
+    index.expected = image ? image.id : null;
+    writeJson(INDEX_FILE, index);
+    logger.info(image ? `Expected bitstream set to ${image.build_id} (${image.name})` : 'Expected bitstream cleared');
+    return image;
+}
+
+// Why a board running `firmware` (sdrStates[id].firmware) may not transmit, or null
+function txError(firmware) {
+    const expected = getExpected();
+    if (!expected) return null;
+    const running = normalizeBuildId(firmware?.build_id);
+    if (running === expected.build_id) return null;
+    return `Bitstream ${running || 'unknown'} does not match the expected ${expected.build_id} (${expected.name}); update the firmware first`;
+}
+
+module.exports = {
+    NAME_PATTERN,
+    BUILD_ID_PATTERN,
+    normalizeBuildId,
+    localPath,
+    list,
+    get,
+    getExpected,
+    create,
+    remove,
+    setExpected,
+    txError
+};
@@ -0,0 +1,17 @@
+// lib/gpio/gpiosetBackend.js
+// libgpiod v1 tools (`gpioset`/`gpioget`). Options: chip (default gpiochip0), sudo (default false).
+function createGpiosetBackend({ chip = 'gpiochip0', sudo = false }, run) {
+    const prefix = sudo ? 'sudo ' : '';
+
+    return {
+        write: (pin, level, options) => run(`${prefix}gpioset ${chip} ${pin}=${level}`, options),
+        writeMany: (pairs, options) => run(`${prefix}gpioset ${chip} ${pairs.map(([pin, level]) => `${pin}=${level}`).join(' ')}`, options),
+        async read(pins, options) {
+            const output = await run(`${prefix}gpioget ${chip} ${pins.join(' ')}`, options);
+            const levels = String(output).trim().split(/\s+/);
+            return pins.map((_, i) => (levels[i] === '1' ? 1 : levels[i] === '0' ? 0 : null));
+        }
+    };
+}
+
+module.exports = createGpiosetBackend;
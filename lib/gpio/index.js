@@ -0,0 +1,73 @@
+// lib/gpio/index.js
+// A set of GPIO lines (relays on the Pi, generator mode lines on a Pluto) behind one
+// of several backends. Backends only build and run commands through the `run`
+// function they are given, so the same backend works locally and over a transport:
+//   run(command, options) - resolves with the command output
+// Backends may also offer writeMany([[pin, level]...], options) to set several lines
+// with one command; otherwise the writes are issued side by side.
+// Config: { backend, pins, active_low, ... } where pins is an array (keys are the
+// indexes) or an object (keys are names); the remaining keys are backend options.
+const createPinctrlBackend = require('./pinctrlBackend');
+const createGpiosetBackend = require('./gpiosetBackend');
+const createSysfsBackend = require('./sysfsBackend');
+const createMockBackend = require('./mockBackend');
+
+const BACKENDS = {
+    pinctrl: createPinctrlBackend,
+    gpioset: createGpiosetBackend,
+    sysfs: createSysfsBackend,
+    mock: createMockBackend
+};
+
+function validatePins(pins) {
+    const values = Array.isArray(pins) ? pins : Object.values(pins || {});
+    if (values.length === 0) throw new Error('GPIO pins must be a non-empty array or object');
+    values.forEach(pin => {
+        if (!Number.isInteger(pin) || pin < 0) throw new Error(`Invalid GPIO pin ${JSON.stringify(pin)}`);
+    });
+}
+
+// Lines take logical states (true = on); active_low inverts them on the wire
+function createGpioLines(config, run) {
+    const { backend = 'pinctrl', pins, active_low = false } = config;
+    const factory = BACKENDS[backend];
+    if (!factory) throw new Error(`Unknown GPIO backend '${backend}'`);
+    validatePins(pins);
+    const driver = factory(config, run);
+    const keys = Array.isArray(pins) ? pins.map((_, i) => i) : Object.keys(pins);
+    const toLevel = on => (on ? 1 : 0) ^ (active_low ? 1 : 0);
+
+    function pinOf(key) {
+        const pin = pins[key];
+        if (pin === undefined) throw new Error(`Unknown GPIO line ${key}`);
+        return pin;
+    }
+
+    // states: { key: on }
+    async function setMany(states, options) {
+        const pairs = Object.entries(states).map(([key, on]) => [pinOf(key), toLevel(on)]);
+        if (driver.writeMany) return driver.writeMany(pairs, options);
+        await Promise.all(pairs.map(([pin, level]) => driver.write(pin, level, options)));
+    }
+
+    return {
+        backend,
+        active_low,
+        keys,
+        pinOf,
+        set: (key, on, options) => driver.write(pinOf(key), toLevel(on), options),
+        setMany,
+        setAll: (on, options) => setMany(Object.fromEntries(keys.map(key => [key, on])), options),
+        // Logical states of the given lines, null where the backend cannot tell
+        async read(lineKeys = keys, options) {
+            const levels = await driver.read(lineKeys.map(pinOf), options);
+            return levels.map(level => (level == null ? null : level !== toLevel(false)));
+        }
+    };
+}
+
+module.exports = {
+    createGpioLines,
+    validatePins,
+    BACKENDS: Object.keys(BACKENDS)
+};
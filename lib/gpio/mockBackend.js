@@ -0,0 +1,19 @@
+// lib/gpio/mockBackend.js
+// No hardware: records the last level written per pin (bench setups, tests)
+const logger = require('../logger');
+
+function createMockBackend() {
+    const levels = {};
+
+    return {
+        async write(pin, level) {
+            levels[pin] = level;
+            logger.debug(`[mock gpio] pin ${pin} = ${level}`);
+        },
+        async read(pins) {
+            return pins.map(pin => levels[pin] ?? null);
+        }
+    };
+}
+
+module.exports = createMockBackend;
@@ -0,0 +1,21 @@
+// lib/gpio/pinctrlBackend.js
+// Raspberry Pi `pinctrl` (Bookworm and later). Options: sudo (default true).
+function createPinctrlBackend({ sudo = true }, run) {
+    const prefix = sudo ? 'sudo ' : '';
+
+    return {
+        write: (pin, level, options) => run(`${prefix}pinctrl set ${pin} op ${level ? 'dh' : 'dl'}`, options),
+        // Output lines look like " 26: op dh pn | hi // GPIO26 = output"
+        async read(pins, options) {
+            const output = await run(`${prefix}pinctrl get ${pins.join(',')}`, options);
+            const levels = {};
+            String(output).split('\n').forEach(line => {
+                const match = line.match(/^\s*(\d+):.*\|\s*(hi|lo)\b/);
+                if (match) levels[match[1]] = match[2] === 'hi' ? 1 : 0;
+            });
+            return pins.map(pin => levels[pin] ?? null);
+        }
+    };
+}
+
+module.exports = createPinctrlBackend;
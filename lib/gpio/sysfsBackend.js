@@ -0,0 +1,22 @@
+// lib/gpio/sysfsBackend.js
+// Legacy /sys/class/gpio interface. Options: base (added to every pin, e.g. 512 on
+// recent Pi kernels), sudo (default true).
+function createSysfsBackend({ base = 0, sudo = true }, run) {
+    const prefix = sudo ? 'sudo ' : '';
+    const dir = pin => `/sys/class/gpio/gpio${base + pin}`;
+
+    return {
+        write: (pin, level, options) => run(
+            `${prefix}sh -c '[ -d ${dir(pin)} ] || echo ${base + pin} > /sys/class/gpio/export; ` +
+            `echo out > ${dir(pin)}/direction; echo ${level} > ${dir(pin)}/value'`,
+            options
+        ),
+        async read(pins, options) {
+            const output = await run(`${prefix}cat ${pins.map(pin => `${dir(pin)}/value`).join(' ')}`, options);
+            const levels = String(output).trim().split(/\s+/);
+            return pins.map((_, i) => (levels[i] === '1' ? 1 : levels[i] === '0' ? 0 : null));
+        }
+    };
+}
+
+module.exports = createSysfsBackend;
@@ -0,0 +1,222 @@
+// lib/healthMonitor.js
+// Background health loop: pings every board, polls initialized ones and compares
+// the read-back against the desired settings (drift). Lost boards are reconnected
+// with exponential backoff, escalating to a per-port USB power cycle.
+// Emits 'change' with the SDR id whenever a board's health changes.
+const EventEmitter = require('events');
+const logger = require('./logger');
+const settings = require('./settings');
+const withTimeout = require('./withTimeout');
+const { sdrStates, events: sdrEvents, executeCommand, pollSDRState, connectToSDR, disconnectSDR, getBoard } = require('./sdrManager');
+const { restartUsbPort } = require('./hostCommands');
+const sdrControl = require('./sdrControl');
+const sweepEngine = require('./sweepEngine');
+const auditLog = require('./auditLog');
+
+const events = new EventEmitter();
+const health = {}; // SDR id -> { status, last_ok, last_error, failures, reconnect_attempts, next_retry, drift }
+const reconnectTimers = {};
+const busy = {}; // SDR id -> true while a check or reconnect is in flight
+const paused = new Set(); // Boards left alone during maintenance (firmware update)
+const MONITOR_CTX = { user: 'system', source: 'health' };
+let intervalTimer = null;
+
+// Global health settings with per-board overrides (boards.json `health`)
+function boardSettings(id) {
+    return { ...settings.get('health'), ...getBoard(id)?.health };
+}
+
+function getHealth(id) {
+    return health[id] || { status: 'unknown', failures: 0, reconnect_attempts: 0, drift: null };
+}
+
+function update(id, changes) {
+    health[id] = { ...getHealth(id), ...changes };
+    events.emit('change', id);
+}
+
+// Keys whose actual value differs from the expected one beyond the board's tolerances,
+// as { key: { expected, actual } } (null if none). mode is compared when actual has it.
+function compareSettings(id, expected, actual, { skipFreq = false } = {}) {
+    const cfg = boardSettings(id);
+    const mismatches = {};
+    const compare = (key, tolerance) => {
+        if (expected[key] === undefined || actual[key] === undefined) return;
+        const mismatch = tolerance === undefined ? expected[key] !== actual[key] : !(Math.abs(expected[key] - actual[key]) <= tolerance);
+        if (mismatch) mismatches[key] = { expected: expected[key], actual: actual[key] };
+    };
+    compare('gen_mode');
+    compare('gain', cfg.gain_tolerance_db);
+    compare('sampling_freq', cfg.sampling_tolerance_hz);
+    if (!skipFreq) compare('freq', cfg.freq_tolerance_hz);
+    compare('mode');
+    return Object.keys(mismatches).length > 0 ? mismatches : null;
+}
+
+function detectDrift(id) {
+    const desired = sdrControl.getDesiredSettings(id);
+    if (!desired) return null;
+    // The sweep engine moves the LO on its own
+    return compareSettings(id, desired, sdrStates[id], { skipFreq: sweepEngine.isRunning(id) });
+}
+
+async function check(id) {
+    const cfg = boardSettings(id);
+    busy[id] = true;
+    try {
+        // The ping skips the command queue: a busy board is not an unreachable one
+        await withTimeout(executeCommand(id, 'true', 1, { queued: false }), cfg.ping_timeout_ms, 'Ping');
+        let drift = null;
+        if (sdrStates[id].initialized) {
+            await pollSDRState(id);
+            drift = detectDrift(id);
+            if (drift && JSON.stringify(drift) !== JSON.stringify(getHealth(id).drift)) {
+                logger.warn(`SDR ${id} drifted from expected settings: ${JSON.stringify(drift)}`);
+            }
+        }
+        if (paused.has(id)) return; // Paused while this check ran
+        const previous = getHealth(id);
+        if (previous.status !== (drift ? 'degraded' : 'ok') || JSON.stringify(previous.drift) !== JSON.stringify(drift)) {
+            update(id, { status: drift ? 'degraded' : 'ok', drift });
+        }
+        health[id].last_ok = new Date().toISOString();
+        health[id].failures = 0;
+    } catch (err) {
+        // Poll cancelled, timed out or refused by the command queue: the link itself answered the ping
+        if (err.status) logger.info(`Health poll skipped for SDR ${id}: ${err.message}`);
+        else if (!paused.has(id)) handleFailure(id, err);
+    } finally {
+        busy[id] = false;
+    }
+}
+
+function handleFailure(id, err) {
+    const previous = getHealth(id);
+    logger.warn(`Health check failed for SDR ${id}: ${err.message}`);
+    disconnectSDR(id);
+    update(id, { status: 'disconnected', last_error: err.message, failures: previous.failures + 1 });
+    // Only boards that were brought up are worth reconnecting; the others are retried on the next pass
+    if (sdrStates[id]?.initialized) scheduleReconnect(id);
+}
+
+function scheduleReconnect(id) {
+    if (reconnectTimers[id]) return;
+    const cfg = boardSettings(id);
+    const attempts = getHealth(id).reconnect_attempts;
+    const delay = Math.min(cfg.backoff_base_ms * 2 ** attempts, cfg.backoff_max_ms);
+    update(id, { status: 'reconnecting', next_retry: new Date(Date.now() + delay).toISOString() });
+    reconnectTimers[id] = setTimeout(() => {
+        delete reconnectTimers[id];
+        attemptReconnect(id);
+    }, delay);
+}
+
+async function attemptReconnect(id) {
+    if (busy[id] || !sdrStates[id] || paused.has(id)) return;
+    const cfg = boardSettings(id);
+    const attempts = getHealth(id).reconnect_attempts + 1;
+    const usbCycle = cfg.usb_cycle_after > 0 && attempts % cfg.usb_cycle_after === 0;
+    update(id, { reconnect_attempts: attempts });
+    logger.info(`Reconnecting SDR ${id} (attempt ${attempts}${usbCycle ? ', with USB power cycle' : ''})`);
+    try {
+        await reconnect(id, MONITOR_CTX, { usbCycle });
+    } catch (err) {
+        update(id, { last_error: err.message });
+        scheduleReconnect(id);
+    }
+}
+
+// Drop and re-establish the link, re-run init and optionally restore the previous settings.
+// Used by the monitor and by the manual reconnect endpoint.
+async function reconnect(id, ctx, { usbCycle = false } = {}) {
+    sdrControl.requireAvailable(id);
+    const cfg = boardSettings(id);
+    clearTimeout(reconnectTimers[id]);
+    delete reconnectTimers[id];
+    busy[id] = true;
+    try {
+        const desired = sdrControl.getDesiredSettings(id);
+        if (usbCycle) {
+            await auditLog.track(ctx, 'restart_usb', id, { port: getBoard(id).usb_port, reason: 'reconnect' }, () => restartUsbPort(id, getBoard(id)));
+        }
+        disconnectSDR(id);
+        await withTimeout(connectToSDR(id), cfg.ping_timeout_ms, 'Connect');
+        await sdrControl.init(id, ctx, { force: true });
+        if (cfg.reapply && desired) {
+            await sdrControl.applySettings(id, desired, ctx);
+            logger.info(`Re-applied last known settings to SDR ${id}`);
+        } else {
+            sdrControl.resetDesired(id);
+        }
+        update(id, { status: 'ok', drift: null, failures: 0, reconnect_attempts: 0, next_retry: null, last_ok: new Date().toISOString() });
+        logger.info(`SDR ${id} reconnected`);
+    } catch (err) {
+        logger.error(`Reconnect failed for SDR ${id}: ${err.message}`);
+        update(id, { status: 'disconnected', last_error: err.message });
+        throw err;
+    } finally {
+        busy[id] = false;
+    }
+}
+
+// Board removed from boards.json
+function forget(id) {
+    clearTimeout(reconnectTimers[id]);
+    delete reconnectTimers[id];
+    delete health[id];
+    delete busy[id];
+    paused.delete(id);
+}
+
+// No checks, reconnects or USB power cycles until resume(); the caller owns the board meanwhile
+function pause(id, reason) {
+    paused.add(id);
+    clearTimeout(reconnectTimers[id]);
+    delete reconnectTimers[id];
+    update(id, { status: 'maintenance', last_error: null, next_retry: null, reason });
+}
+
+// The next pass checks the board again
+function resume(id) {
+    if (!paused.delete(id)) return;
+    update(id, { status: 'unknown', reason: undefined, failures: 0, reconnect_attempts: 0 });
+}
+
+function checkAll() {
+    Object.keys(sdrStates).forEach(id => {
+        if (busy[id] || reconnectTimers[id] || paused.has(id)) return;
+        check(id);
+    });
+}
+
+function start() {
+    const { interval_ms } = settings.get('health');
+    intervalTimer = setInterval(checkAll, interval_ms);
+    logger.info(`Health monitor started (every ${interval_ms} ms)`);
+}
+
+function stop() {
+    clearInterval(intervalTimer);
+    intervalTimer = null;
+    Object.keys(reconnectTimers).forEach(id => clearTimeout(reconnectTimers[id]));
+}
+
+// A link that drops outside a check (SSH 'close') starts the reconnect cycle right away
+sdrEvents.on('connection', (id, connected) => {
+    if (connected || !intervalTimer || busy[id] || reconnectTimers[id] || paused.has(id)) return;
+    update(id, { status: 'disconnected' });
+    if (sdrStates[id]?.initialized) scheduleReconnect(id);
+});
+
+module.exports = {
+    events,
+    start,
+    stop,
+    getHealth,
+    forget,
+    pause,
+    resume,
+    compareSettings,
+    reconnect,
+    scheduleReconnect
+};
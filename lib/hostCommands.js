@@ -0,0 +1,42 @@
+// lib/hostCommands.js
+// Commands run on the Pi itself (uhubctl, pinctrl). Logged only in simulation mode.
+const { exec } = require('child_process');
+const util = require('util');
+const logger = require('./logger');
+
+const execPromise = util.promisify(exec);
+let simulate = false; // Set from server.js (--simulate)
+
+async function runHostCommand(command) {
+    if (simulate) {
+        logger.info(`[simulate] ${command}`);
+        return { stdout: '', stderr: '' };
+    }
+    return execPromise(command);
+}
+
+// Power-cycle the USB hub port an SDR hangs off (board.usb_port); resolves with the uhubctl output
+async function restartUsbPort(id, board) {
+    const port = board.usb_port;
+    if (!port) {
+        logger.warn(`No usb_port defined for SDR ${id}, skipping USB cycle`);
+        return;
+    }
+    try {
+        const { stdout, stderr } = await runHostCommand(`sudo uhubctl -a cycle -l 1-1 -p ${port}`);
+        if (stderr) throw new Error(`uhubctl failed for port ${port}: ${stderr}`);
+        logger.info(`USB restart for SDR ${id} on port ${port}: ${stdout}`);
+        return stdout;
+    } catch (err) {
+        logger.error(`USB restart failed for SDR ${id}: ${err.message}`);
+        throw err; // Re-throw to handle in caller
+    }
+}
+
+module.exports = {
+    runHostCommand,
+    restartUsbPort,
+    setSimulate: function(value) {
+        simulate = value;
+    }
+};
@@ -0,0 +1,55 @@
+// lib/iioCommands.js
+// Builders for the shell commands sent to a Pluto, shared by every transport
+const DEVICE = 'ad9361-phy';
+const TX_DMA_DEVICE = 'cf-ad9361-dds-core-lpc';
+const RX_DMA_DEVICE = 'cf-ad9361-lpc';
+const PLAYBACK_PID = '/tmp/sdr_waveform.pid';
+// The generator design stamps its build ID into this user register of the TX DDS core
+const BUILD_ID_REG = '0x800';
+
+// Every argument is interpolated into a shell command line, so only plain tokens
+// (finite numbers, attribute and channel names, enum values, remote paths) get through
+const SAFE_ARG = /^[A-Za-z0-9_.+\/-]+$/;
+
+function arg(value) {
+    const text = String(value);
+    if ((typeof value === 'number' && !isFinite(value)) || !SAFE_ARG.test(text)) {
+        const err = new Error(`Unsafe command argument ${JSON.stringify(value)}`);
+        err.status = 400;
+        throw err;
+    }
+    return text;
+}
+
+module.exports = {
+    readChannelAttr: (channel, attr) => `iio_attr -c ${DEVICE} ${arg(channel)} ${arg(attr)}`,
+    writeChannelAttr: (channel, attr, value) => `iio_attr -c ${DEVICE} ${arg(channel)} ${arg(attr)} ${arg(value)}`,
+    // Direction-explicit forms, for channels that exist as both input and output
+    readAttr: (channel, attr, output) => `iio_attr ${output ? '-o' : '-i'} -c ${DEVICE} ${arg(channel)} ${arg(attr)}`,
+    writeAttr: (channel, attr, output, value) => `iio_attr ${output ? '-o' : '-i'} -c ${DEVICE} ${arg(channel)} ${arg(attr)} ${arg(value)}`,
+    writeRegister: (address, value) => `iio_reg ${DEVICE} ${arg(address)} ${arg(value)}`,
+    // One burst of RX1 I/Q samples (interleaved int16) on stdout
+    readRx: (samples) => `iio_readdev -b ${arg(samples)} -s ${arg(samples)} ${RX_DMA_DEVICE} voltage0 voltage1`,
+    // Files pushed over SFTP
+    makeDir: (dir) => `mkdir -p ${arg(dir)}`,
+    fileSize: (file) => `stat -c %s ${arg(file)} 2>/dev/null || echo missing`,
+    // IQ playback: iio_writedev loops a complex int16 file through the TX DMA buffer (cyclic),
+    // detached under a pidfile so it outlives the ssh channel and can be stopped later
+    startPlayback: (file, samples) => `start-stop-daemon -S -b -m -p ${PLAYBACK_PID} -x /bin/sh -- -c "exec iio_writedev -c -b ${arg(samples)} ${TX_DMA_DEVICE} voltage0 voltage1 < ${arg(file)}"`,
+    stopPlayback: () => `start-stop-daemon -K -o -q -p ${PLAYBACK_PID}`,
+    playbackState: () => `start-stop-daemon -K -t -q -p ${PLAYBACK_PID} && echo running || echo stopped`,
+    // Firmware: build IDs (`unknown` where the image has no such attribute or core), then the
+    // stock update script (checks the .frm md5 trailer and writes the flash) and a reboot
+    readFirmwareVersion: () => 'iio_attr -C fw_version 2>/dev/null || echo unknown',
+    readBuildId: () => `iio_reg ${TX_DMA_DEVICE} ${BUILD_ID_REG} 2>/dev/null || echo unknown`,
+    md5sum: (file) => `md5sum ${arg(file)}`,
+    flashFirmware: (file) => `update_frm.sh ${arg(file)}`,
+    reboot: () => 'device_reboot reset',
+    // Read-only diagnostics (lib/diagnostics): context and device overview, one register,
+    // the end of the kernel log, uptime with load averages and the interface counters
+    deviceInfo: () => 'iio_info',
+    readRegister: (address) => `iio_reg ${DEVICE} ${arg(address)}`,
+    kernelLog: (lines) => `dmesg | tail -n ${arg(lines)}`,
+    uptime: () => 'cat /proc/uptime /proc/loadavg',
+    networkStats: () => 'cat /proc/net/dev'
+};
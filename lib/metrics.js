@@ -0,0 +1,152 @@
+// lib/metrics.js
+// Prometheus metrics for /metrics. SDR and relay gauges are read at scrape time;
+// command, connection and rate limiter figures come from sdrManager events.
+const client = require('prom-client');
+const { sdrStates, events: sdrEvents, getTransport } = require('./sdrManager');
+const commandQueue = require('./commandQueue');
+
+const register = new client.Registry();
+const MODES = ['none', 'wn', 'fsk', 'bpsk', 'qpsk', 'ntsc', 'file'];
+
+let getRelayStates = () => []; // Set from server.js: [{ relay, gpio, state }]
+
+client.collectDefaultMetrics({ register });
+
+// One gauge per SDR field, filled from sdrStates on every scrape
+function sdrGauge(name, help, value) {
+    return new client.Gauge({
+        name,
+        help,
+        labelNames: ['sdr'],
+        registers: [register],
+        collect() {
+            this.reset();
+            Object.entries(sdrStates).forEach(([id, state]) => this.set({ sdr: id }, Number(value(state)) || 0));
+        }
+    });
+}
+
+sdrGauge('sdr_connected', 'Link to the board is up (1/0)', state => state.connected);
+sdrGauge('sdr_initialized', 'Board has been initialized (1/0)', state => state.initialized);
+sdrGauge('sdr_tx_on', 'Board is transmitting (1/0)', state => state.tx_on);
+sdrGauge('sdr_frequency_hz', 'TX LO frequency', state => state.freq);
+sdrGauge('sdr_sampling_frequency_hz', 'Sampling frequency', state => state.sampling_freq);
+sdrGauge('sdr_gain_db', 'Hardware gain', state => state.gain);
+
+new client.Gauge({
+    name: 'sdr_mode',
+    help: 'Active generator mode (1 for the active one, none when TX is off)',
+    labelNames: ['sdr', 'mode'],
+    registers: [register],
+    collect() {
+        this.reset();
+        Object.entries(sdrStates).forEach(([id, state]) => {
+            const active = Object.keys(state.modes || {}).find(key => state.modes[key]) || 'none';
+            MODES.forEach(mode => this.set({ sdr: id, mode }, mode === active ? 1 : 0));
+        });
+    }
+});
+
+new client.Gauge({
+    name: 'relay_state',
+    help: 'Relay state (1 closed, 0 open, -1 unknown)',
+    labelNames: ['relay', 'gpio'],
+    registers: [register],
+    collect() {
+        this.reset();
+        getRelayStates().forEach(({ relay, gpio, state }) => this.set({ relay: String(relay), gpio: String(gpio) }, state == null ? -1 : Number(state)));
+    }
+});
+
+new client.Gauge({
+    name: 'sdr_queue_depth',
+    help: 'Jobs waiting in the command queue of a board',
+    labelNames: ['sdr'],
+    registers: [register],
+    collect() {
+        this.reset();
+        Object.keys(sdrStates).forEach(id => this.set({ sdr: id }, commandQueue.getStatus(id).depth));
+    }
+});
+
+const connections = new client.Counter({
+    name: 'sdr_connections_total',
+    help: 'Links established to a board',
+    labelNames: ['sdr', 'transport'],
+    registers: [register]
+});
+
+const connectionErrors = new client.Counter({
+    name: 'sdr_connection_errors_total',
+    help: 'Failed connection attempts to a board',
+    labelNames: ['sdr', 'transport'],
+    registers: [register]
+});
+
+const commandDuration = new client.Histogram({
+    name: 'sdr_command_duration_seconds',
+    help: 'executeCommand()/executeBatch() latency, retries included',
+    labelNames: ['sdr', 'command'],
+    buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+});
+
+const commandAttempts = new client.Histogram({
+    name: 'sdr_command_attempts',
+    help: 'executeCommand()/executeBatch() attempts per call (1 = no retry)',
+    labelNames: ['sdr', 'command'],
+    buckets: [1, 2, 3, 4, 5],
+    registers: [register]
+});
+
+const commandRetries = new client.Counter({
+    name: 'sdr_command_retries_total',
+    help: 'executeCommand() retries (attempts beyond the first)',
+    labelNames: ['sdr', 'command'],
+    registers: [register]
+});
+
+const commandErrors = new client.Counter({
+    name: 'sdr_command_errors_total',
+    help: 'executeCommand() calls that failed after all retries',
+    labelNames: ['sdr', 'command'],
+    registers: [register]
+});
+
+const rateLimited = new client.Counter({
+    name: 'http_rate_limited_total',
+    help: 'Requests rejected by the rate limiter',
+    registers: [register]
+});
+
+// Low-cardinality command label: the program, with iio_attr split into reads and writes
+function commandType(command, batch) {
+    if (batch) return 'batch';
+    const words = command.trim().split(/\s+/).filter(word => !['-i', '-o'].includes(word));
+    if (words[0] === 'iio_attr') return words.length > 5 ? 'iio_attr_write' : 'iio_attr_read';
+    return words[0];
+}
+
+function transportType(id) {
+    return getTransport(id).type;
+}
+
+sdrEvents.on('connection', (id, connected) => {
+    if (connected) connections.inc({ sdr: id, transport: transportType(id) });
+});
+sdrEvents.on('connect_error', (id) => connectionErrors.inc({ sdr: id, transport: transportType(id) }));
+sdrEvents.on('command', (id, { command, batch, duration_ms, attempts, error }) => {
+    const labels = { sdr: id, command: commandType(command, batch) };
+    commandDuration.observe(labels, duration_ms / 1000);
+    commandAttempts.observe(labels, attempts);
+    if (attempts > 1) commandRetries.inc(labels, attempts - 1);
+    if (error) commandErrors.inc(labels);
+});
+sdrEvents.on('rate_limited', () => rateLimited.inc());
+
+module.exports = {
+    register,
+    setRelayStateGetter: function(fn) {
+        getRelayStates = fn;
+    }
+};
@@ -0,0 +1,282 @@
+// lib/missionScheduler.js
+// Timed TX missions: at each occurrence the target SDRs get gain/freq/sampling
+// rate/mode through sdrControl, and TX is switched off again after duration_s.
+// Missions persist in data/missions.json. Emits 'started', 'ended', 'failed'
+// and 'changed' events.
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { readJson, writeJson } = require('./dataStore');
+const { sdrStates } = require('./sdrManager');
+const { getAntennas, checkFrequency } = require('./antennaManager');
+const sdrControl = require('./sdrControl');
+const rfLimits = require('./rfLimits');
+
+const events = new EventEmitter();
+const MISSIONS_FILE = 'missions.json';
+const TICK_MS = 1000;
+const MAX_DURATION_S = 7 * 24 * 3600;
+// Generator modes a mission may use (file playback needs a waveform, which missions do not carry)
+const MISSION_MODES = sdrControl.TX_MODES.filter(mode => mode !== 'none' && mode !== 'file');
+
+let missions = {}; // mission id -> mission
+const running = {}; // mission id -> { sdrs, occurrence, timer }
+const busySdrs = {}; // SDR id -> mission id
+let tickTimer = null;
+
+function save() {
+    writeJson(MISSIONS_FILE, Object.values(missions));
+}
+
+function isValidDate(value) {
+    return typeof value === 'string' && !isNaN(Date.parse(value));
+}
+
+// Check a create/update body; returns the normalized mission fields
+function validate(body, existing = {}) {
+    const input = { ...existing, ...body };
+    const fail = (message) => { throw sdrControl.controlError(400, message); };
+
+    if (typeof input.name !== 'string' || !input.name.trim()) fail('name is required');
+    if ((input.sdr == null) === (input.group == null)) fail('Exactly one of sdr or group is required');
+    if (input.sdr != null && !sdrStates[input.sdr]) fail(`Unknown SDR ${input.sdr}`);
+    if (input.group != null && !getAntennas()[input.group]) fail(`Unknown group ${input.group}`);
+    if (!MISSION_MODES.includes(input.mode)) fail(`mode must be one of ${MISSION_MODES.join(', ')}`);
+    if (input.freq === undefined) fail('freq (Hz) is required');
+    ['freq', 'gain', 'sampling_freq'].forEach(key => {
+        const error = input[key] !== undefined && rfLimits.check(key, input[key]);
+        if (error) fail(error);
+    });
+    // Every target must be able to transmit on freq, not just the first one to run
+    resolveTargets(input).forEach(id => {
+        const bandError = checkFrequency(id, input.freq);
+        if (bandError) fail(`SDR ${id}: ${bandError}`);
+    });
+    if (!isValidDate(input.start_time)) fail('start_time must be an ISO date');
+    if (typeof input.duration_s !== 'number' || input.duration_s <= 0 || input.duration_s > MAX_DURATION_S) {
+        fail(`duration_s must be between 0 and ${MAX_DURATION_S}`);
+    }
+    if (input.repeat != null) {
+        const { every_s, count, until } = input.repeat;
+        if (typeof every_s !== 'number' || every_s < input.duration_s) fail('repeat.every_s must be >= duration_s');
+        if (count !== undefined && (!Number.isInteger(count) || count < 1)) fail('repeat.count must be a positive integer');
+        if (until !== undefined && !isValidDate(until)) fail('repeat.until must be an ISO date');
+    }
+    if (input.enabled !== undefined && typeof input.enabled !== 'boolean') fail('enabled must be a boolean');
+
+    return {
+        name: input.name.trim(),
+        sdr: input.sdr ?? undefined,
+        group: input.group ?? undefined,
+        mode: input.mode,
+        freq: input.freq,
+        gain: input.gain,
+        sampling_freq: input.sampling_freq,
+        start_time: new Date(input.start_time).toISOString(),
+        duration_s: input.duration_s,
+        repeat: input.repeat ?? null,
+        enabled: input.enabled ?? true
+    };
+}
+
+function resolveTargets(mission) {
+    if (mission.sdr != null) return [mission.sdr];
+    return (getAntennas()[mission.group]?.sdrs || []).filter(id => sdrStates[id]);
+}
+
+// First occurrence not yet run whose window has not already passed
+function nextOccurrence(mission, now) {
+    const start = Date.parse(mission.start_time);
+    const duration = mission.duration_s * 1000;
+    let index = mission.last_occurrence == null ? 0 : mission.last_occurrence + 1;
+
+    if (!mission.repeat) {
+        if (index > 0 || start + duration <= now) return null;
+        return { index, begins: start, ends: start + duration };
+    }
+
+    const every = mission.repeat.every_s * 1000;
+    index = Math.max(index, Math.floor((now - duration - start) / every) + 1);
+    const begins = start + index * every;
+    if (mission.repeat.count !== undefined && index >= mission.repeat.count) return null;
+    if (mission.repeat.until !== undefined && begins > Date.parse(mission.repeat.until)) return null;
+    return { index, begins, ends: begins + duration };
+}
+
+function refreshSchedule(mission, now = Date.now()) {
+    if (running[mission.id]) return;
+    const next = mission.enabled ? nextOccurrence(mission, now) : null;
+    mission.next_run = next ? new Date(next.begins).toISOString() : null;
+    if (!mission.enabled) mission.status = 'disabled';
+    else if (next) mission.status = 'scheduled';
+    else if (mission.status !== 'failed') mission.status = mission.last_run ? 'completed' : 'missed';
+}
+
+// Audit context: actions run on behalf of whoever created the mission
+function missionContext(mission) {
+    return { user: mission.created_by || 'scheduler', source: `mission:${mission.name}` };
+}
+
+async function startOnSDR(mission, id) {
+    const ctx = missionContext(mission);
+    if (busySdrs[id] && busySdrs[id] !== mission.id) throw new Error(`SDR busy with mission ${busySdrs[id]}`);
+    busySdrs[id] = mission.id;
+    if (!sdrStates[id].initialized) await sdrControl.init(id, ctx);
+    if (mission.gain !== undefined) await sdrControl.setGain(id, mission.gain, ctx);
+    await sdrControl.setFreq(id, mission.freq, ctx);
+    if (mission.sampling_freq !== undefined && mission.mode !== 'ntsc') await sdrControl.setSamplingFreq(id, mission.sampling_freq, ctx);
+    await sdrControl.setMode(id, mission.mode, ctx);
+}
+
+async function stopOnSDRs(mission, sdrs) {
+    await Promise.all(sdrs.map(async (id) => {
+        if (busySdrs[id] !== mission.id) return;
+        try {
+            await sdrControl.setMode(id, 'none', missionContext(mission));
+        } catch (err) {
+            logger.error(`Mission ${mission.name}: failed to stop TX on SDR ${id}: ${err.message}`);
+        } finally {
+            delete busySdrs[id];
+        }
+    }));
+}
+
+async function run(mission, occurrence) {
+    const sdrs = resolveTargets(mission);
+    running[mission.id] = { sdrs, occurrence, timer: null };
+    mission.status = 'running';
+    mission.last_occurrence = occurrence.index;
+    mission.last_run = { occurrence: occurrence.index, started_at: new Date().toISOString(), ended_at: null, result: 'running', errors: {} };
+    save();
+    logger.info(`Mission ${mission.name} starting on ${sdrs.join(', ') || 'no SDRs'}`);
+
+    const results = await Promise.allSettled(sdrs.map(id => startOnSDR(mission, id)));
+    const errors = {};
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') errors[sdrs[i]] = result.reason.message;
+    });
+    if (sdrs.length === 0) errors._ = 'Mission target resolves to no SDRs';
+
+    if (Object.keys(errors).length > 0) {
+        // Partial TX is worse than none: turn every target off again
+        await stopOnSDRs(mission, sdrs);
+        delete running[mission.id];
+        mission.last_run = { ...mission.last_run, ended_at: new Date().toISOString(), result: 'failed', errors };
+        mission.status = 'failed';
+        refreshSchedule(mission);
+        save();
+        logger.error(`Mission ${mission.name} failed: ${JSON.stringify(errors)}`);
+        events.emit('failed', { mission, errors });
+        return;
+    }
+
+    running[mission.id].timer = setTimeout(() => end(mission.id, 'completed'), Math.max(0, occurrence.ends - Date.now()));
+    events.emit('started', { mission });
+}
+
+async function end(missionId, result) {
+    const active = running[missionId];
+    const mission = missions[missionId];
+    if (!active) return;
+    clearTimeout(active.timer);
+    await stopOnSDRs(mission, active.sdrs);
+    delete running[missionId];
+    mission.last_run = { ...mission.last_run, ended_at: new Date().toISOString(), result };
+    mission.status = 'completed';
+    refreshSchedule(mission);
+    if (missions[missionId]) save();
+    logger.info(`Mission ${mission.name} ended: ${result}`);
+    events.emit('ended', { mission, result });
+}
+
+function tick() {
+    const now = Date.now();
+    Object.values(missions).forEach(mission => {
+        if (!mission.enabled || running[mission.id]) return;
+        const next = nextOccurrence(mission, now);
+        if (next && next.begins <= now) {
+            run(mission, next).catch(err => logger.error(`Mission ${mission.name} run error: ${err.message}`));
+        }
+    });
+}
+
+function start() {
+    const list = readJson(MISSIONS_FILE, []);
+    missions = {};
+    list.forEach(mission => {
+        // A mission that was on air when the server stopped is not resumed
+        if (mission.status === 'running') {
+            mission.last_run = { ...mission.last_run, ended_at: null, result: 'interrupted' };
+            mission.status = 'failed';
+        }
+        missions[mission.id] = mission;
+        refreshSchedule(mission);
+    });
+    save();
+    logger.info(`Loaded ${list.length} mission(s)`);
+    tickTimer = setInterval(tick, TICK_MS);
+}
+
+function stop() {
+    clearInterval(tickTimer);
+}
+
+// End every mission on air (emergency stop); their next occurrences stay scheduled
+async function abortAll(result) {
+    await Promise.all(Object.keys(running).map(id => end(id, result)));
+}
+
+function list() {
+    return Object.values(missions).sort((a, b) => (a.next_run || '~').localeCompare(b.next_run || '~'));
+}
+
+function get(id) {
+    const mission = missions[id];
+    if (!mission) throw sdrControl.controlError(404, 'Mission not found');
+    return mission;
+}
+
+function create(body, username) {
+    const mission = { id: uuidv4(), ...validate(body), created_by: username, created_at: new Date().toISOString(), last_occurrence: null, last_run: null };
+    missions[mission.id] = mission;
+    refreshSchedule(mission);
+    save();
+    events.emit('changed');
+    return mission;
+}
+
+async function update(id, body) {
+    const mission = get(id);
+    const fields = validate(body, mission);
+    if (running[id]) await end(id, 'aborted');
+    const scheduleChanged = fields.start_time !== mission.start_time || JSON.stringify(fields.repeat) !== JSON.stringify(mission.repeat);
+    Object.assign(mission, fields);
+    if (scheduleChanged) mission.last_occurrence = null;
+    if (mission.status === 'failed') mission.status = 'scheduled';
+    refreshSchedule(mission);
+    save();
+    events.emit('changed');
+    return mission;
+}
+
+async function remove(id) {
+    get(id);
+    if (running[id]) await end(id, 'aborted');
+    delete missions[id];
+    save();
+    events.emit('changed');
+}
+
+module.exports = {
+    events,
+    MAX_DURATION_S,
+    MISSION_MODES,
+    start,
+    stop,
+    abortAll,
+    list,
+    get,
+    create,
+    update,
+    remove
+};
@@ -0,0 +1,60 @@
+// lib/presetStore.js
+// Named settings bundles (gain, gen_mode, freq, sampling_freq, mode) kept in data/presets.json
+const logger = require('./logger');
+const { readJson, writeJson } = require('./dataStore');
+const sdrControl = require('./sdrControl');
+
+const PRESETS_FILE = 'presets.json';
+// Object property names are refused: presets.json stores the presets as one object
+const NAME_PATTERN = /^(?!(?:__proto__|constructor|prototype)$)[\w .-]{1,64}$/;
+
+const presets = new Map(Object.entries(readJson(PRESETS_FILE, {}))); // name -> settings bundle
+
+function persist() {
+    writeJson(PRESETS_FILE, Object.fromEntries(presets));
+}
+
+function list() {
+    return [...presets].map(([name, settings]) => ({ name, ...settings }));
+}
+
+function get(name) {
+    const preset = presets.get(name);
+    if (!preset) throw sdrControl.controlError(404, `Preset ${name} not found`);
+    return preset;
+}
+
+function save(name, settings) {
+    if (!NAME_PATTERN.test(name)) throw sdrControl.controlError(400, 'Invalid preset name');
+    const { name: _, ...bundle } = settings || {};
+    if (Object.keys(bundle).length === 0) throw sdrControl.controlError(400, 'Preset has no settings');
+    sdrControl.validateSettings(undefined, bundle);
+    presets.set(name, bundle);
+    persist();
+    logger.info(`Preset ${name} saved`);
+    return { name, ...bundle };
+}
+
+// Replace every preset at once (configuration import; bundles checked by the caller)
+function replaceAll(bundles) {
+    presets.clear();
+    Object.entries(bundles).forEach(([name, bundle]) => presets.set(name, bundle));
+    persist();
+    logger.info(`Presets replaced: ${presets.size} preset(s)`);
+}
+
+function remove(name) {
+    get(name);
+    presets.delete(name);
+    persist();
+    logger.info(`Preset ${name} deleted`);
+}
+
+module.exports = {
+    NAME_PATTERN,
+    list,
+    get,
+    save,
+    remove,
+    replaceAll
+};
@@ -0,0 +1,86 @@
+// lib/psd.js
+// Power spectral density of interleaved int16 I/Q: Hann-windowed radix-2 FFTs averaged
+// over consecutive blocks (Welch without overlap), in dBFS per bin with DC in the middle.
+// A full-scale complex tone reads 0 dBFS.
+
+const windows = {}; // FFT size -> { window, gain }
+
+function hann(size) {
+    if (!windows[size]) {
+        const window = Float64Array.from({ length: size }, (_, n) => 0.5 - 0.5 * Math.cos(2 * Math.PI * n / size));
+        windows[size] = { window, gain: window.reduce((sum, value) => sum + value, 0) };
+    }
+    return windows[size];
+}
+
+// In-place iterative FFT; re and im have a power-of-two length
+function fft(re, im) {
+    const size = re.length;
+    for (let i = 1, j = 0; i < size; i++) {
+        let bit = size >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let length = 2; length <= size; length <<= 1) {
+        const angle = -2 * Math.PI / length;
+        for (let start = 0; start < size; start += length) {
+            for (let k = 0; k < length / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + length / 2;
+                const tre = re[b] * cos - im[b] * sin;
+                const tim = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tre;
+                im[b] = im[a] - tim;
+                re[a] += tre;
+                im[a] += tim;
+            }
+        }
+    }
+}
+
+// PSD (Float64Array of fftSize dB values, lowest frequency first) from as many whole
+// fftSize blocks as the buffer holds; fullScale is the ADC full-scale amplitude
+function computePsd(buffer, { fftSize, fullScale }) {
+    if (!Number.isInteger(Math.log2(fftSize))) throw new Error(`FFT size ${fftSize} is not a power of two`);
+    const blocks = Math.floor(buffer.length / 4 / fftSize);
+    if (blocks === 0) throw new Error(`Capture too short for a ${fftSize}-point FFT`);
+    const { window, gain } = hann(fftSize);
+    const power = new Float64Array(fftSize);
+    const re = new Float64Array(fftSize);
+    const im = new Float64Array(fftSize);
+    for (let block = 0; block < blocks; block++) {
+        for (let n = 0; n < fftSize; n++) {
+            const offset = (block * fftSize + n) * 4;
+            re[n] = buffer.readInt16LE(offset) * window[n];
+            im[n] = buffer.readInt16LE(offset + 2) * window[n];
+        }
+        fft(re, im);
+        for (let k = 0; k < fftSize; k++) power[k] += re[k] * re[k] + im[k] * im[k];
+    }
+    const scale = blocks * (gain * fullScale) ** 2;
+    // fftshift: negative frequencies first
+    return Float64Array.from({ length: fftSize }, (_, i) => 10 * Math.log10(power[(i + fftSize / 2) % fftSize] / scale + 1e-20));
+}
+
+// Down to `bins` values, each the peak of its group so narrow carriers survive
+function decimate(psd, bins) {
+    if (bins >= psd.length) return Array.from(psd);
+    const group = psd.length / bins;
+    return Array.from({ length: bins }, (_, i) => {
+        let peak = -Infinity;
+        for (let k = Math.floor(i * group); k < Math.floor((i + 1) * group); k++) peak = Math.max(peak, psd[k]);
+        return peak;
+    });
+}
+
+module.exports = {
+    fft,
+    computePsd,
+    decimate
+};
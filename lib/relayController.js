@@ -0,0 +1,169 @@
+// lib/relayController.js
+// Antenna relays on the Pi, driven through lib/gpio from settings.json `relays`
+// (one or more relay boards, numbered 1..N in order). In automatic mode the relays
+// follow the antennas of the transmitting SDRs; the manual override (maintenance)
+// stops that and lets an admin set each relay. Emits 'change' after any change.
+const EventEmitter = require('events');
+const logger = require('./logger');
+const settings = require('./settings');
+const { createGpioLines } = require('./gpio');
+const { runHostCommand } = require('./hostCommands');
+const { sdrStates, getBoard } = require('./sdrManager');
+const { getAntennas, getRequiredRelays } = require('./antennaManager');
+const { controlError } = require('./sdrControl');
+const auditLog = require('./auditLog');
+
+const events = new EventEmitter();
+let relays = []; // { board, key, lines } per relay, in relay number order
+let states = []; // Last state set per relay (0/1), null = unknown
+let override = false;
+
+// Local commands: anything on stderr counts as a failure (pinctrl exits 0 on bad pins)
+async function runLocal(command) {
+    const { stdout, stderr } = await runHostCommand(command);
+    if (stderr) throw new Error(stderr.trim());
+    return stdout;
+}
+
+function configure() {
+    const { boards } = settings.get('relays');
+    try {
+        relays = [];
+        boards.forEach((board, i) => {
+            const lines = createGpioLines(board, runLocal);
+            lines.keys.forEach(key => relays.push({ board: board.name || `board${i + 1}`, key, lines }));
+        });
+    } catch (err) {
+        logger.error(`Invalid relay configuration in settings.json: ${err.message}`);
+        process.exit(1);
+    }
+    states = Array(relays.length).fill(null);
+    logger.info(`Configured ${relays.length} relay(s) on ${boards.length} relay board(s)`);
+    checkMappings();
+}
+
+// Antenna/board relay arrays longer than the relays available cannot be honoured
+function checkMappings() {
+    const mappings = [
+        ...Object.values(getAntennas()).map(antenna => [`antenna ${antenna.name}`, antenna.relays]),
+        ...Object.keys(sdrStates).map(id => [`SDR ${id}`, getBoard(id)?.relays])
+    ];
+    mappings.forEach(([owner, mapping]) => {
+        if (Array.isArray(mapping) && mapping.length > relays.length) {
+            logger.warn(`Relay mapping of ${owner} lists ${mapping.length} relays, only ${relays.length} configured; extra entries ignored`);
+        }
+    });
+}
+
+function getRelays() {
+    const required = getRequiredRelays(sdrStates, boardMap(), relays.length);
+    return {
+        override,
+        relays: relays.map(({ board, key, lines }, i) => ({
+            relay: i + 1,
+            board,
+            gpio: lines.pinOf(key),
+            backend: lines.backend,
+            active_low: lines.active_low,
+            state: states[i],
+            required: required[i]
+        }))
+    };
+}
+
+function boardMap() {
+    return Object.fromEntries(Object.keys(sdrStates).map(id => [id, getBoard(id)]));
+}
+
+async function setRelay(index, state) {
+    const { key, lines } = relays[index];
+    try {
+        await lines.set(key, Boolean(state));
+        states[index] = state;
+    } catch (err) {
+        throw new Error(`Failed to set relay ${index + 1} (GPIO ${lines.pinOf(key)}) to ${state}: ${err.message}`);
+    }
+}
+
+// Drive every relay from the antennas of the transmitting SDRs (OR of their mappings).
+// Every relay that changes state is audited under ctx (the action that caused it).
+// Does nothing while the manual override is on.
+async function update(ctx) {
+    if (override) {
+        logger.info('Relay manual override active, automatic relay update skipped');
+        return;
+    }
+    const required = getRequiredRelays(sdrStates, boardMap(), relays.length);
+
+    for (let i = 0; i < relays.length; i++) {
+        const before = states[i];
+        const params = { relay: i + 1, gpio: relays[i].lines.pinOf(relays[i].key) };
+        try {
+            await setRelay(i, required[i]);
+            logger.info(`Set relay ${i + 1} to ${required[i]}`);
+            if (before !== required[i]) auditLog.record(ctx, { action: 'relay', params, before: { state: before }, after: { state: required[i] }, result: 'success' });
+        } catch (err) {
+            logger.error(err.message);
+            auditLog.record(ctx, { action: 'relay', params, before: { state: before }, after: { state: required[i] }, result: 'error', error: err.message });
+        }
+    }
+    events.emit('change');
+}
+
+// Open every relay at once (emergency stop, shutdown), override or not, audited as one action
+async function openAll(ctx) {
+    const before = [...states];
+    const results = await Promise.allSettled(relays.map((_, i) => setRelay(i, 0)));
+    const errors = results.filter(result => result.status === 'rejected').map(result => result.reason.message);
+    auditLog.record(ctx, {
+        action: 'relay',
+        params: { relay: 'all' },
+        before: { states: before },
+        after: { states: [...states] },
+        result: errors.length ? 'error' : 'success',
+        error: errors.length ? errors.join('; ') : null
+    });
+    events.emit('change');
+    if (errors.length) throw new Error(errors.join('; '));
+    logger.warn('All relays opened');
+}
+
+// Turning the override off hands the relays back to the automatic mapping right away
+async function setOverride(enabled, ctx) {
+    if (typeof enabled !== 'boolean') throw controlError(400, 'enabled must be a boolean');
+    auditLog.record(ctx, { action: 'relay_override', params: { enabled }, before: { override }, after: { override: enabled }, result: 'success' });
+    override = enabled;
+    logger.warn(`Relay manual override ${enabled ? 'enabled' : 'disabled'} by ${ctx.user || 'system'}`);
+    if (enabled) events.emit('change');
+    else await update(ctx);
+}
+
+async function setManual(relay, state, ctx) {
+    const index = relay - 1;
+    if (!relays[index]) throw controlError(404, 'Relay not found');
+    if (![0, 1].includes(state)) throw controlError(400, 'state must be 0 or 1');
+    if (!override) throw controlError(409, 'Enable the manual override first');
+    const before = states[index];
+    const params = { relay, gpio: relays[index].lines.pinOf(relays[index].key), manual: true };
+    try {
+        await setRelay(index, state);
+        auditLog.record(ctx, { action: 'relay', params, before: { state: before }, after: { state }, result: 'success' });
+        logger.info(`Relay ${relay} manually set to ${state}`);
+    } catch (err) {
+        auditLog.record(ctx, { action: 'relay', params, before: { state: before }, after: { state }, result: 'error', error: err.message });
+        throw err;
+    } finally {
+        events.emit('change');
+    }
+}
+
+module.exports = {
+    events,
+    configure,
+    checkMappings,
+    getRelays,
+    update,
+    openAll,
+    setOverride,
+    setManual
+};
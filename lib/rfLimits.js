@@ -0,0 +1,22 @@
+// lib/rfLimits.js
+// AD9361 limits of the basic settings. The API schema (lib/apiSpec) is built from them,
+// and sdrControl checks them again for callers that do not come through the API
+// (sweeps, missions, state restore).
+const LIMITS = {
+    freq: { min: 70000000, max: 6000000000, unit: 'Hz' }, // TX LO
+    sampling_freq: { min: 520833, max: 61440000, unit: 'Hz' }, // Below 2.08 MSPS needs the FIR interpolation
+    gain: { min: -89.75, max: 0, unit: 'dB' } // TX1 hardwaregain is an attenuation
+};
+
+// Error message for a value outside the chip's range (or not a number), or null
+function check(key, value) {
+    const { min, max, unit } = LIMITS[key];
+    if (typeof value !== 'number' || !isFinite(value)) return `${key} must be a number`;
+    if (value < min || value > max) return `${key} must be between ${min} and ${max} ${unit}`;
+    return null;
+}
+
+module.exports = {
+    LIMITS,
+    check
+};
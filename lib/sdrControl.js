@@ -0,0 +1,454 @@
+// lib/sdrControl.js
+// Validated settings changes shared by the REST routes and the server-side engines
+// (sweep, scheduler...). Emits 'update' with the SDR id after every change.
+// The hardware steps of each change run as one job in the board's command queue.
+const EventEmitter = require('events');
+const logger = require('./logger');
+const iio = require('./iioCommands');
+const { sdrStates, initSDR, executeCommand, executeBatch, pollSDRState, getModeLines, getBoard } = require('./sdrManager');
+const commandQueue = require('./commandQueue');
+const ad9361 = require('./ad9361Attributes');
+const rfLimits = require('./rfLimits');
+const bandPlan = require('./bandPlan');
+const waveformLibrary = require('./waveformLibrary');
+const firmwareRepository = require('./firmwareRepository');
+const { checkFrequency } = require('./antennaManager');
+const auditLog = require('./auditLog');
+const { readJson, writeJson } = require('./dataStore');
+
+const events = new EventEmitter();
+const GEN_MODES = ['manual', 'slow_attack'];
+const TX_MODES = ['wn', 'fsk', 'bpsk', 'qpsk', 'ntsc', 'file', 'none'];
+const NTSC_SAMPLING_FREQ = 20000000;
+
+const STATE_FILE = 'sdr_state.json';
+
+const desiredStates = {}; // SDR id -> last settings asked for (what the board should be running)
+const attributeLimits = {}; // SDR id -> ad9361 attribute key -> parsed `*_available`, read once per init
+const holds = {}; // SDR id -> why it is out of service
+let storedStates = null; // data/sdr_state.json: desired settings per SDR as of its last change, loaded on first use
+
+let updateRelays = async () => {}; // Set from server.js
+
+// Error carrying the HTTP status the routes should answer with
+function controlError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function loadStored() {
+    if (!storedStates) storedStates = readJson(STATE_FILE, {});
+    return storedStates;
+}
+
+// Every change is written through, so a restart finds the configuration as last asked for
+function persistDesired(id) {
+    const stored = loadStored();
+    stored[id] = { ...stored[id], ...desiredStates[id], updated_at: new Date().toISOString() };
+    try {
+        writeJson(STATE_FILE, storedStates);
+    } catch (err) {
+        logger.error(`Failed to persist desired state of SDR ${id}: ${err.message}`);
+    }
+}
+
+function setDesired(id, changes) {
+    desiredStates[id] = { ...desiredStates[id], ...changes };
+    persistDesired(id);
+}
+
+function getDesiredSettings(id) {
+    return desiredStates[id] ? { ...desiredStates[id] } : null;
+}
+
+// Accept what the board is running now as the desired state (e.g. after a reset)
+function resetDesired(id) {
+    desiredStates[id] = snapshotSettings(id);
+    persistDesired(id);
+}
+
+// Desired settings saved before the last restart ({ ...settings, updated_at }), or null
+function getStoredSettings(id) {
+    const stored = loadStored()[id];
+    return stored ? { ...stored } : null;
+}
+
+// Values outside the AD9361 range never reach a command line
+function requireInRange(key, value) {
+    const error = rfLimits.check(key, value);
+    if (error) throw controlError(400, error);
+}
+
+function requireSDR(id) {
+    if (!sdrStates[id]) throw controlError(404, 'SDR not found');
+}
+
+// Take a board out of service (firmware update): init and every setting or TX change
+// answer 409 until it is released
+function hold(id, reason) {
+    holds[id] = reason;
+}
+
+function release(id) {
+    delete holds[id];
+}
+
+function requireAvailable(id) {
+    if (holds[id]) throw controlError(409, `SDR ${id} is out of service: ${holds[id]}`);
+}
+
+// On air, or about to be: a TX change of this board is still in flight
+function transmitting(id) {
+    return sdrStates[id].tx_on || bandPlan.isReserved(id);
+}
+
+function requireInitialized(id) {
+    requireSDR(id);
+    requireAvailable(id);
+    if (!sdrStates[id].initialized) throw controlError(400, 'SDR not initialized');
+}
+
+// relays: false leaves the relay update to the caller (group operations run it once at the end);
+// held: true is the sequence holding the board out of service re-initializing it
+async function init(id, ctx, { force = false, relays = true, held = false } = {}) {
+    return auditLog.track(ctx, 'init', id, force ? { force } : null, async () => {
+        requireSDR(id);
+        if (!held) requireAvailable(id);
+        const wasTransmitting = sdrStates[id].tx_on;
+        await initSDR(id, { force });
+        delete attributeLimits[id];
+        if (!desiredStates[id]) resetDesired(id);
+        events.emit('update', id);
+        // Init turns TX off, so the relays of a board that was on air must follow
+        if (wasTransmitting && relays) await updateRelays(ctx);
+    });
+}
+
+async function setGenMode(id, value, ctx) {
+    return auditLog.track(ctx, 'gen_mode', id, { value }, async () => {
+        requireSDR(id);
+        if (!GEN_MODES.includes(value)) throw controlError(400, 'Invalid request');
+        requireInitialized(id);
+
+        await commandQueue.run(id, 'gen_mode', async () => {
+            await executeCommand(id, iio.writeChannelAttr('voltage0', 'gain_control_mode', value));
+            setDesired(id, { gen_mode: value });
+            await pollSDRState(id);
+        });
+        events.emit('update', id);
+    });
+}
+
+async function setGain(id, value, ctx) {
+    return auditLog.track(ctx, 'gain', id, { value }, async () => {
+        requireSDR(id);
+        requireInRange('gain', value);
+        requireInitialized(id);
+
+        await commandQueue.run(id, 'gain', async () => {
+            await executeCommand(id, iio.writeChannelAttr('voltage0', 'hardwaregain', value));
+            setDesired(id, { gain: value });
+            await pollSDRState(id);
+        });
+        events.emit('update', id);
+    });
+}
+
+// poll: false skips the full state read-back and audit: false the audit record
+// (both used by the sweep engine on every hop; the sweep itself is audited)
+async function setFreq(id, value, ctx, { poll = true, audit = true } = {}) {
+    const apply = async () => {
+        requireSDR(id);
+        requireInRange('freq', value);
+        requireInitialized(id);
+        const bandError = checkFrequency(id, value);
+        if (bandError) throw controlError(400, bandError);
+        const release = transmitting(id) ? bandPlan.reserve(id, { freq: value }) : null;
+
+        try {
+            await commandQueue.run(id, 'freq', async () => {
+                await executeCommand(id, iio.writeChannelAttr('altvoltage1', 'frequency', value));
+                setDesired(id, { freq: value });
+                if (poll) await pollSDRState(id);
+                else sdrStates[id].freq = value;
+            });
+        } finally {
+            release?.();
+        }
+        events.emit('update', id);
+    };
+    return audit ? auditLog.track(ctx, 'freq', id, { value }, apply) : apply();
+}
+
+async function setSamplingFreq(id, value, ctx) {
+    return auditLog.track(ctx, 'sampling_freq', id, { value }, async () => {
+        requireSDR(id);
+        requireInRange('sampling_freq', value);
+        requireInitialized(id);
+        const release = transmitting(id) ? bandPlan.reserve(id, { sampling_freq: value }) : null;
+
+        try {
+            await commandQueue.run(id, 'sampling_freq', async () => {
+                await executeCommand(id, iio.writeChannelAttr('voltage0', 'sampling_frequency', value));
+                setDesired(id, { sampling_freq: value });
+                await pollSDRState(id);
+            });
+        } finally {
+            release?.();
+        }
+        events.emit('update', id);
+    });
+}
+
+async function getAttributeLimits(id) {
+    if (!attributeLimits[id]) {
+        const commands = ad9361.availableCommands(getBoard(id));
+        const outputs = await executeBatch(id, commands.map(([, command]) => command));
+        attributeLimits[id] = Object.fromEntries(commands.map(([key], i) => [key, ad9361.parseAvailable(outputs[i])]));
+    }
+    return attributeLimits[id];
+}
+
+// Advanced ad9361-phy attributes with their current values and accepted ranges
+async function getAttributes(id) {
+    requireInitialized(id);
+    const limits = await getAttributeLimits(id);
+    return ad9361.describe(getBoard(id), sdrStates[id].advanced, limits);
+}
+
+// Write several advanced attributes ({ key: value }) in one batch, after checking them all
+async function setAttributes(id, values, ctx) {
+    return auditLog.track(ctx, 'attributes', id, values, async () => {
+        requireSDR(id);
+        if (!values || typeof values !== 'object' || Object.keys(values).length === 0) throw controlError(400, 'Attribute values required');
+        requireInitialized(id);
+
+        await commandQueue.run(id, 'attributes', async () => {
+            const limits = await getAttributeLimits(id);
+            Object.entries(values).forEach(([key, value]) => {
+                const error = ad9361.validate(key, value, getBoard(id), limits[key]);
+                if (error) throw controlError(400, error);
+            });
+            await executeBatch(id, Object.entries(values).map(([key, value]) => ad9361.writeCommand(key, value)));
+            await pollSDRState(id);
+        });
+        events.emit('update', id);
+    });
+}
+
+// Mode flags as kept in the SDR state, with only `mode` set
+function modeFlags(mode) {
+    return Object.fromEntries(TX_MODES.filter(key => key !== 'none').map(key => [key, key === mode]));
+}
+
+// Loop a waveform through the TX DMA buffer at its own sampling rate, pushing it first if needed
+async function startWaveform(id, waveform, signal) {
+    const remote = await waveformLibrary.push(waveform.id, id, signal);
+    await executeCommand(id, iio.writeChannelAttr('voltage0', 'sampling_frequency', waveform.sample_rate));
+    setDesired(id, { sampling_freq: waveform.sample_rate });
+    await executeCommand(id, iio.startPlayback(remote, waveform.samples));
+    // iio_writedev is detached: a bad file or buffer only shows as a process that is gone
+    if (await executeCommand(id, iio.playbackState()) !== 'running') {
+        throw controlError(500, `Playback of waveform ${waveform.name} did not start`);
+    }
+}
+
+// Select one generator mode (or 'none'), then update the local relays (unless relays: false).
+// Mode 'file' plays the uploaded waveform given as `waveform` (its id).
+async function setMode(id, mode, ctx, { relays = true, waveform } = {}) {
+    await auditLog.track(ctx, 'set_mode', id, mode === 'file' ? { mode, waveform } : { mode }, async () => {
+        requireSDR(id);
+        if (!TX_MODES.includes(mode)) throw controlError(400, 'Invalid request');
+        requireInitialized(id);
+        let entry = null;
+        if (mode === 'file') {
+            if (!waveform) throw controlError(400, 'waveform required for mode file');
+            entry = waveformLibrary.get(waveform);
+        }
+        let release = null;
+        if (mode !== 'none') {
+            const firmwareError = firmwareRepository.txError(sdrStates[id].firmware);
+            if (firmwareError) throw controlError(409, firmwareError);
+            const bandError = checkFrequency(id, sdrStates[id].freq);
+            if (bandError) throw controlError(400, bandError);
+            const sampling_freq = mode === 'ntsc' ? NTSC_SAMPLING_FREQ : entry?.sample_rate;
+            release = bandPlan.reserve(id, sampling_freq ? { sampling_freq } : {});
+        } else {
+            bandPlan.clear(id);
+        }
+
+        try {
+            await commandQueue.run(id, 'set_mode', async (signal) => {
+                // Every line off and the selected one on, in one command where the backend allows
+                const lines = getModeLines(id);
+                const states = Object.fromEntries(lines.keys.map(line => [line, line === mode]));
+                await lines.setMany(states);
+                if (sdrStates[id].waveform || mode === 'file') {
+                    await executeCommand(id, iio.stopPlayback());
+                    sdrStates[id].modes = modeFlags('none');
+                    sdrStates[id].tx_on = false;
+                    sdrStates[id].waveform = null;
+                }
+                if (mode === 'file') await startWaveform(id, entry, signal);
+                sdrStates[id].modes = modeFlags(mode);
+                sdrStates[id].tx_on = mode !== 'none';
+                sdrStates[id].waveform = mode === 'file' ? entry.id : null;
+                setDesired(id, { mode, waveform: sdrStates[id].waveform });
+                if (mode === 'ntsc') {
+                    await executeCommand(id, iio.writeChannelAttr('voltage0', 'sampling_frequency', NTSC_SAMPLING_FREQ));
+                    setDesired(id, { sampling_freq: NTSC_SAMPLING_FREQ });
+                }
+                await pollSDRState(id);
+            });
+        } finally {
+            release?.();
+        }
+        logger.info(`SDR ${id} mode set to ${mode}`);
+        events.emit('update', id);
+    });
+
+    // Update local relays based on new TX state
+    if (relays) await updateRelays(ctx);
+}
+
+// Drop every mode GPIO at once and stop any waveform playback, without the usual checks or
+// read-back (e-stop, watchdog fallback, shutdown). It jumps the command queue: pending jobs
+// are cancelled and the running one aborted. relays: false leaves the relays to the caller;
+// desired: false keeps the desired mode, so a full restore after a shutdown brings TX back.
+async function forceTxOff(id, ctx, { relays = true, desired = true } = {}) {
+    requireSDR(id);
+    await commandQueue.run(id, 'force_tx_off', async () => {
+        // Both are tried even if one fails: a playing waveform transmits with every line low
+        const results = await Promise.allSettled([
+            getModeLines(id).setAll(false, { retries: 1 }),
+            executeCommand(id, iio.stopPlayback(), 1)
+        ]);
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) throw failed.reason;
+    }, { priority: 'emergency', preempt: true });
+    sdrStates[id].modes = modeFlags('none');
+    sdrStates[id].tx_on = false;
+    sdrStates[id].waveform = null;
+    bandPlan.clear(id);
+    if (desired) setDesired(id, { mode: 'none', waveform: null });
+    logger.warn(`SDR ${id} TX forced off`);
+    events.emit('update', id);
+    if (relays) await updateRelays(ctx);
+}
+
+function getCurrentMode(id) {
+    const modes = sdrStates[id]?.modes || {};
+    return Object.keys(modes).find(key => modes[key]) || 'none';
+}
+
+const SETTINGS_KEYS = ['gain', 'gen_mode', 'freq', 'sampling_freq', 'mode', 'waveform'];
+
+// Check a settings bundle as a whole before anything touches the hardware
+function validateSettings(id, settings) {
+    if (!settings || typeof settings !== 'object') throw controlError(400, 'Settings bundle required');
+    const unknown = Object.keys(settings).filter(key => !SETTINGS_KEYS.includes(key));
+    if (unknown.length > 0) throw controlError(400, `Unknown settings: ${unknown.join(', ')}`);
+    ['gain', 'freq', 'sampling_freq'].forEach(key => {
+        if (settings[key] !== undefined) requireInRange(key, settings[key]);
+    });
+    if (settings.gen_mode !== undefined && !GEN_MODES.includes(settings.gen_mode)) throw controlError(400, 'Invalid gen_mode');
+    if (settings.mode !== undefined && !TX_MODES.includes(settings.mode)) throw controlError(400, 'Invalid mode');
+    if (settings.waveform != null) waveformLibrary.get(settings.waveform);
+
+    if (id !== undefined) {
+        const freq = settings.freq ?? sdrStates[id].freq;
+        const mode = settings.mode ?? getCurrentMode(id);
+        if (settings.freq !== undefined || mode !== 'none') {
+            const bandError = checkFrequency(id, freq);
+            if (bandError) throw controlError(400, bandError);
+        }
+        if (mode === 'file' && !(settings.waveform ?? sdrStates[id].waveform)) throw controlError(400, 'waveform required for mode file');
+    } else if (settings.mode === 'file' && settings.waveform == null) {
+        throw controlError(400, 'waveform required for mode file');
+    }
+}
+
+function snapshotSettings(id) {
+    const state = sdrStates[id];
+    return { gain: state.gain, gen_mode: state.gen_mode, freq: state.freq, sampling_freq: state.sampling_freq, mode: getCurrentMode(id), waveform: state.waveform ?? null };
+}
+
+// Apply changed values in hardware order; the mode goes last so TX starts with final settings.
+// NTSC and file playback force their own sampling rate, so sampling_freq is skipped for them;
+// another waveform for a board already in file mode restarts the playback.
+async function applyInOrder(id, target, current, ctx) {
+    if (target.gen_mode !== undefined && target.gen_mode !== current.gen_mode) await setGenMode(id, target.gen_mode, ctx);
+    if (target.gain !== undefined && target.gain !== current.gain) await setGain(id, target.gain, ctx);
+    if (target.freq !== undefined && target.freq !== current.freq) await setFreq(id, target.freq, ctx);
+    const mode = target.mode ?? current.mode;
+    if (mode !== 'ntsc' && mode !== 'file' && target.sampling_freq !== undefined && target.sampling_freq !== current.sampling_freq) {
+        await setSamplingFreq(id, target.sampling_freq, ctx);
+    }
+    const waveform = target.waveform ?? current.waveform;
+    if (mode !== current.mode || (mode === 'file' && waveform !== current.waveform)) await setMode(id, mode, ctx, { waveform });
+}
+
+// Apply a whole settings bundle, rolling back to the state read just before on any failure
+// (each step is audited too, the rollback under the 'rollback' source)
+async function applySettings(id, settings, ctx = {}) {
+    return auditLog.track(ctx, 'apply', id, settings, async () => {
+        requireInitialized(id);
+        validateSettings(id, settings);
+
+        // One job for the whole bundle, so another request cannot slip in between the steps
+        return commandQueue.run(id, 'apply', async () => {
+            await pollSDRState(id);
+            const previous = snapshotSettings(id);
+            try {
+                await applyInOrder(id, settings, previous, ctx);
+            } catch (err) {
+                logger.error(`Apply failed for SDR ${id}, rolling back: ${err.message}`);
+                const rollbackCtx = { ...ctx, source: 'rollback' };
+                try {
+                    await setMode(id, 'none', rollbackCtx);
+                    await pollSDRState(id);
+                    await applyInOrder(id, previous, snapshotSettings(id), rollbackCtx);
+                } catch (rollbackErr) {
+                    logger.error(`Rollback failed for SDR ${id}: ${rollbackErr.message}`);
+                    throw controlError(err.status || 500, `${err.message} (rollback failed: ${rollbackErr.message}, TX left off)`);
+                }
+                throw controlError(err.status || 500, `${err.message} (rolled back)`);
+            }
+            return previous;
+        });
+    });
+}
+
+module.exports = {
+    events,
+    controlError,
+    requireSDR,
+    requireInitialized,
+    requireAvailable,
+    hold,
+    release,
+    init,
+    setGenMode,
+    setGain,
+    setFreq,
+    setSamplingFreq,
+    setMode,
+    getAttributes,
+    setAttributes,
+    forceTxOff,
+    getCurrentMode,
+    getDesiredSettings,
+    setDesired,
+    resetDesired,
+    getStoredSettings,
+    validateSettings,
+    applySettings,
+    SETTINGS_KEYS,
+    GEN_MODES,
+    TX_MODES,
+    NTSC_SAMPLING_FREQ,
+    setRelayUpdater: function(fn) {
+        updateRelays = fn;
+    }
+};
@@ -0,0 +1,83 @@
+// lib/sdrGroups.js
+// Operations on several SDRs at once. A group is written as
+//   antenna:<name>  - the boards of an antenna in boards.json
+//   tag:<tag>       - the boards carrying the tag (boards.json `tags`)
+//   <id>,<id>,...   - an explicit list
+// Boards run in parallel and fail independently; the relays are updated once at the end.
+const { sdrStates, getBoard } = require('./sdrManager');
+const { getAntennas } = require('./antennaManager');
+const sdrControl = require('./sdrControl');
+const sweepEngine = require('./sweepEngine');
+const relayController = require('./relayController');
+const auditLog = require('./auditLog');
+
+const ACTIONS = {
+    init: (id, value, ctx) => sdrControl.init(id, ctx, { relays: false }),
+    set_mode: (id, value, ctx) => sdrControl.setMode(id, value, ctx, { relays: false }),
+    freq: (id, value, ctx) => {
+        if (sweepEngine.isRunning(id)) throw sdrControl.controlError(409, 'Sweep running, stop it first');
+        return sdrControl.setFreq(id, value, ctx);
+    }
+};
+
+function boardTags(id) {
+    return getBoard(id)?.tags || [];
+}
+
+// Board ids of a group; 404 if it names nothing or lists unknown boards
+function resolve(group) {
+    let ids;
+    if (group.startsWith('antenna:')) {
+        const antenna = getAntennas()[group.slice('antenna:'.length)];
+        if (!antenna) throw sdrControl.controlError(404, `Antenna ${group.slice('antenna:'.length)} not found`);
+        ids = antenna.sdrs.filter(id => sdrStates[id]);
+    } else if (group.startsWith('tag:')) {
+        const tag = group.slice('tag:'.length);
+        ids = Object.keys(sdrStates).filter(id => boardTags(id).includes(tag));
+    } else {
+        ids = [...new Set(group.split(',').map(id => id.trim()).filter(Boolean))];
+        const unknown = ids.filter(id => !sdrStates[id]);
+        if (unknown.length > 0) throw sdrControl.controlError(404, `Unknown SDR(s): ${unknown.join(', ')}`);
+    }
+    if (ids.length === 0) throw sdrControl.controlError(404, `Group ${group} has no SDRs`);
+    return ids;
+}
+
+// Named groups, for pickers
+function list() {
+    const antennas = Object.fromEntries(Object.values(getAntennas()).map(antenna => [antenna.name, antenna.sdrs.filter(id => sdrStates[id])]));
+    const tags = {};
+    Object.keys(sdrStates).forEach(id => boardTags(id).forEach(tag => {
+        tags[tag] = [...(tags[tag] || []), id];
+    }));
+    return { antennas, tags };
+}
+
+// Returns { success, sdrs, results: { id: { success, error? } } }
+async function run(group, action, value, ctx) {
+    if (!ACTIONS[action]) throw sdrControl.controlError(400, `Unknown group action ${action}`);
+    const ids = resolve(group);
+    const outcomes = await Promise.allSettled(ids.map(id => ACTIONS[action](id, value, ctx)));
+    if (action !== 'freq') await relayController.update(ctx);
+
+    const results = {};
+    outcomes.forEach((outcome, i) => {
+        results[ids[i]] = outcome.status === 'fulfilled' ? { success: true } : { success: false, error: outcome.reason.message, status: outcome.reason.status || 500 };
+    });
+    const failed = ids.filter(id => !results[id].success);
+    // Each board's change is audited on its own; this records the group request as a whole
+    auditLog.record(ctx, {
+        action: `group_${action}`,
+        params: { group, sdrs: ids, value },
+        result: failed.length ? 'error' : 'success',
+        error: failed.length ? `Failed on ${failed.join(', ')}` : null
+    });
+    return { success: failed.length === 0, sdrs: ids, results };
+}
+
+module.exports = {
+    ACTIONS: Object.keys(ACTIONS),
+    resolve,
+    list,
+    run
+};
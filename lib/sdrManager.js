@@ -1,22 +1,25 @@
 // lib/sdrManager.js
-const { Client } = require('ssh2');
+const EventEmitter = require('events');
 const { RateLimiterMemory } = require('rate-limiter-flexible');
 const logger = require('./logger');
+const iio = require('./iioCommands');
+const ad9361 = require('./ad9361Attributes');
+const { createTransport } = require('./transports');
+const { createGpioLines } = require('./gpio');
+const commandQueue = require('./commandQueue');
 
-const sdrConnections = {};
+// 'connection' (id, connected) when a link comes up or drops, 'connect_error' (id, err),
+// 'command' (id, { command, batch, duration_ms, attempts, error }) after every executeCommand
+// or executeBatch (batch = number of commands, 0 for a single one)
+// and 'rate_limited' (ip) for each rejected request
+const events = new EventEmitter();
+const transports = {};
+const modeLines = {};
 const sdrStates = {};
-const connectionPromises = {};
 const rateLimiter = new RateLimiterMemory({ points: 100, duration: 60 }); // 5 attempts per second per IP
 
 let SDR_BOARDS; // Set from server.js
-
-const SSH_CONFIG = {
-    username: 'root',
-    password: 'analog', // Use environment variable in production: process.env.SSH_PASSWORD
-    hostVerification: false,
-    knownHosts: '/dev/null',
-    algorithms: { serverHostKey: ['ssh-rsa', 'ssh-dss'] }
-};
+let simulate = false; // Set from server.js (--simulate)
 
 // Mode GPIO mappings from Verilog (absolute values)
 const MODE_GPIOS = {
@@ -27,6 +30,22 @@ const MODE_GPIOS = {
     ntsc: 68   // NTSC = 68
 };
 
+// AD9361 registers initSDR writes to enable TX and the TX buffer (diagnostics read them back)
+const TX_ENABLE_REGISTERS = {
+    '0x173': '0x3F', // Enable TX
+    '0x174': '0x3F'  // Enable TX buffer
+};
+
+// Generator mode lines on the board, driven through lib/gpio like the relays.
+// boards.json `mode_gpio` may change the backend, chip, polarity or the pins themselves.
+function getModeLines(id) {
+    if (!modeLines[id]) {
+        const config = { backend: 'gpioset', chip: 'gpiochip0', pins: MODE_GPIOS, ...SDR_BOARDS[id].mode_gpio };
+        modeLines[id] = createGpioLines(config, (command, { retries, priority } = {}) => executeCommand(id, command, retries, { priority }));
+    }
+    return modeLines[id];
+}
+
 // Rate limiter middleware
 function rateLimiterMiddleware(req, res, next) {
     rateLimiter.consume(req.ip)
@@ -34,72 +53,146 @@ function rateLimiterMiddleware(req, res, next) {
             next();
         })
         .catch(() => {
+            events.emit('rate_limited', req.ip);
             res.status(429).send('Too Many Requests');
         });
 }
 
-async function connectToSDR(id, host) {
-    if (connectionPromises[id]) return connectionPromises[id];
+function setConnected(id, connected) {
+    if (!sdrStates[id] || sdrStates[id].connected === connected) return;
+    sdrStates[id].connected = connected;
+    events.emit('connection', id, connected);
+}
 
-    connectionPromises[id] = new Promise((resolve, reject) => {
-        const conn = new Client();
-        conn.on('ready', () => {
-            logger.info(`SSH connected to SDR ${id} at ${host}`);
-            sdrConnections[id] = conn;
-            resolve(conn);
-        });
-        conn.on('error', (err) => {
-            logger.error(`SSH connection error for SDR ${id}: ${err.message}`);
-            delete connectionPromises[id];
-            reject(err);
-        });
-        conn.on('close', () => {
-            logger.warn(`SSH connection closed for SDR ${id}`);
-            delete sdrConnections[id];
-            delete connectionPromises[id];
-        });
-        conn.connect({ ...SSH_CONFIG, host });
-    });
+function getTransport(id) {
+    if (!transports[id]) {
+        const transport = createTransport(id, SDR_BOARDS[id], { simulate });
+        transport.on('connect', () => setConnected(id, true));
+        transport.on('close', () => setConnected(id, false));
+        transport.on('connect_error', (err) => events.emit('connect_error', id, err));
+        transports[id] = transport;
+    }
+    return transports[id];
+}
+
+async function connectToSDR(id) {
+    return getTransport(id).connect();
+}
+
+function disconnectSDR(id) {
+    if (transports[id]) transports[id].close();
+}
 
-    return connectionPromises[id];
+function defaultState() {
+    return {
+        connected: false,
+        initialized: false,
+        gain: 0,
+        gen_mode: 'manual',
+        freq: 0,
+        sampling_freq: 0,
+        modes: { wn: false, fsk: false, bpsk: false, qpsk: false, ntsc: false, file: false },
+        tx_on: false,
+        waveform: null, // Waveform id playing in mode file (lib/waveformLibrary)
+        firmware: null, // { fw_version, build_id, read_at } as read by the last init
+        advanced: {} // lib/ad9361Attributes values
+    };
 }
 
-async function executeCommand(id, command, retries = 3) {
+// Boards come and go with boards.json; their state starts uninitialized
+function registerSDR(id) {
+    if (!sdrStates[id]) sdrStates[id] = defaultState();
+}
+
+// Close the link and forget the transport, so the next command uses the board's current config
+function resetLink(id) {
+    disconnectSDR(id);
+    if (transports[id]) transports[id].removeAllListeners();
+    delete transports[id];
+    delete modeLines[id];
+    if (sdrStates[id]) sdrStates[id] = defaultState();
+}
+
+function unregisterSDR(id) {
+    commandQueue.forget(id);
+    resetLink(id);
+    delete sdrStates[id];
+}
+
+// Retry loop shared by executeCommand and executeBatch; an abort (cancel, timeout) is never retried
+async function withRetries(id, command, batch, retries, signal, exec) {
+    const started = Date.now();
     for (let attempt = 1; attempt <= retries; attempt++) {
         try {
-            const conn = await connectToSDR(id, SDR_BOARDS[id].ip);  // Changed from .host to .ip
-            return new Promise((resolve, reject) => {
-                conn.exec(command, (err, stream) => {
-                    if (err) return reject(err);
-                    let output = '';
-                    stream.on('data', (data) => output += data.toString());
-                    stream.stderr.on('data', (data) => output += data.toString());
-                    stream.on('close', (code) => {
-                        if (code !== 0) reject(new Error(`Command '${command}' failed with code ${code}: ${output}`));
-                        else resolve(output.trim());
-                    });
-                });
-            });
+            signal?.throwIfAborted();
+            commandQueue.setCommand(id, command);
+            const output = await exec();
+            events.emit('command', id, { command, batch, duration_ms: Date.now() - started, attempts: attempt, error: null });
+            return output;
         } catch (err) {
             logger.warn(`Execute command attempt ${attempt} failed for SDR ${id}: ${err.message}`);
-            if (attempt === retries) throw err;
+            if (attempt === retries || signal?.aborted) {
+                events.emit('command', id, { command, batch, duration_ms: Date.now() - started, attempts: attempt, error: err.message });
+                throw err;
+            }
             await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
         }
     }
 }
 
+// Commands go through the board's command queue (see lib/commandQueue), or run as part of
+// the job already holding it. queued: false skips the queue, for commands that do not
+// touch the hardware (the health ping).
+async function executeCommand(id, command, retries = 3, { priority = 'control', queued = true } = {}) {
+    const attempt = signal => withRetries(id, command, 0, retries, signal, () => getTransport(id).exec(command, { signal }));
+    if (!queued) return attempt();
+    return commandQueue.run(id, command, attempt, { priority });
+}
+
+// Several commands in one remote shell invocation; resolves with their outputs in order
+// and fails (as a whole, retried as a whole) if any of them exits non-zero
+async function executeBatch(id, commands, retries = 3, { priority = 'control' } = {}) {
+    const command = commands.join('; ');
+    const attempt = signal => withRetries(id, command, commands.length, retries, signal, async () => {
+        const results = await getTransport(id).execBatch(commands, { signal });
+        const failed = results.findIndex(result => result.code !== 0);
+        if (failed !== -1) {
+            throw new Error(`Command '${commands[failed]}' failed with code ${results[failed].code}: ${results[failed].output}`);
+        }
+        return results.map(result => result.output);
+    });
+    return commandQueue.run(id, `batch of ${commands.length}`, attempt, { priority });
+}
+
+// Raw stdout of one command as a Buffer (RX captures), through the queue like executeCommand
+async function executeBinary(id, command, retries = 3, { priority = 'control' } = {}) {
+    const attempt = signal => withRetries(id, command, 0, retries, signal, () => getTransport(id).execBinary(command, { signal }));
+    return commandQueue.run(id, command, attempt, { priority });
+}
+
+// Background priority unless it runs inside a job (then it is part of that job)
 async function pollSDRState(id) {
     try {
-        const gain = parseFloat(await executeCommand(id, 'iio_attr -c ad9361-phy voltage0 hardwaregain'));
-        const gen_mode = await executeCommand(id, 'iio_attr -c ad9361-phy voltage0 gain_control_mode');
-        const freq = parseInt(await executeCommand(id, 'iio_attr -c ad9361-phy altvoltage1 frequency'));
-        const sampling_freq = parseInt(await executeCommand(id, 'iio_attr -c ad9361-phy voltage0 sampling_frequency'));
+        const advancedKeys = ad9361.keysFor(SDR_BOARDS[id]);
+        const [gainOutput, gen_mode, freqOutput, samplingOutput, ...advancedOutputs] = await executeBatch(id, [
+            iio.readChannelAttr('voltage0', 'hardwaregain'),
+            iio.readChannelAttr('voltage0', 'gain_control_mode'),
+            iio.readChannelAttr('altvoltage1', 'frequency'),
+            iio.readChannelAttr('voltage0', 'sampling_frequency'),
+            ...advancedKeys.map(ad9361.readCommand)
+        ], 3, { priority: 'background' });
+        const gain = parseFloat(gainOutput);
+        const freq = parseInt(freqOutput);
+        const sampling_freq = parseInt(samplingOutput);
+        const advanced = Object.fromEntries(advancedKeys.map((key, i) => [key, ad9361.parseValue(key, advancedOutputs[i])]));
+        if (!sdrStates[id]) return; // Removed from boards.json meanwhile
         sdrStates[id] = {
             ...sdrStates[id],
             gain,
             gen_mode,
             freq,
-            sampling_freq
+            sampling_freq,
+            advanced
         };
     } catch (err) {
         logger.error(`Poll state failed for SDR ${id}: ${err.message}`);
@@ -107,56 +200,71 @@ async function pollSDRState(id) {
     }
 }
 
-async function initSDR(id) {
-    if (sdrStates[id].initialized) return;
+// force re-runs the sequence on an initialized board (after a reconnect or power cycle).
+// The whole sequence is one queue job.
+async function initSDR(id, { force = false } = {}) {
+    if (sdrStates[id].initialized && !force) return;
 
     try {
-        // Ensure TX off
-        for (const gpio of Object.values(MODE_GPIOS)) {
-            await executeCommand(id, `gpioset gpiochip0 ${gpio}=0`);
-        }
-
-        // Set defaults
-        const currentGenMode = await executeCommand(id, 'iio_attr -c ad9361-phy voltage0 gain_control_mode');
-        if (currentGenMode !== 'manual') {
-            await executeCommand(id, 'iio_attr -c ad9361-phy voltage0 gain_control_mode manual');
-        }
-        const currentGain = parseFloat(await executeCommand(id, 'iio_attr -c ad9361-phy voltage0 hardwaregain'));
-        if (currentGain !== 0) {
-            await executeCommand(id, 'iio_attr -c ad9361-phy voltage0 hardwaregain 0');
-        }
-
-        // Other init commands...
-        await executeCommand(id, 'iio_reg ad9361-phy 0x173 0x3F'); // Enable TX
-        await executeCommand(id, 'iio_reg ad9361-phy 0x174 0x3F'); // Enable TX buffer
-
-        sdrStates[id] = {
-            connected: true,
-            initialized: true,
-            gain: 0,
-            gen_mode: 'manual',
-            freq: 0,
-            sampling_freq: 0,
-            modes: { wn: false, fsk: false, bpsk: false, qpsk: false, ntsc: false },
-            tx_on: false
-        };
-        await pollSDRState(id);
-        logger.info(`SDR ${id} initialized`);
+        await commandQueue.run(id, 'init', () => initSequence(id));
+        const { fw_version, build_id } = sdrStates[id].firmware;
+        logger.info(`SDR ${id} initialized (firmware ${fw_version}, bitstream ${build_id})`);
     } catch (err) {
         logger.error(`Init failed for SDR ${id}: ${err.message}`);
         throw err;
     }
 }
 
+async function initSequence(id) {
+    // Ensure TX off, including a waveform left playing by a previous server run
+    await getModeLines(id).setAll(false);
+    await executeCommand(id, iio.stopPlayback());
+
+    // Set defaults; the build IDs tell which firmware and bitstream the board booted
+    const [currentGenMode, currentGain, fw_version, build_id] = await executeBatch(id, [
+        iio.readChannelAttr('voltage0', 'gain_control_mode'),
+        iio.readChannelAttr('voltage0', 'hardwaregain'),
+        iio.readFirmwareVersion(),
+        iio.readBuildId()
+    ]);
+    const writes = [];
+    if (currentGenMode !== 'manual') writes.push(iio.writeChannelAttr('voltage0', 'gain_control_mode', 'manual'));
+    if (parseFloat(currentGain) !== 0) writes.push(iio.writeChannelAttr('voltage0', 'hardwaregain', 0));
+
+    // Other init commands...
+    Object.entries(TX_ENABLE_REGISTERS).forEach(([address, value]) => writes.push(iio.writeRegister(address, value)));
+    await executeBatch(id, writes);
+
+    if (!sdrStates[id]) throw new Error('SDR was removed');
+    sdrStates[id] = { ...defaultState(), connected: true, initialized: true, firmware: { fw_version, build_id, read_at: new Date().toISOString() } };
+    await pollSDRState(id);
+}
+
 module.exports = {
+    events,
     sdrStates,
     rateLimiterMiddleware,
     connectToSDR,
+    disconnectSDR,
+    registerSDR,
+    unregisterSDR,
+    resetLink,
+    getTransport,
+    getModeLines,
     executeCommand,
+    executeBatch,
+    executeBinary,
     pollSDRState,
     initSDR,
     MODE_GPIOS,
+    TX_ENABLE_REGISTERS,
+    getBoard: function(id) {
+        return SDR_BOARDS[id];
+    },
     setSDRBoards: function(boards) {
         SDR_BOARDS = boards;
+    },
+    setSimulate: function(value) {
+        simulate = value;
     }
 };
\ No newline at end of file
@@ -0,0 +1,100 @@
+// lib/settings.js
+// Optional server settings from settings.json (next to boards.json).
+// Each section is merged over its defaults, so the file only needs overrides.
+const fs = require('fs');
+const logger = require('./logger');
+
+const DEFAULTS = {
+    health: {
+        interval_ms: 10000,       // Ping + poll period per board
+        ping_timeout_ms: 5000,
+        backoff_base_ms: 2000,    // First reconnect delay, doubled per failure
+        backoff_max_ms: 60000,
+        usb_cycle_after: 3,       // Failed reconnects before a per-port USB power cycle (0 = never)
+        reapply: false,           // Re-apply the last known settings (including TX mode) after a reconnect
+        freq_tolerance_hz: 1000,  // Drift thresholds between expected and read-back values
+        sampling_tolerance_hz: 1000,
+        gain_tolerance_db: 0.5
+    },
+    tx_safety: {
+        max_tx_s: 3600,           // Longest continuous TX before the watchdog forces `set_mode none` (0 = no limit)
+        estop_timeout_ms: 5000    // Per board/relay bound on the emergency stop and shutdown safe state
+    },
+    restore: {
+        policy: 'safe',           // Startup policy for boards without restore_policy: safe | settings | full
+        attempts: 6,              // Connection attempts per board at startup (boards may boot slower than the Pi)
+        retry_ms: 10000
+    },
+    relays: {
+        // Relay boards on the Pi, numbered on in this order. Default: Waveshare RPi Relay Board
+        // (Relay1:26, Relay2:20, Relay3:21), active-low. Backends: pinctrl, gpioset, sysfs, mock.
+        boards: [{ name: 'waveshare', backend: 'pinctrl', pins: [26, 20, 21], active_low: true }]
+    },
+    queue: {
+        timeout_ms: 60000,        // Per job (one command or one operation), waiting time included
+        max_depth: 20             // Pending jobs per board before new ones are refused (503)
+    },
+    conflicts: {
+        policy: 'warn',           // TX spans (freq ± sampling_freq / 2) overlapping another transmitting board: off | warn | refuse
+        guard_hz: 0               // Extra spacing required between spans
+    },
+    waveforms: {
+        min_samples: 64,          // Shortest uploaded waveform (complex samples)
+        max_samples: 1048576,     // Longest one; the whole file is one cyclic TX DMA buffer
+        remote_dir: '/tmp/waveforms' // Where files are pushed on the Pluto (tmpfs: pushed again after a reboot)
+    },
+    spectrum: {
+        interval_ms: 1000,        // Capture period per streamed board
+        fft_size: 1024,           // Points per FFT (power of two); RBW = sampling_freq / fft_size
+        averages: 8,              // FFTs averaged per spectrum (fft_size * averages samples read)
+        bins: 256,                // Values sent to clients (peak of each group of FFT bins)
+        full_scale: 2048          // ADC full-scale amplitude (12-bit samples), the 0 dBFS reference
+    },
+    firmware: {
+        max_image_bytes: 67108864, // Largest image accepted into the repository
+        remote_dir: '/tmp',       // Where images are pushed on the board before flashing (RAM)
+        upload_timeout_ms: 600000,
+        flash_timeout_ms: 300000, // update_frm.sh writing the flash
+        reboot_timeout_ms: 180000, // From device_reboot until the board answers again
+        retry_ms: 5000            // Between connection attempts while it boots
+    },
+    diagnostics: {
+        kernel_log_lines: 100,    // dmesg lines kept in a report
+        keep_reports: 20          // Stored reports per board, oldest deleted first
+    },
+    metrics: {
+        token: null               // Bearer token required on /metrics (null = open, like most exporters)
+    }
+};
+
+const SETTINGS_FILE = 'settings.json';
+
+let settings = {};
+if (fs.existsSync(SETTINGS_FILE)) {
+    try {
+        settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf8'));
+        logger.info('Loaded server settings from settings.json');
+    } catch (err) {
+        logger.error(`Failed to load settings.json, using defaults: ${err.message}`);
+    }
+}
+
+function get(section) {
+    return { ...DEFAULTS[section], ...settings[section] };
+}
+
+// Replace one section in settings.json (temp file and rename). Most sections are only
+// read at startup, so callers tell the user when a restart is needed.
+function save(section, value) {
+    const next = { ...settings, [section]: value };
+    const tmp = `${SETTINGS_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(next, null, 2) + '\n');
+    fs.renameSync(tmp, SETTINGS_FILE);
+    settings = next;
+    logger.info(`Section ${section} of ${SETTINGS_FILE} updated`);
+}
+
+module.exports = {
+    get,
+    save
+};
@@ -0,0 +1,110 @@
+// lib/spectrumCapture.js
+// RX spectrum of a board, to check the band before and during TX. A capture reads a short
+// I/Q burst from the RX path (iio_readdev, background priority in the command queue) and
+// turns it into a PSD (lib/psd) decimated to settings.json `spectrum.bins` values. Boards
+// with subscribers (sockets, by key) are captured every `spectrum.interval_ms`; each result
+// is emitted as 'spectrum' ({ id, ts, center_hz, sample_rate, rbw_hz, fft_size, bins }).
+// Emits 'capture_error' ({ id, error }) when captures start failing.
+const EventEmitter = require('events');
+const logger = require('./logger');
+const settings = require('./settings');
+const iio = require('./iioCommands');
+const { computePsd, decimate } = require('./psd');
+const { sdrStates, executeBinary } = require('./sdrManager');
+const sdrControl = require('./sdrControl');
+
+const events = new EventEmitter();
+const streams = {}; // SDR id -> { subscribers: Set, timer, busy, last, last_error }
+
+function getStream(id) {
+    if (!streams[id]) streams[id] = { subscribers: new Set(), timer: null, busy: false, last: null, last_error: null };
+    return streams[id];
+}
+
+// One capture; resolves with the spectrum (bins in dBFS, lowest frequency first)
+async function capture(id) {
+    sdrControl.requireInitialized(id);
+    const { fft_size, averages, bins, full_scale } = settings.get('spectrum');
+    const raw = await executeBinary(id, iio.readRx(fft_size * averages), 1, { priority: 'background' });
+    const psd = computePsd(raw, { fftSize: fft_size, fullScale: full_scale });
+    const state = sdrStates[id];
+    const spectrum = {
+        id,
+        ts: new Date().toISOString(),
+        center_hz: state.advanced?.rx_lo_freq ?? null,
+        sample_rate: state.sampling_freq,
+        rbw_hz: state.sampling_freq / fft_size,
+        fft_size,
+        bins: decimate(psd, bins).map(value => Math.round(value * 10) / 10)
+    };
+    getStream(id).last = spectrum;
+    return spectrum;
+}
+
+async function tick(id) {
+    const stream = getStream(id);
+    // A slow link must not pile captures up behind each other
+    if (stream.busy || !sdrStates[id]?.connected || !sdrStates[id].initialized) return;
+    stream.busy = true;
+    try {
+        events.emit('spectrum', await capture(id));
+        if (stream.last_error) logger.info(`Spectrum capture on SDR ${id} recovered`);
+        stream.last_error = null;
+    } catch (err) {
+        if (stream.last_error !== err.message) {
+            logger.warn(`Spectrum capture failed on SDR ${id}: ${err.message}`);
+            events.emit('capture_error', { id, error: err.message });
+        }
+        stream.last_error = err.message;
+    } finally {
+        stream.busy = false;
+    }
+}
+
+// Start streaming board id for `key` (e.g. a socket id); the first subscriber starts the timer
+function subscribe(id, key) {
+    sdrControl.requireSDR(id);
+    const stream = getStream(id);
+    stream.subscribers.add(key);
+    if (!stream.timer) {
+        const { interval_ms } = settings.get('spectrum');
+        stream.timer = setInterval(() => tick(id), interval_ms);
+        logger.info(`Spectrum streaming started for SDR ${id} (every ${interval_ms} ms)`);
+        tick(id);
+    }
+}
+
+// The last subscriber leaving stops the captures
+function unsubscribe(id, key) {
+    const stream = streams[id];
+    if (!stream || !stream.subscribers.delete(key) || stream.subscribers.size > 0) return;
+    clearInterval(stream.timer);
+    stream.timer = null;
+    logger.info(`Spectrum streaming stopped for SDR ${id}`);
+}
+
+function unsubscribeAll(key) {
+    Object.keys(streams).forEach(id => unsubscribe(id, key));
+}
+
+// Board removed from boards.json
+function forget(id) {
+    if (!streams[id]) return;
+    clearInterval(streams[id].timer);
+    delete streams[id];
+}
+
+function getStatus(id) {
+    const stream = getStream(id);
+    return { streaming: stream.timer !== null, subscribers: stream.subscribers.size, last_at: stream.last?.ts ?? null, last_error: stream.last_error };
+}
+
+module.exports = {
+    events,
+    capture,
+    subscribe,
+    unsubscribe,
+    unsubscribeAll,
+    forget,
+    getStatus
+};
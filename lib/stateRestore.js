@@ -0,0 +1,114 @@
+// lib/stateRestore.js
+// Startup restore of the desired settings persisted by sdrControl. Each board has a
+// policy (boards.json `restore_policy`, else settings.json restore.policy):
+//   safe     - leave the board uninitialized, only make sure TX is off
+//   settings - init and re-apply gain/freq/sampling rate, TX off
+//   full     - init and re-apply everything, TX mode included
+// Whatever the policy, the hardware is read first and any difference from the
+// persisted state is reported. Emits 'report' with the SDR id.
+const EventEmitter = require('events');
+const logger = require('./logger');
+const settings = require('./settings');
+const withTimeout = require('./withTimeout');
+const iio = require('./iioCommands');
+const { sdrStates, connectToSDR, pollSDRState, getModeLines, executeCommand, getBoard } = require('./sdrManager');
+const sdrControl = require('./sdrControl');
+const healthMonitor = require('./healthMonitor');
+const auditLog = require('./auditLog');
+const { RESTORE_POLICIES } = require('./boardSchema');
+
+const events = new EventEmitter();
+const RESTORE_CTX = { user: 'system', source: 'restore' };
+const reports = {}; // SDR id -> { policy, status, stored, found, mismatches, after, error, at }
+
+function boardPolicy(id) {
+    const policy = getBoard(id)?.restore_policy ?? settings.get('restore').policy;
+    if (RESTORE_POLICIES.includes(policy)) return policy;
+    logger.warn(`Unknown restore policy "${policy}" for SDR ${id}, using safe`);
+    return 'safe';
+}
+
+function getReport(id) {
+    return reports[id] || null;
+}
+
+function setReport(id, changes) {
+    reports[id] = { ...reports[id], ...changes, at: new Date().toISOString() };
+    events.emit('report', id);
+}
+
+// Settings as the hardware has them now, mode read back from the mode GPIOs and the
+// waveform playback pidfile
+async function readHardware(id) {
+    await pollSDRState(id);
+    const lines = getModeLines(id);
+    const levels = await lines.read();
+    const active = lines.keys.filter((mode, i) => levels[i]);
+    if (await executeCommand(id, iio.playbackState()) === 'running') active.push('file');
+    const { gain, gen_mode, freq, sampling_freq } = sdrStates[id];
+    return { gain, gen_mode, freq, sampling_freq, mode: active.length > 0 ? active.join('+') : 'none' };
+}
+
+async function connectWithRetry(id) {
+    const { attempts, retry_ms } = settings.get('restore');
+    const { ping_timeout_ms } = settings.get('health');
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await withTimeout(connectToSDR(id), ping_timeout_ms, 'Connect');
+        } catch (err) {
+            if (attempt >= attempts) throw err;
+            logger.warn(`Restore: SDR ${id} not reachable (attempt ${attempt}/${attempts}): ${err.message}`);
+            await new Promise(resolve => setTimeout(resolve, retry_ms));
+        }
+    }
+}
+
+async function restore(id) {
+    const policy = boardPolicy(id);
+    const stored = sdrControl.getStoredSettings(id);
+    const { updated_at, ...storedSettings } = stored || {};
+    setReport(id, { policy, status: 'pending', stored, found: null, mismatches: null, after: null, error: null });
+
+    try {
+        await connectWithRetry(id);
+        const found = await readHardware(id);
+        const mismatches = stored ? healthMonitor.compareSettings(id, storedSettings, found) : null;
+        if (mismatches) logger.warn(`SDR ${id} differs from its persisted state: ${JSON.stringify(mismatches)}`);
+        setReport(id, { found, mismatches });
+
+        if (policy === 'safe' || !stored) {
+            // Left on by a crash or a kill: nothing should transmit until someone asks for it
+            if (found.mode !== 'none') {
+                await auditLog.track(RESTORE_CTX, 'restore', id, { policy, mismatches }, () => sdrControl.forceTxOff(id, RESTORE_CTX));
+            }
+            setReport(id, { status: stored ? 'skipped' : 'no_state' });
+            return;
+        }
+
+        const target = policy === 'full' ? storedSettings : { ...storedSettings, mode: 'none' };
+        await auditLog.track(RESTORE_CTX, 'restore', id, { policy, mismatches }, async () => {
+            // Desired first, so init keeps it instead of taking the defaults
+            sdrControl.setDesired(id, target);
+            await sdrControl.init(id, RESTORE_CTX);
+            await sdrControl.applySettings(id, target, RESTORE_CTX);
+        });
+        const after = healthMonitor.compareSettings(id, target, { ...sdrStates[id], mode: sdrControl.getCurrentMode(id) });
+        if (after) logger.warn(`SDR ${id} restored with differences: ${JSON.stringify(after)}`);
+        setReport(id, { status: 'restored', after });
+        logger.info(`SDR ${id} restored (${policy}) from state saved ${updated_at}`);
+    } catch (err) {
+        logger.error(`Restore failed for SDR ${id}: ${err.message}`);
+        setReport(id, { status: 'failed', error: err.message });
+    }
+}
+
+// Runs every board in parallel; resolves once all are done
+async function restoreAll() {
+    await Promise.all(Object.keys(sdrStates).map(restore));
+}
+
+module.exports = {
+    events,
+    restoreAll,
+    getReport
+};
@@ -0,0 +1,160 @@
+// lib/sweepEngine.js
+// Server-side frequency sweep / hopping per SDR. Steps the TX LO through a
+// linear range or an explicit hop list while the generator mode stays on.
+// Emits 'progress' and 'stopped' events; keeps running with no browser attached.
+const EventEmitter = require('events');
+const logger = require('./logger');
+const { sdrStates } = require('./sdrManager');
+const { getAntenna } = require('./antennaManager');
+const sdrControl = require('./sdrControl');
+const auditLog = require('./auditLog');
+
+const events = new EventEmitter();
+const sweeps = {}; // SDR id -> running sweep
+const MIN_DWELL_MS = 50;
+const MAX_STEPS = 10000;
+
+// Clamp a frequency (Hz) to the SDR's antenna band (MHz in boards.json)
+function clampToBand(id, freq) {
+    const antenna = getAntenna(id);
+    if (!antenna) return freq;
+    return Math.min(Math.max(freq, antenna.freq_start * 1000000), antenna.freq_stop * 1000000);
+}
+
+// Build the list of frequencies to visit from { start, stop, step } or { hops }
+function buildPlan(id, { start, stop, step, hops }) {
+    if (hops !== undefined) {
+        if (!Array.isArray(hops) || hops.length === 0 || hops.some(f => typeof f !== 'number' || !isFinite(f))) {
+            throw sdrControl.controlError(400, 'hops must be a non-empty array of frequencies in Hz');
+        }
+        const freqs = hops.map(f => clampToBand(id, f));
+        return { freqs, clamped: freqs.some((f, i) => f !== hops[i]) };
+    }
+
+    if (![start, stop, step].every(v => typeof v === 'number' && isFinite(v)) || step <= 0) {
+        throw sdrControl.controlError(400, 'start, stop and a positive step (Hz) are required');
+    }
+    const low = clampToBand(id, Math.min(start, stop));
+    const high = clampToBand(id, Math.max(start, stop));
+    if ((high - low) / step + 1 > MAX_STEPS) throw sdrControl.controlError(400, `Sweep exceeds ${MAX_STEPS} steps`);
+    const freqs = [];
+    for (let f = low; f <= high; f += step) freqs.push(f);
+    if (start > stop) freqs.reverse();
+    return { freqs, clamped: low !== Math.min(start, stop) || high !== Math.max(start, stop) };
+}
+
+// Hops are not audited one by one; the sweep start (with its plan) and stop are
+function start(id, params = {}, ctx = {}) {
+    try {
+        const status = startSweep(id, params, ctx);
+        auditLog.record(ctx, { sdr: id, action: 'sweep_start', params, after: status, result: 'success' });
+        return status;
+    } catch (err) {
+        auditLog.record(ctx, { sdr: id, action: 'sweep_start', params, result: 'error', error: err.message });
+        throw err;
+    }
+}
+
+function startSweep(id, params, ctx) {
+    sdrControl.requireInitialized(id);
+    if (!sdrStates[id].tx_on) throw sdrControl.controlError(400, 'Generator mode must be active to sweep');
+    if (sweeps[id]) throw sdrControl.controlError(409, 'Sweep already running');
+
+    const dwell_ms = params.dwell_ms ?? 1000;
+    if (typeof dwell_ms !== 'number' || dwell_ms < MIN_DWELL_MS) {
+        throw sdrControl.controlError(400, `dwell_ms must be a number >= ${MIN_DWELL_MS}`);
+    }
+    const { freqs, clamped } = buildPlan(id, params);
+    if (clamped) logger.warn(`Sweep for SDR ${id} clamped to antenna band`);
+
+    const sweep = {
+        type: params.hops !== undefined ? 'hop' : 'linear',
+        freqs,
+        dwell_ms,
+        loop: params.loop !== false,
+        clamped,
+        ctx,
+        index: 0,
+        cycles: 0,
+        started_at: new Date().toISOString(),
+        timer: null
+    };
+    sweeps[id] = sweep;
+    logger.info(`Sweep started for SDR ${id}: ${freqs.length} steps, dwell ${dwell_ms} ms`);
+    step(id, sweep);
+    return getStatus(id);
+}
+
+async function step(id, sweep) {
+    if (sweeps[id] !== sweep) return;
+    const startedAt = Date.now();
+    const freq = sweep.freqs[sweep.index];
+    try {
+        await sdrControl.setFreq(id, freq, sweep.ctx, { poll: false, audit: false });
+    } catch (err) {
+        stop(id, `Step to ${freq} Hz failed: ${err.message}`);
+        return;
+    }
+    if (sweeps[id] !== sweep) return;
+    events.emit('progress', { id, index: sweep.index, total: sweep.freqs.length, freq, cycles: sweep.cycles });
+
+    sweep.index++;
+    if (sweep.index >= sweep.freqs.length) {
+        sweep.index = 0;
+        sweep.cycles++;
+        if (!sweep.loop) {
+            sweep.timer = setTimeout(() => stop(id, 'completed'), Math.max(0, sweep.dwell_ms - (Date.now() - startedAt)));
+            return;
+        }
+    }
+    sweep.timer = setTimeout(() => step(id, sweep), Math.max(0, sweep.dwell_ms - (Date.now() - startedAt)));
+}
+
+// ctx is the caller for a manual stop; automatic stops are recorded under the sweep's owner
+function stop(id, reason = 'stopped', ctx) {
+    const sweep = sweeps[id];
+    if (!sweep) return false;
+    clearTimeout(sweep.timer);
+    delete sweeps[id];
+    logger.info(`Sweep for SDR ${id} ended: ${reason}`);
+    auditLog.record(ctx || { ...sweep.ctx, source: 'sweep' }, { sdr: id, action: 'sweep_stop', params: { reason, cycles: sweep.cycles }, result: 'success' });
+    events.emit('stopped', { id, reason });
+    return true;
+}
+
+function isRunning(id) {
+    return Boolean(sweeps[id]);
+}
+
+function getStatus(id) {
+    const sweep = sweeps[id];
+    if (!sweep) return { running: false };
+    return {
+        running: true,
+        type: sweep.type,
+        steps: sweep.freqs.length,
+        start_freq: sweep.freqs[0],
+        stop_freq: sweep.freqs[sweep.freqs.length - 1],
+        dwell_ms: sweep.dwell_ms,
+        loop: sweep.loop,
+        clamped: sweep.clamped,
+        index: sweep.index,
+        cycles: sweep.cycles,
+        freq: sdrStates[id]?.freq,
+        started_at: sweep.started_at
+    };
+}
+
+// Generator mode switched off (or board re-initialized): the sweep ends with it
+sdrControl.events.on('update', (id) => {
+    if (sweeps[id] && !sdrStates[id]?.tx_on) stop(id, 'generator mode stopped');
+});
+
+module.exports = {
+    events,
+    MIN_DWELL_MS,
+    start,
+    stop,
+    isRunning,
+    getStatus
+};
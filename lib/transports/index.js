@@ -0,0 +1,38 @@
+// lib/transports/index.js
+// A transport carries shell commands to one SDR board. Every backend returns an
+// EventEmitter (emits 'connect' once the link is up, 'connect_error' (err) when an
+// attempt fails and 'close' when it drops) with:
+//   type           - backend name
+//   connect()      - resolves once the board is reachable
+//   exec(command, { signal })
+//                  - resolves with trimmed output, rejects on non-zero exit or abort
+//   execBatch(commands, { signal })
+//                  - runs several commands in one invocation, in order, whatever their
+//                    exit codes; resolves with [{ output, code }] per command
+//   execBinary(command, { signal })
+//                  - like exec, but resolves with the raw stdout as a Buffer (IQ captures)
+//   upload(localPath, remotePath, { signal, onProgress })
+//                  - copies a local file to the board (overwriting), resolves once written;
+//                    onProgress(transferred, total) is called as bytes go out
+//   close()        - drops the link
+//   isConnected()  - current link state
+const createSshTransport = require('./sshTransport');
+const createSimTransport = require('./simTransport');
+
+const TRANSPORTS = {
+    ssh: createSshTransport,
+    sim: createSimTransport
+};
+
+// Board picks its backend with `transport` in boards.json; simulate forces 'sim' for all
+function createTransport(id, board, { simulate = false } = {}) {
+    const type = simulate ? 'sim' : (board.transport || 'ssh');
+    const factory = TRANSPORTS[type];
+    if (!factory) throw new Error(`Unknown transport '${type}' for SDR ${id}`);
+    return factory(id, board);
+}
+
+module.exports = {
+    createTransport,
+    TRANSPORTS: Object.keys(TRANSPORTS)
+};
@@ -0,0 +1,466 @@
+// lib/transports/simTransport.js
+// In-memory AD9361/Pluto simulator. Interprets the subset of iio_attr, iio_reg,
+// gpioset, gpioget and the waveform file/playback commands used by the server so it
+// can run without hardware. Uploaded files are only recorded by size and md5; RX captures
+// (iio_readdev) are synthesized: noise, a fixed carrier and the board's own TX leaking in.
+// Firmware updates (update_frm.sh, then device_reboot) take effect after a simulated boot;
+// the new build IDs are read from `fw_version=<v> build_id=<hex>` in the image (test
+// images), other images keep the running ones. The diagnostics reads (iio_info, dmesg,
+// /proc/uptime, /proc/loadavg, /proc/net/dev) answer with fixed Pluto-like output.
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../logger');
+
+const DEVICE = 'ad9361-phy';
+const TX_DMA_DEVICE = 'cf-ad9361-dds-core-lpc';
+const BUILD_ID_REG = 0x800;
+
+// Kernel messages of a simulated boot, seconds after it started
+const BOOT_LOG = [
+    [0.000000, 'Booting Linux on physical CPU 0x0'],
+    [1.204512, 'ad9361 spi0.0: ad9361_probe : enter (ad9363a)'],
+    [1.892210, 'ad9361 spi0.0: ad9361_probe : AD936x Rev 2 successfully initialized'],
+    [2.015331, 'cf_axi_dds 79024000.cf-ad9361-dds-core-lpc: Analog Devices CF_AXI_DDS_DDS MASTER (9.01.b) at 0x79024000 mapped to 0x(ptrval), probed DDS AD9361'],
+    [3.410087, 'usb 1-1: new high-speed USB device number 2 using ci_hdrc'],
+    [4.120554, 'IPv6: ADDRCONF(NETDEV_CHANGE): usb0: link becomes ready']
+];
+
+// Per-attribute formatting and limits (direction-specific where the chip differs);
+// `<attr>_available` reads report them like the driver does
+const ATTR_SPECS = {
+    hardwaregain: { type: 'float', unit: 'dB', range: { input: [-3, 71], output: [-89.75, 0] }, step: { input: 1, output: 0.25 } },
+    gain_control_mode: { type: 'enum', values: ['manual', 'fast_attack', 'slow_attack', 'hybrid'] },
+    sampling_frequency: { type: 'int', range: [2083333, 61440000], step: 1 },
+    rf_bandwidth: { type: 'int', range: [200000, 56000000], step: 1 },
+    frequency: { type: 'int', range: [70000000, 6000000000], step: 1 },
+    filter_fir_en: { type: 'int', range: [0, 1] }
+};
+
+const DEFAULT_FAULTS = {
+    latency_ms: 20,      // Fixed delay added to every command
+    jitter_ms: 0,        // Extra random delay, 0..jitter_ms
+    fault_rate: 0,       // Probability a command exits non-zero
+    disconnect_rate: 0,  // Probability a command drops the link
+    connect_fail: false, // Refuse connections entirely
+    boot_ms: 5000        // Time from device_reboot until the board answers again
+};
+
+function createDefaultModel() {
+    return {
+        channels: [
+            { name: 'voltage0', output: false, attrs: { hardwaregain: 71, gain_control_mode: 'slow_attack', sampling_frequency: 30720000, rf_bandwidth: 18000000, filter_fir_en: 0 } },
+            { name: 'voltage0', output: true, attrs: { hardwaregain: -10, sampling_frequency: 30720000, rf_bandwidth: 18000000, filter_fir_en: 0 } },
+            // Second channel, as on a 2R2T board
+            { name: 'voltage1', output: false, attrs: { hardwaregain: 71, gain_control_mode: 'slow_attack' } },
+            { name: 'voltage1', output: true, attrs: { hardwaregain: -10 } },
+            { name: 'altvoltage0', output: true, attrs: { frequency: 2400000000 } },
+            { name: 'altvoltage1', output: true, attrs: { frequency: 2450000000 } }
+        ],
+        gpios: {},
+        registers: {},
+        files: {},      // Remote path -> size in bytes
+        checksums: {},  // Remote path -> md5 of uploaded files
+        playback: null, // { file, samples } while iio_writedev loops a file
+        firmware: { fw_version: 'v0.38', build_id: 0 },
+        flashed: null   // Firmware written by update_frm.sh, running after the next reboot
+    };
+}
+
+class CommandError extends Error {
+    constructor(code, output) {
+        super(output);
+        this.code = code;
+    }
+}
+
+function formatValue(attr, value) {
+    const spec = ATTR_SPECS[attr];
+    if (spec?.type === 'float') return `${value.toFixed(6)} ${spec.unit}`;
+    return String(value);
+}
+
+function formatAvailable(attr, output) {
+    const spec = ATTR_SPECS[attr];
+    if (spec.type === 'enum') return spec.values.join(' ');
+    const pick = value => (value !== null && typeof value === 'object' && !Array.isArray(value) ? value[output ? 'output' : 'input'] : value);
+    const [min, max] = pick(spec.range);
+    const format = value => (spec.type === 'float' ? value.toFixed(6) : String(value));
+    return `[${format(min)} ${format(pick(spec.step))} ${format(max)}]`;
+}
+
+function parseValue(attr, raw, output) {
+    const spec = ATTR_SPECS[attr];
+    if (!spec) return raw;
+    if (spec.type === 'enum') {
+        if (!spec.values.includes(raw)) throw new CommandError(1, 'ERROR: Invalid argument (22)');
+        return raw;
+    }
+    const value = spec.type === 'int' ? Math.round(Number(raw)) : Number(raw);
+    const range = Array.isArray(spec.range) ? spec.range : spec.range[output ? 'output' : 'input'];
+    if (isNaN(value) || value < range[0] || value > range[1]) throw new CommandError(1, 'ERROR: Invalid argument (22)');
+    return value;
+}
+
+function createSimTransport(id, board) {
+    const transport = new EventEmitter();
+    const model = createDefaultModel();
+    let faults = { ...DEFAULT_FAULTS, ...board.sim };
+    let connected = false;
+    let bootedAt = 0; // Connections are refused until then
+    let bootStarted = Date.now(); // Uptime and kernel log timestamps count from here
+    const imageIds = {}; // Remote path -> build IDs found in an uploaded image
+
+    // Without -i/-o the output channel wins, matching how the server treats voltage0 as TX
+    function findChannel(name, direction, attr) {
+        const candidates = model.channels.filter(ch => ch.name === name && (direction === undefined || ch.output === direction));
+        return candidates.find(ch => ch.output && attr in ch.attrs) || candidates.find(ch => attr in ch.attrs);
+    }
+
+    function iioAttr(args) {
+        let direction;
+        let mode;
+        const positional = [];
+        args.forEach(arg => {
+            if (arg === '-c' || arg === '-d' || arg === '-C') mode = arg;
+            else if (arg === '-i') direction = false;
+            else if (arg === '-o') direction = true;
+            else positional.push(arg);
+        });
+        if (mode === '-C') {
+            if (positional[0] !== 'fw_version') throw new CommandError(1, `ERROR: No context attribute matching ${positional[0]}`);
+            return model.firmware.fw_version;
+        }
+        if (positional[0] !== DEVICE) throw new CommandError(1, `ERROR: No device matching ${positional[0]}`);
+        if (mode !== '-c') throw new CommandError(1, 'ERROR: Unsupported iio_attr mode in simulator');
+
+        const [, channelName, attr, rawValue] = positional;
+        const available = attr.endsWith('_available') ? attr.slice(0, -'_available'.length) : null;
+        const availableSpec = available && ATTR_SPECS[available];
+        if (availableSpec && (availableSpec.step !== undefined || availableSpec.type === 'enum')) {
+            const channel = findChannel(channelName, direction, available);
+            if (!channel) throw new CommandError(1, `ERROR: No channel attribute matching ${channelName} ${attr}`);
+            if (rawValue !== undefined) throw new CommandError(1, 'ERROR: Permission denied (13)');
+            return formatAvailable(available, channel.output);
+        }
+        const channel = findChannel(channelName, direction, attr);
+        if (!channel) throw new CommandError(1, `ERROR: No channel attribute matching ${channelName} ${attr}`);
+        if (rawValue === undefined) return formatValue(attr, channel.attrs[attr]);
+
+        const value = parseValue(attr, rawValue, channel.output);
+        if (attr === 'sampling_frequency') {
+            // RX and TX share the baseband clock
+            model.channels.filter(ch => ch.name === channelName).forEach(ch => ch.attrs.sampling_frequency = value);
+        } else {
+            channel.attrs[attr] = value;
+        }
+        return '';
+    }
+
+    function iioReg(args) {
+        const [device, addr, value] = args;
+        if (device !== DEVICE && device !== TX_DMA_DEVICE) throw new CommandError(1, `ERROR: No device matching ${device}`);
+        const address = parseInt(addr, 16);
+        if (isNaN(address)) throw new CommandError(1, 'ERROR: Invalid register address');
+        // The DDS core only exposes the build ID of the generator design
+        if (device === TX_DMA_DEVICE) {
+            if (value !== undefined) throw new CommandError(1, 'ERROR: Permission denied (13)');
+            return `0x${(address === BUILD_ID_REG ? model.firmware.build_id : 0).toString(16)}`;
+        }
+        if (value === undefined) return `0x${(model.registers[address] || 0).toString(16)}`;
+        model.registers[address] = parseInt(value, 16) & 0xff;
+        return '';
+    }
+
+    function gpioSet(args) {
+        const [chip, ...lines] = args;
+        if (chip !== 'gpiochip0') throw new CommandError(1, `gpioset: unable to open ${chip}`);
+        lines.forEach(line => {
+            const [offset, value] = line.split('=').map(Number);
+            if (isNaN(offset) || ![0, 1].includes(value)) throw new CommandError(1, `gpioset: invalid offset<=value> mapping: ${line}`);
+            model.gpios[offset] = value;
+        });
+        return '';
+    }
+
+    function gpioGet(args) {
+        const [chip, ...lines] = args;
+        if (chip !== 'gpiochip0') throw new CommandError(1, `gpioget: unable to open ${chip}`);
+        return lines.map(line => model.gpios[Number(line)] || 0).join(' ');
+    }
+
+    function stat(args) {
+        const file = args[args.length - 1];
+        if (model.files[file] === undefined) throw new CommandError(1, `stat: can't stat '${file}': No such file or directory`);
+        return String(model.files[file]);
+    }
+
+    function md5sum(args) {
+        const file = args[0];
+        if (model.checksums[file] === undefined) throw new CommandError(1, `md5sum: can't open '${file}': No such file or directory`);
+        return `${model.checksums[file]}  ${file}`;
+    }
+
+    function updateFrm(args) {
+        const file = args[0];
+        if (model.checksums[file] === undefined) throw new CommandError(1, `update_frm.sh: ${file} not found`);
+        model.flashed = imageIds[file] || { ...model.firmware };
+        return 'Flashing firmware... done';
+    }
+
+    // The board drops the link and loses its tmpfs and runtime state; the flashed firmware boots
+    function deviceReboot() {
+        if (model.flashed) model.firmware = model.flashed;
+        model.flashed = null;
+        Object.assign(model, { gpios: {}, registers: {}, files: {}, checksums: {}, playback: null });
+        bootedAt = Date.now() + faults.boot_ms;
+        bootStarted = Date.now();
+        setImmediate(close);
+        return '';
+    }
+
+    // Only the pidfile forms built by lib/iioCommands; a playback whose file is missing or
+    // too short dies right after the detach, like iio_writedev would
+    function startStopDaemon(command, args) {
+        if (args.includes('-K')) {
+            if (args.includes('-t')) {
+                if (!model.playback) throw new CommandError(1, '');
+                return '';
+            }
+            const wasRunning = model.playback !== null;
+            model.playback = null;
+            if (!wasRunning && !args.includes('-o')) throw new CommandError(1, '');
+            return '';
+        }
+        if (model.playback) throw new CommandError(1, 'start-stop-daemon: /bin/sh is already running');
+        const match = command.match(/iio_writedev -c -b (\d+) \S+ voltage0 voltage1 < (\S+)"/);
+        if (!match) throw new CommandError(1, 'start-stop-daemon: unsupported command in simulator');
+        const samples = Number(match[1]);
+        const file = match[2];
+        if (model.files[file] !== undefined && model.files[file] >= samples * 4) model.playback = { file, samples };
+        return '';
+    }
+
+    function iioInfo() {
+        const [major, minor] = model.firmware.fw_version.replace(/^v/, '').split('.');
+        return [
+            'Library version: 0.21 (git tag: 565bf68)',
+            'Compiled with backends: local xml ip usb',
+            'IIO context created with local backend.',
+            'Backend version: 0.21 (git tag: 565bf68)',
+            `Backend description string: Linux (none) 5.10.0-${major}${minor}-simulated #1 SMP PREEMPT armv7l`,
+            'IIO context has 4 attributes:',
+            '\thw_model: Analog Devices PlutoSDR Rev.C (Z7010-AD9363A)',
+            `\thw_serial: sim-${id}`,
+            `\tfw_version: ${model.firmware.fw_version}`,
+            '\tlocal,kernel: 5.10.0-simulated',
+            'IIO context has 3 devices:',
+            `\tiio:device0: ${DEVICE}`,
+            `\t\t${model.channels.length} channels found:`,
+            '\tiio:device2: cf-ad9361-lpc (buffer capable)',
+            '\t\t2 channels found:',
+            `\tiio:device3: ${TX_DMA_DEVICE} (buffer capable)`,
+            '\t\t2 channels found:'
+        ].join('\n');
+    }
+
+    // `dmesg | tail -n <lines>`
+    function dmesg(args) {
+        const lines = args[0] === '|' && args[1] === 'tail' && args[2] === '-n' ? Number(args[3]) : Infinity;
+        return BOOT_LOG.map(([time, message]) => `[${time.toFixed(6).padStart(12)}] ${message}`).slice(-lines).join('\n');
+    }
+
+    function cat(args) {
+        const uptime = (Date.now() - bootStarted) / 1000;
+        const files = {
+            '/proc/uptime': `${uptime.toFixed(2)} ${(uptime * 0.9).toFixed(2)}`,
+            '/proc/loadavg': `0.08 0.03 0.01 1/64 ${Math.floor(uptime) % 30000 + 300}`,
+            '/proc/net/dev': [
+                'Inter-|   Receive                                                |  Transmit',
+                ' face |bytes    packets errs drop fifo frame compressed multicast|bytes    packets errs drop fifo colls carrier compressed',
+                '    lo:       0       0    0    0    0     0          0         0        0       0    0    0    0     0       0          0',
+                `  usb0: ${Math.floor(uptime * 2400)} ${Math.floor(uptime * 20)}    0    0    0     0          0         0 ${Math.floor(uptime * 3100)} ${Math.floor(uptime * 18)}    0    0    0     0       0          0`
+            ].join('\n')
+        };
+        return args.map(file => {
+            if (files[file] === undefined) throw new CommandError(1, `cat: can't open '${file}': No such file or directory`);
+            return files[file];
+        }).join('\n');
+    }
+
+    const attrOf = (name, output, attr) => model.channels.find(ch => ch.name === name && ch.output === output).attrs[attr];
+
+    // Interleaved int16 I/Q as the RX DMA delivers it (12-bit ADC, full scale 2048)
+    function readRx(args) {
+        const sIndex = args.indexOf('-s');
+        const samples = Number(args[sIndex + 1]);
+        if (sIndex === -1 || !Number.isInteger(samples) || samples <= 0) throw new CommandError(1, 'iio_readdev: invalid sample count');
+        if (!args.includes('cf-ad9361-lpc')) throw new CommandError(1, 'iio_readdev: no such device');
+        const rate = attrOf('voltage0', false, 'sampling_frequency');
+        const rxLo = attrOf('altvoltage0', true, 'frequency');
+        const txLo = attrOf('altvoltage1', true, 'frequency');
+        const transmitting = model.playback !== null || Object.values(model.gpios).some(value => value === 1);
+        const tones = [{ offset: rate / 5, amplitude: 40 }];
+        if (transmitting && Math.abs(txLo - rxLo) < rate / 2) {
+            tones.push({ offset: txLo - rxLo, amplitude: 1500 * Math.pow(10, attrOf('voltage0', true, 'hardwaregain') / 20) });
+        }
+        const gaussian = () => Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+        const out = Buffer.alloc(samples * 4);
+        const phase = Math.random() * 2 * Math.PI;
+        for (let n = 0; n < samples; n++) {
+            let i = gaussian() * 3;
+            let q = gaussian() * 3;
+            tones.forEach(({ offset, amplitude }) => {
+                const angle = phase + 2 * Math.PI * offset * n / rate;
+                i += amplitude * Math.cos(angle);
+                q += amplitude * Math.sin(angle);
+            });
+            out.writeInt16LE(Math.max(-2048, Math.min(2047, Math.round(i))), n * 4);
+            out.writeInt16LE(Math.max(-2048, Math.min(2047, Math.round(q))), n * 4 + 2);
+        }
+        return out;
+    }
+
+    function run(command) {
+        // `<command> [2>/dev/null] [&& echo <a>] || echo <b>`
+        const chain = command.match(/^(.+?)(?: 2>\/dev\/null)?(?: && echo (\S+))? \|\| echo (\S+)$/);
+        if (chain) {
+            try {
+                const output = run(chain[1]);
+                return chain[2] ?? output;
+            } catch (err) {
+                if (!(err instanceof CommandError)) throw err;
+                return chain[3];
+            }
+        }
+        const [program, ...args] = command.trim().split(/\s+/);
+        switch (program) {
+            case 'true': return '';
+            case 'echo': return args.join(' ');
+            case 'iio_attr': return iioAttr(args);
+            case 'iio_reg': return iioReg(args);
+            case 'gpioset': return gpioSet(args);
+            case 'gpioget': return gpioGet(args);
+            case 'mkdir': return '';
+            case 'stat': return stat(args);
+            case 'start-stop-daemon': return startStopDaemon(command, args);
+            case 'md5sum': return md5sum(args);
+            case 'update_frm.sh': return updateFrm(args);
+            case 'device_reboot': return deviceReboot();
+            case 'iio_info': return iioInfo();
+            case 'dmesg': return dmesg(args);
+            case 'cat': return cat(args);
+            default: throw new CommandError(127, `sh: ${program}: not found`);
+        }
+    }
+
+    function delay() {
+        const ms = faults.latency_ms + Math.random() * faults.jitter_ms;
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function connect() {
+        if (connected) return;
+        await delay();
+        if (faults.connect_fail || Date.now() < bootedAt) {
+            const err = new Error(`Simulated connection failure for SDR ${id}`);
+            transport.emit('connect_error', err);
+            throw err;
+        }
+        connected = true;
+        logger.info(`Simulator connected for SDR ${id}`);
+        transport.emit('connect');
+    }
+
+    // One round trip: the delay (abortable) and the injected faults apply once per invocation
+    async function invoke(description, signal) {
+        await connect();
+        signal?.throwIfAborted();
+        await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, faults.latency_ms + Math.random() * faults.jitter_ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+        if (Math.random() < faults.disconnect_rate) {
+            close();
+            throw new Error(`Simulated disconnect for SDR ${id} during '${description}'`);
+        }
+        if (Math.random() < faults.fault_rate) {
+            throw new Error(`Command '${description}' failed with code 1: Simulated fault`);
+        }
+    }
+
+    async function exec(command, { signal } = {}) {
+        await invoke(command, signal);
+        try {
+            return run(command);
+        } catch (err) {
+            if (!(err instanceof CommandError)) throw err;
+            throw new Error(`Command '${command}' failed with code ${err.code}: ${err.message}`);
+        }
+    }
+
+    async function execBinary(command, { signal } = {}) {
+        await invoke(command, signal);
+        const [program, ...args] = command.trim().split(/\s+/);
+        if (program !== 'iio_readdev') throw new Error(`Command '${command}' failed with code 127: sh: ${program}: not found`);
+        try {
+            return readRx(args);
+        } catch (err) {
+            if (!(err instanceof CommandError)) throw err;
+            throw new Error(`Command '${command}' failed with code ${err.code}: ${err.message}`);
+        }
+    }
+
+    async function execBatch(commands, { signal } = {}) {
+        await invoke(commands.join('; '), signal);
+        return commands.map(command => {
+            try {
+                return { output: run(command), code: 0 };
+            } catch (err) {
+                if (!(err instanceof CommandError)) throw err;
+                return { output: err.message, code: err.code };
+            }
+        });
+    }
+
+    async function upload(localPath, remotePath, { signal, onProgress } = {}) {
+        const data = await fs.promises.readFile(localPath);
+        await invoke(`upload ${remotePath}`, signal);
+        model.files[remotePath] = data.length;
+        model.checksums[remotePath] = crypto.createHash('md5').update(data).digest('hex');
+        const ids = data.toString('latin1').match(/fw_version=(\S+) build_id=(0x[0-9a-fA-F]+)/);
+        if (ids) imageIds[remotePath] = { fw_version: ids[1], build_id: parseInt(ids[2], 16) };
+        else delete imageIds[remotePath];
+        onProgress?.(data.length, data.length);
+    }
+
+    function close() {
+        if (!connected) return;
+        connected = false;
+        logger.warn(`Simulator connection closed for SDR ${id}`);
+        transport.emit('close');
+    }
+
+    return Object.assign(transport, {
+        type: 'sim',
+        connect,
+        exec,
+        execBatch,
+        execBinary,
+        upload,
+        close,
+        isConnected: () => connected,
+        getModel: () => model,
+        getFaults: () => ({ ...faults }),
+        setFaults: (changes) => { faults = { ...faults, ...changes }; }
+    });
+}
+
+module.exports = createSimTransport;
@@ -0,0 +1,145 @@
+// lib/transports/sshTransport.js
+const EventEmitter = require('events');
+const { Client } = require('ssh2');
+const logger = require('../logger');
+
+const SSH_CONFIG = {
+    username: 'root',
+    password: 'analog', // Use environment variable in production: process.env.SSH_PASSWORD
+    hostVerification: false,
+    knownHosts: '/dev/null',
+    algorithms: { serverHostKey: ['ssh-rsa', 'ssh-dss'] }
+};
+
+const BATCH_MARKER = '__sdr_rc=';
+
+// Runs commands on a real Pluto over ssh2 (one shared connection per board)
+function createSshTransport(id, board) {
+    const transport = new EventEmitter();
+    let conn = null;
+    let connectionPromise = null;
+
+    function connect() {
+        if (connectionPromise) return connectionPromise;
+
+        connectionPromise = new Promise((resolve, reject) => {
+            const client = new Client();
+            client.on('ready', () => {
+                logger.info(`SSH connected to SDR ${id} at ${board.ip}`);
+                conn = client;
+                transport.emit('connect');
+                resolve(client);
+            });
+            client.on('error', (err) => {
+                logger.error(`SSH connection error for SDR ${id}: ${err.message}`);
+                connectionPromise = null;
+                if (!conn) transport.emit('connect_error', err);
+                reject(err);
+            });
+            client.on('close', () => {
+                logger.warn(`SSH connection closed for SDR ${id}`);
+                conn = null;
+                connectionPromise = null;
+                transport.emit('close');
+            });
+            client.connect({ ...SSH_CONFIG, host: board.ip });
+        });
+
+        return connectionPromise;
+    }
+
+    // One exec channel; aborting closes it, which hangs up the remote command.
+    // binary: true keeps stdout as a Buffer (stderr apart) instead of mixing both into text.
+    async function run(command, signal, { binary = false } = {}) {
+        const client = await connect();
+        signal?.throwIfAborted();
+        return new Promise((resolve, reject) => {
+            client.exec(command, (err, stream) => {
+                if (err) return reject(err);
+                const onAbort = () => {
+                    stream.close();
+                    reject(signal.reason);
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+                let output = '';
+                let errors = '';
+                const chunks = [];
+                stream.on('data', (data) => {
+                    if (binary) chunks.push(data);
+                    else output += data.toString();
+                });
+                stream.stderr.on('data', (data) => {
+                    if (binary) errors += data.toString();
+                    else output += data.toString();
+                });
+                stream.on('close', (code) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve(binary ? { output: Buffer.concat(chunks), errors, code } : { output, code });
+                });
+            });
+        });
+    }
+
+    async function exec(command, { signal } = {}) {
+        const { output, code } = await run(command, signal);
+        if (code !== 0) throw new Error(`Command '${command}' failed with code ${code}: ${output}`);
+        return output.trim();
+    }
+
+    async function execBinary(command, { signal } = {}) {
+        const { output, errors, code } = await run(command, signal, { binary: true });
+        if (code !== 0) throw new Error(`Command '${command}' failed with code ${code}: ${errors}`);
+        return output;
+    }
+
+    // Each command's output is followed by a marker line carrying its exit code
+    async function execBatch(commands, { signal } = {}) {
+        const script = commands.map(command => `{ ${command}; } 2>&1; printf '\\n${BATCH_MARKER}%d\\n' $?`).join('; ');
+        const { output } = await run(script, signal);
+        const parts = output.split(new RegExp(`\n${BATCH_MARKER}(\\d+)\n`));
+        return commands.map((command, i) => {
+            if (parts[2 * i + 1] === undefined) throw new Error(`Batch output truncated at '${command}'`);
+            return { output: parts[2 * i].trim(), code: Number(parts[2 * i + 1]) };
+        });
+    }
+
+    // SFTP over the same connection; aborting ends the session, which stops the transfer
+    async function upload(localPath, remotePath, { signal, onProgress } = {}) {
+        const client = await connect();
+        signal?.throwIfAborted();
+        return new Promise((resolve, reject) => {
+            client.sftp((err, sftp) => {
+                if (err) return reject(err);
+                const onAbort = () => {
+                    sftp.end();
+                    reject(signal.reason);
+                };
+                signal?.addEventListener('abort', onAbort, { once: true });
+                const step = onProgress && ((transferred, chunk, total) => onProgress(transferred, total));
+                sftp.fastPut(localPath, remotePath, { step }, (putErr) => {
+                    signal?.removeEventListener('abort', onAbort);
+                    sftp.end();
+                    if (putErr) reject(new Error(`Upload of ${remotePath} failed: ${putErr.message}`));
+                    else resolve();
+                });
+            });
+        });
+    }
+
+    function close() {
+        if (conn) conn.end();
+    }
+
+    return Object.assign(transport, {
+        type: 'ssh',
+        connect,
+        exec,
+        execBatch,
+        execBinary,
+        upload,
+        close,
+        isConnected: () => conn !== null
+    });
+}
+
+module.exports = createSshTransport;
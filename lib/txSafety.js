@@ -0,0 +1,121 @@
+// lib/txSafety.js
+// TX interlocks. The watchdog forces `set_mode none` once a board has been on air
+// longer than its max_tx_s (boards.json, else settings.json tx_safety). The safe
+// state (emergency stop, shutdown) drops every mode GPIO on every board and opens
+// every relay, all in parallel. Emits 'timeout' (id) and 'estop' (results).
+const EventEmitter = require('events');
+const logger = require('./logger');
+const settings = require('./settings');
+const withTimeout = require('./withTimeout');
+const { sdrStates, getBoard } = require('./sdrManager');
+const sdrControl = require('./sdrControl');
+const auditLog = require('./auditLog');
+
+const events = new EventEmitter();
+const txSince = {}; // SDR id -> ms timestamp TX went on
+const timers = {};
+const WATCHDOG_CTX = { user: 'system', source: 'watchdog' };
+
+let openAllRelays = async () => {}; // Set from server.js
+
+function maxTxSeconds(id) {
+    return getBoard(id)?.max_tx_s ?? settings.get('tx_safety').max_tx_s;
+}
+
+function getStatus(id) {
+    const max_tx_s = maxTxSeconds(id);
+    if (!txSince[id]) return { tx_since: null, max_tx_s, tx_off_at: null };
+    return {
+        tx_since: new Date(txSince[id]).toISOString(),
+        max_tx_s,
+        tx_off_at: max_tx_s > 0 ? new Date(txSince[id] + max_tx_s * 1000).toISOString() : null
+    };
+}
+
+// Arm the watchdog when a board goes on air, disarm it when TX goes off.
+// Changing mode while on air does not restart the clock.
+function track(id) {
+    const onAir = Boolean(sdrStates[id]?.tx_on);
+    if (onAir && !txSince[id]) {
+        txSince[id] = Date.now();
+        const limit = maxTxSeconds(id);
+        if (limit > 0) timers[id] = setTimeout(() => expire(id, limit), limit * 1000);
+    } else if (!onAir && txSince[id]) {
+        clearTimeout(timers[id]);
+        delete timers[id];
+        delete txSince[id];
+    }
+}
+
+// Board removed from boards.json
+function forget(id) {
+    clearTimeout(timers[id]);
+    delete timers[id];
+    delete txSince[id];
+}
+
+async function expire(id, limit) {
+    delete timers[id];
+    logger.warn(`SDR ${id} reached its maximum TX duration of ${limit} s, switching TX off`);
+    events.emit('timeout', id);
+    try {
+        await auditLog.track(WATCHDOG_CTX, 'tx_timeout', id, { max_tx_s: limit }, async () => {
+            try {
+                await sdrControl.setMode(id, 'none', WATCHDOG_CTX);
+            } catch (err) {
+                logger.error(`Watchdog set_mode none failed for SDR ${id}: ${err.message}, forcing mode GPIOs low`);
+                await sdrControl.forceTxOff(id, WATCHDOG_CTX);
+            }
+        });
+    } catch (err) {
+        logger.error(`Watchdog could not switch TX off on SDR ${id}: ${err.message}`);
+    }
+}
+
+// Every board TX off and every relay open, in parallel, each bounded by estop_timeout_ms.
+// keepDesired leaves the desired modes as they were (shutdown).
+// Resolves with per-board and relay results; never rejects.
+async function safeState(ctx, { keepDesired = false } = {}) {
+    const { estop_timeout_ms } = settings.get('tx_safety');
+    const ids = Object.keys(sdrStates);
+    const settle = promise => promise.then(() => ({ success: true }), err => ({ success: false, error: err.message }));
+
+    const [boardResults, relays] = await Promise.all([
+        Promise.all(ids.map(id => settle(auditLog.track(ctx, 'emergency_stop', id, null, () => (
+            withTimeout(sdrControl.forceTxOff(id, ctx, { relays: false, desired: !keepDesired }), estop_timeout_ms, `TX off on SDR ${id}`)
+        ))))),
+        settle(withTimeout(openAllRelays(ctx), estop_timeout_ms, 'Opening relays'))
+    ]);
+
+    const sdrs = {};
+    ids.forEach((id, i) => {
+        sdrs[id] = boardResults[i];
+    });
+    const success = relays.success && boardResults.every(result => result.success);
+    return { success, sdrs, relays };
+}
+
+async function emergencyStop(ctx) {
+    logger.warn(`EMERGENCY STOP requested by ${ctx.user || 'system'}`);
+    const results = await safeState(ctx);
+    if (!results.success) logger.error(`Emergency stop incomplete: ${JSON.stringify(results)}`);
+    events.emit('estop', results);
+    return results;
+}
+
+function start() {
+    sdrControl.events.on('update', track);
+    Object.keys(sdrStates).forEach(track);
+}
+
+module.exports = {
+    events,
+    start,
+    getStatus,
+    forget,
+    safeState,
+    emergencyStop,
+    setRelayOpener: function(fn) {
+        openAllRelays = fn;
+    }
+};
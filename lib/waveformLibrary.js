@@ -0,0 +1,180 @@
+// lib/waveformLibrary.js
+// Uploaded IQ waveforms for the 'file' generator mode. Uploads arrive as complex int16
+// (ci16), complex float32 (cf32) or a SigMF archive (.sigmf tar with one .sigmf-meta and
+// one .sigmf-data); they are checked for sample rate and length and stored as ci16
+// (interleaved little-endian I/Q, the TX DMA format) under data/waveforms/, indexed in
+// data/waveforms.json. Boards get a copy over SFTP the first time they play it.
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const settings = require('./settings');
+const rfLimits = require('./rfLimits');
+const iio = require('./iioCommands');
+const commandQueue = require('./commandQueue');
+const { readJson, writeJson, dataPath } = require('./dataStore');
+const { sdrStates, executeCommand, getTransport } = require('./sdrManager');
+
+const INDEX_FILE = 'waveforms.json';
+const FORMATS = ['ci16', 'cf32', 'sigmf'];
+const SIGMF_DATATYPES = { ci16_le: 'ci16', cf32_le: 'cf32' };
+const BYTES_PER_SAMPLE = { ci16: 4, cf32: 8 };
+const NAME_PATTERN = /^[\w .-]{1,64}$/;
+
+let waveforms = readJson(INDEX_FILE, {});
+
+// Error carrying the HTTP status the routes should answer with
+function waveformError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+const localPath = id => dataPath(`waveforms/${id}.ci16`);
+const remotePath = id => `${settings.get('waveforms').remote_dir}/${id}.ci16`;
+
+// Files of a ustar archive: [{ name, data }]
+function readTar(buffer) {
+    const files = [];
+    for (let offset = 0; offset + 512 <= buffer.length;) {
+        const header = buffer.subarray(offset, offset + 512);
+        if (header.every(byte => byte === 0)) break;
+        const field = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+        const size = parseInt(field(124, 12).trim(), 8);
+        if (isNaN(size) || offset + 512 + size > buffer.length) throw waveformError(400, 'Invalid SigMF archive');
+        const prefix = field(345, 155);
+        const name = prefix ? `${prefix}/${field(0, 100)}` : field(0, 100);
+        const type = field(156, 1);
+        if (type === '0' || type === '') files.push({ name, data: buffer.subarray(offset + 512, offset + 512 + size) });
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return files;
+}
+
+// { format, sample_rate, data } from a SigMF archive; sample_rate may still be given with the upload
+function readSigmf(buffer) {
+    const files = readTar(buffer);
+    const meta = files.find(file => file.name.endsWith('.sigmf-meta'));
+    const data = files.find(file => file.name.endsWith('.sigmf-data'));
+    if (!meta || !data) throw waveformError(400, 'SigMF archive needs a .sigmf-meta and a .sigmf-data file');
+    let global;
+    try {
+        global = JSON.parse(meta.data.toString('utf8')).global || {};
+    } catch (err) {
+        throw waveformError(400, `Invalid SigMF metadata: ${err.message}`);
+    }
+    const format = SIGMF_DATATYPES[global['core:datatype']];
+    if (!format) throw waveformError(400, `Unsupported SigMF datatype ${global['core:datatype']} (expected ${Object.keys(SIGMF_DATATYPES).join(' or ')})`);
+    return { format, sample_rate: global['core:sample_rate'], data: data.data };
+}
+
+// Complex float32 in [-1, 1] to ci16; out-of-range values clip
+function cf32ToCi16(data) {
+    const out = Buffer.alloc(data.length / 2);
+    let clipped = 0;
+    for (let i = 0; i < data.length / 4; i++) {
+        const value = Math.round(data.readFloatLE(i * 4) * 32767);
+        if (value > 32767 || value < -32767 || isNaN(value)) clipped++;
+        out.writeInt16LE(isNaN(value) ? 0 : Math.max(-32767, Math.min(32767, value)), i * 2);
+    }
+    return { data: out, clipped };
+}
+
+// Decode and check an upload: { data (ci16), sample_rate, samples, source_format, clipped }
+function decode(buffer, { format, sample_rate }) {
+    if (!FORMATS.includes(format)) throw waveformError(400, `format must be one of ${FORMATS.join(', ')}`);
+    if (!buffer || buffer.length === 0) throw waveformError(400, 'Waveform file required');
+    let input = { format, sample_rate, data: buffer };
+    if (format === 'sigmf') {
+        const sigmf = readSigmf(buffer);
+        if (sample_rate !== undefined && sigmf.sample_rate !== undefined && sample_rate !== sigmf.sample_rate) {
+            throw waveformError(400, `sample_rate ${sample_rate} differs from the SigMF core:sample_rate ${sigmf.sample_rate}`);
+        }
+        input = { ...sigmf, sample_rate: sigmf.sample_rate ?? sample_rate };
+    }
+
+    if (input.sample_rate === undefined) throw waveformError(400, 'sample_rate required');
+    const rateError = rfLimits.check('sampling_freq', input.sample_rate);
+    if (rateError) throw waveformError(400, rateError);
+    const bytes = BYTES_PER_SAMPLE[input.format];
+    if (input.data.length % bytes !== 0) throw waveformError(400, `File length is not a whole number of ${input.format} samples (${bytes} bytes each)`);
+    const samples = input.data.length / bytes;
+    const { min_samples, max_samples } = settings.get('waveforms');
+    if (samples < min_samples || samples > max_samples) {
+        throw waveformError(400, `Waveform has ${samples} samples, must be ${min_samples}-${max_samples}`);
+    }
+
+    const { data, clipped } = input.format === 'cf32' ? cf32ToCi16(input.data) : { data: input.data, clipped: 0 };
+    return { data, sample_rate: input.sample_rate, samples, source_format: input.format, clipped };
+}
+
+function list() {
+    return Object.values(waveforms);
+}
+
+function get(id) {
+    const waveform = waveforms[id];
+    if (!waveform) throw waveformError(404, `Waveform ${id} not found`);
+    return waveform;
+}
+
+// Store an upload ({ name, format, sample_rate } from the request); returns its entry
+function create(buffer, { name, format, sample_rate }, user) {
+    if (!NAME_PATTERN.test(name || '')) throw waveformError(400, 'Invalid waveform name');
+    const decoded = decode(buffer, { format, sample_rate });
+    const id = uuidv4();
+    fs.mkdirSync(dataPath('waveforms'), { recursive: true });
+    fs.writeFileSync(localPath(id), decoded.data);
+    waveforms[id] = {
+        id,
+        name,
+        format: decoded.source_format,
+        sample_rate: decoded.sample_rate,
+        samples: decoded.samples,
+        duration_ms: +(decoded.samples / decoded.sample_rate * 1000).toFixed(3),
+        size: decoded.data.length,
+        clipped: decoded.clipped,
+        uploaded_by: user || null,
+        uploaded_at: new Date().toISOString()
+    };
+    writeJson(INDEX_FILE, waveforms);
+    if (decoded.clipped > 0) logger.warn(`Waveform ${name}: ${decoded.clipped} cf32 values outside [-1, 1] clipped`);
+    logger.info(`Waveform ${name} (${id}) stored: ${decoded.samples} samples at ${decoded.sample_rate} S/s`);
+    return waveforms[id];
+}
+
+function remove(id) {
+    const waveform = get(id);
+    const playing = Object.keys(sdrStates).filter(sdr => sdrStates[sdr].waveform === id);
+    if (playing.length > 0) throw waveformError(409, `Waveform ${waveform.name} is playing on ${playing.join(', ')}`);
+    fs.rmSync(localPath(id), { force: true });
+    delete waveforms[id];
+    writeJson(INDEX_FILE, waveforms);
+    logger.info(`Waveform ${waveform.name} (${id}) deleted`);
+    return waveform;
+}
+
+// Make sure board sdrId holds the file (same size), pushing it over SFTP otherwise.
+// Runs inside the caller's queue job; resolves with the remote path.
+async function push(id, sdrId, signal) {
+    const waveform = get(id);
+    const remote = remotePath(id);
+    const size = await executeCommand(sdrId, iio.fileSize(remote), 1);
+    if (Number(size) === waveform.size) return remote;
+
+    await executeCommand(sdrId, iio.makeDir(settings.get('waveforms').remote_dir));
+    commandQueue.setCommand(sdrId, `upload ${remote}`);
+    const started = Date.now();
+    await getTransport(sdrId).upload(localPath(id), remote, { signal });
+    logger.info(`Waveform ${waveform.name} pushed to SDR ${sdrId} in ${Date.now() - started} ms`);
+    return remote;
+}
+
+module.exports = {
+    FORMATS,
+    NAME_PATTERN,
+    list,
+    get,
+    create,
+    remove,
+    push
+};
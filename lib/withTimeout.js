@@ -0,0 +1,11 @@
+// lib/withTimeout.js
+// Reject with "<what> timed out after <ms> ms" if the promise has not settled in time
+function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${what} timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = withTimeout;
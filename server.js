@@ -5,40 +5,65 @@ const socketIo = require('socket.io');
 const uuid = require('uuid');
 const cors = require('cors');
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
 const validateDeviceBinding = require('./lib/deviceBinding');
-const { loadBoards } = require('./lib/configLoader');
-const { sdrStates, rateLimiterMiddleware, initSDR, executeCommand, pollSDRState, MODE_GPIOS, setSDRBoards } = require('./lib/sdrManager');
+const { loadBoards, loadAntennas } = require('./lib/configLoader');
+const { setAntennas, getAntennaInfo } = require('./lib/antennaManager');
+const { sdrStates, events: sdrEvents, rateLimiterMiddleware, disconnectSDR, getTransport, registerSDR, setSDRBoards, setSimulate, getBoard } = require('./lib/sdrManager');
+const sdrControl = require('./lib/sdrControl');
+const sweepEngine = require('./lib/sweepEngine');
+const missionScheduler = require('./lib/missionScheduler');
+const presetStore = require('./lib/presetStore');
+const auth = require('./lib/auth');
+const auditLog = require('./lib/auditLog');
+const healthMonitor = require('./lib/healthMonitor');
+const txSafety = require('./lib/txSafety');
+const stateRestore = require('./lib/stateRestore');
+const metrics = require('./lib/metrics');
+const settings = require('./lib/settings');
+const relayController = require('./lib/relayController');
+const boardInventory = require('./lib/boardInventory');
+const commandQueue = require('./lib/commandQueue');
+const sdrGroups = require('./lib/sdrGroups');
+const bandPlan = require('./lib/bandPlan');
+const waveformLibrary = require('./lib/waveformLibrary');
+const spectrumCapture = require('./lib/spectrumCapture');
+const configTransfer = require('./lib/configTransfer');
+const firmwareRepository = require('./lib/firmwareRepository');
+const firmwareManager = require('./lib/firmwareManager');
+const diagnostics = require('./lib/diagnostics');
+const apiSpec = require('./lib/apiSpec');
+const { validateRequest, validateOperation } = require('./lib/apiValidator');
+const { requireRole } = auth;
+const hostCommands = require('./lib/hostCommands');
+const { runHostCommand, restartUsbPort } = hostCommands;
 const logger = require('./lib/logger');
 
+// --simulate runs every board on the built-in AD9361 simulator and skips host relay/USB commands
+const SIMULATE = process.argv.includes('--simulate');
+
 // Validate device binding first
 validateDeviceBinding();
 
-// Load SDR boards
+// Load SDR boards (validated; boardInventory keeps this object in line with boards.json)
 const SDR_BOARDS = loadBoards();
 setSDRBoards(SDR_BOARDS);
-
-// Relay GPIO pins from Waveshare RPi Relay Board wiki
-const RELAY_GPIOS = [26, 20, 21]; // Relay1:26, Relay2:20, Relay3:21
+boardInventory.init(SDR_BOARDS);
+setSimulate(SIMULATE);
+hostCommands.setSimulate(SIMULATE);
+if (SIMULATE) logger.warn('Running in simulation mode: all SDR boards are virtual');
+setAntennas(loadAntennas(), SDR_BOARDS);
 
 // Initialize states
-Object.keys(SDR_BOARDS).forEach(id => {
-    sdrStates[id] = {
-        connected: false,
-        initialized: false,
-        gain: 0,
-        gen_mode: 'manual',
-        freq: 0,
-        sampling_freq: 0,
-        modes: { wn: false, fsk: false, bpsk: false, qpsk: false, ntsc: false },
-        tx_on: false
-    };
-});
+Object.keys(SDR_BOARDS).forEach(registerSDR);
+
+// Relay boards from settings.json (default: Waveshare RPi Relay Board)
+relayController.configure();
+sdrControl.setRelayUpdater(relayController.update);
+txSafety.setRelayOpener(relayController.openAll);
+metrics.setRelayStateGetter(() => relayController.getRelays().relays);
 
 // Initialize relays to off on startup
-updateRelays().catch(err => logger.error(`Startup relay init failed: ${err.message}`));
+relayController.update().catch(err => logger.error(`Startup relay init failed: ${err.message}`));
 
 // Express app
 const app = express();
@@ -48,159 +73,605 @@ const io = socketIo(server, {
     pingInterval: 10000,
     pingTimeout: 5000
 });
+io.use(auth.authenticateSocket);
+const ALL_SDRS_ROOM = 'sdrs:all'; // Sockets that have not narrowed their subscription
+
+auth.loadUsers();
 
 // Middleware
 app.use(cors());
 app.use(express.json());
+
+// Prometheus scrape endpoint, ahead of the rate limiter so scrapes are never throttled
+app.get('/metrics', async (req, res) => {
+    const { token } = settings.get('metrics');
+    if (token && req.headers.authorization !== `Bearer ${token}`) return res.status(401).json({ error: 'Authentication required' });
+    try {
+        res.set('Content-Type', metrics.register.contentType);
+        res.end(await metrics.register.metrics());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 app.use(rateLimiterMiddleware); // Apply rate limiting
 
 // Serve static files from /build
 app.use(express.static(path.join(__dirname, 'build')));
 
+// Authentication (the only /api routes reachable without a session)
+app.post('/api/auth/login', validateRequest, (req, res) => {
+    try {
+        res.json(auth.login(req.body.username, req.body.password));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.use('/api', auth.authenticate);
+
+// Every documented route is checked against lib/apiSpec before it runs
+app.use('/api', validateRequest);
+
+app.get('/api/docs', (req, res) => {
+    res.json(apiSpec);
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    auth.logout(req.token);
+    res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// User management (admin)
+app.get('/api/users', requireRole('admin'), (req, res) => {
+    res.json(auth.listUsers());
+});
+
+app.post('/api/users', requireRole('admin'), (req, res) => {
+    try {
+        res.status(201).json(auth.createUser(req.body));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.put('/api/users/:username', requireRole('admin'), (req, res) => {
+    try {
+        res.json(auth.updateUser(req.params.username, req.body));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/users/:username', requireRole('admin'), (req, res) => {
+    try {
+        auth.deleteUser(req.params.username);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
 // API Endpoints
 // Get all SDR states (return array for frontend compatibility)
 app.get('/api/sdrs', (req, res) => {
-    const sdrsArray = Object.entries(sdrStates).map(([id, state]) => ({ id, ...state }));
+    const sdrsArray = Object.keys(sdrStates).map(id => ({ id, ...getSdrView(id) }));
     res.json(sdrsArray);
 });
 
-// Initialize SDR
-app.post('/api/sdrs/:id/init', async (req, res) => {
+// Control actions shared by the REST routes and the socket `command` event, so both go
+// through the same checks: the role needed and run(input, ctx) resolving with the response
+// body (input = { id, ...request body }). Errors carry their HTTP status in err.status.
+const ACTIONS = {
+    init: {
+        role: 'operator',
+        run: async ({ id }, ctx) => {
+            await sdrControl.init(id, ctx);
+            return { success: true, state: getSdrView(id) };
+        }
+    },
+    // Reconnect with a per-port USB cycle
+    reconnect: {
+        role: 'admin',
+        run: async ({ id }, ctx) => {
+            if (!sdrStates[id]) throw sdrControl.controlError(404, 'SDR not found');
+            sdrControl.requireAvailable(id);
+            try {
+                // Cycle USB port for this SDR, then reconnect and re-initialize
+                await auditLog.track(ctx, 'reconnect', id, null, () => healthMonitor.reconnect(id, ctx, { usbCycle: true }));
+                return { success: true, state: getSdrView(id) };
+            } catch (err) {
+                // The board is probably still booting after the power cycle; the monitor keeps trying
+                healthMonitor.scheduleReconnect(id);
+                throw sdrControl.controlError(500, `${err.message} (monitor will keep retrying)`);
+            }
+        }
+    },
+    gen_mode: {
+        role: 'operator',
+        run: async ({ id, value }, ctx) => {
+            await sdrControl.setGenMode(id, value, ctx); // Expect { value: 'manual' | 'slow_attack' }
+            return { success: true, state: getSdrView(id) };
+        }
+    },
+    gain: {
+        role: 'operator',
+        run: async ({ id, value }, ctx) => {
+            await sdrControl.setGain(id, value, ctx);
+            return { success: true, state: getSdrView(id) };
+        }
+    },
+    freq: {
+        role: 'operator',
+        run: async ({ id, value }, ctx) => {
+            if (sweepEngine.isRunning(id)) throw sdrControl.controlError(409, 'Sweep running, stop it first');
+            await sdrControl.setFreq(id, value, ctx);
+            return { success: true, state: getSdrView(id) };
+        }
+    },
+    sampling_freq: {
+        role: 'operator',
+        run: async ({ id, value }, ctx) => {
+            await sdrControl.setSamplingFreq(id, value, ctx);
+            return { success: true, state: getSdrView(id) };
+        }
+    },
+    // Set mode (updated with relay control)
+    set_mode: {
+        role: 'operator',
+        run: async ({ id, mode, waveform }, ctx) => {
+            await sdrControl.setMode(id, mode, ctx, { waveform });
+            return { success: true, state: getSdrView(id) };
+        }
+    },
+    // Any logged-in user may stop TX everywhere; answers 500 if some board or relay did not confirm
+    emergency_stop: {
+        role: 'viewer',
+        run: async (input, ctx) => {
+            const results = await txSafety.emergencyStop(ctx);
+            missionScheduler.abortAll('emergency_stop').catch(err => logger.error(`Aborting missions failed: ${err.message}`));
+            return results;
+        },
+        status: results => (results.success ? 200 : 500)
+    }
+};
+
+// Express handlers running an action for a REST request
+function restAction(name) {
+    const action = ACTIONS[name];
+    return [requireRole(action.role), async (req, res) => {
+        try {
+            const body = await action.run({ ...req.body, id: req.params.id }, auditContext(req));
+            res.status(action.status ? action.status(body) : 200).json(body);
+        } catch (err) {
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }];
+}
+
+app.post('/api/sdrs/:id/init', ...restAction('init'));
+app.post('/api/sdrs/:id/reconnect', ...restAction('reconnect'));
+app.post('/api/sdrs/:id/gen_mode', ...restAction('gen_mode'));
+app.post('/api/sdrs/:id/gain', ...restAction('gain'));
+app.post('/api/sdrs/:id/freq', ...restAction('freq'));
+app.post('/api/sdrs/:id/sampling_freq', ...restAction('sampling_freq'));
+app.post('/api/sdrs/:id/set_mode', ...restAction('set_mode'));
+
+// Advanced ad9361-phy attributes (lib/ad9361Attributes): values with their ranges, and batched writes
+app.get('/api/sdrs/:id/attributes', async (req, res) => {
+    try {
+        res.json(await sdrControl.getAttributes(req.params.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.post('/api/sdrs/:id/attributes', requireRole('operator'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        await sdrControl.setAttributes(id, req.body, auditContext(req));
+        res.json({ success: true, state: getSdrView(id) });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Apply a settings bundle (or { preset: name }) atomically, rolling back on failure
+app.post('/api/sdrs/:id/apply', requireRole('operator'), async (req, res) => {
+    const { id } = req.params;
+    try {
+        const settings = req.body.preset !== undefined ? presetStore.get(req.body.preset) : req.body;
+        if (sweepEngine.isRunning(id) && settings.freq !== undefined) return res.status(409).json({ error: 'Sweep running, stop it first' });
+        const previous = await sdrControl.applySettings(id, settings, auditContext(req));
+        res.json({ success: true, state: getSdrView(id), previous });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Frequency sweep / hopping: { start, stop, step } or { hops: [...] } in Hz, plus dwell_ms and loop
+app.post('/api/sdrs/:id/sweep/start', requireRole('operator'), (req, res) => {
+    try {
+        res.json({ success: true, sweep: sweepEngine.start(req.params.id, req.body, auditContext(req)) });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.post('/api/sdrs/:id/sweep/stop', requireRole('operator'), (req, res) => {
     const { id } = req.params;
     if (!sdrStates[id]) return res.status(404).json({ error: 'SDR not found' });
+    if (!sweepEngine.stop(id, 'stopped', auditContext(req))) return res.status(400).json({ error: 'No sweep running' });
+    res.json({ success: true });
+});
 
+app.get('/api/sdrs/:id/sweep', (req, res) => {
+    const { id } = req.params;
+    if (!sdrStates[id]) return res.status(404).json({ error: 'SDR not found' });
+    res.json(sweepEngine.getStatus(id));
+});
+
+// One RX spectrum capture (lib/spectrumCapture); live streams go over the socket
+app.get('/api/sdrs/:id/spectrum', async (req, res) => {
     try {
-        await initSDR(id);
-        io.emit('sdrUpdate', { id, state: sdrStates[id] });
-        res.json({ success: true, state: sdrStates[id] });
+        res.json(await spectrumCapture.capture(req.params.id));
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Reconnect SDR (now with per-port USB cycle)
-app.post('/api/sdrs/:id/reconnect', async (req, res) => {
+// Command queue of a board: the running job (with the command it is on) and what waits behind it
+app.get('/api/sdrs/:id/queue', (req, res) => {
     const { id } = req.params;
     if (!sdrStates[id]) return res.status(404).json({ error: 'SDR not found' });
+    res.json(commandQueue.getStatus(id));
+});
 
+app.delete('/api/sdrs/:id/queue/:job', requireRole('operator'), (req, res) => {
+    const { id } = req.params;
+    const ctx = auditContext(req);
+    if (!sdrStates[id]) return res.status(404).json({ error: 'SDR not found' });
     try {
-        // Cycle USB port for this SDR
-        await restartUsbPort(id);
+        const job = commandQueue.cancel(id, Number(req.params.job), `Cancelled by ${ctx.user}`);
+        auditLog.record(ctx, { sdr: id, action: 'queue_cancel', params: { job: job.job, label: job.label }, result: 'success' });
+        res.json({ success: true, job });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
 
-        if (sdrConnections[id]) sdrConnections[id].end();
-        await initSDR(id);
+// Presets: named settings bundles
+app.get('/api/presets', (req, res) => {
+    res.json(presetStore.list());
+});
+
+app.put('/api/presets/:name', requireRole('operator'), (req, res) => {
+    try {
+        res.json(presetStore.save(req.params.name, req.body));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/presets/:name', requireRole('operator'), (req, res) => {
+    try {
+        presetStore.remove(req.params.name);
         res.json({ success: true });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Set gen_mode
-app.post('/api/sdrs/:id/gen_mode', async (req, res) => {
-    const { id } = req.params;
-    const { value } = req.body; // Expect { value: 'manual' | 'slow_attack' }
-    if (!sdrStates[id] || !['manual', 'slow_attack'].includes(value)) return res.status(400).json({ error: 'Invalid request' });
-    if (!sdrStates[id].initialized) return res.status(400).json({ error: 'SDR not initialized' });
+// Apply a preset to one or many SDRs ({ sdrs: [...] }); each board is applied atomically
+app.post('/api/presets/:name/apply', requireRole('operator'), async (req, res) => {
+    const { sdrs } = req.body;
+    let preset;
+    try {
+        preset = presetStore.get(req.params.name);
+    } catch (err) {
+        return res.status(err.status || 500).json({ error: err.message });
+    }
 
+    const outcomes = await Promise.allSettled(sdrs.map(id => {
+        if (sweepEngine.isRunning(id) && preset.freq !== undefined) return Promise.reject(new Error('Sweep running, stop it first'));
+        return sdrControl.applySettings(id, preset, auditContext(req));
+    }));
+    const results = {};
+    outcomes.forEach((outcome, i) => {
+        const id = sdrs[i];
+        results[id] = outcome.status === 'fulfilled' ? { success: true, state: getSdrView(id) } : { success: false, error: outcome.reason.message };
+    });
+    const success = outcomes.every(outcome => outcome.status === 'fulfilled');
+    res.status(success ? 200 : 207).json({ success, results });
+});
+
+// IQ waveform library (lib/waveformLibrary) for mode file. Uploads are the raw file
+// (application/octet-stream) with name, format and sample_rate in the query.
+// Largest accepted body: max_samples of cf32, plus room for SigMF metadata and tar headers.
+const WAVEFORM_UPLOAD_LIMIT = settings.get('waveforms').max_samples * 8 + 1024 * 1024;
+
+app.get('/api/waveforms', (req, res) => {
+    res.json(waveformLibrary.list());
+});
+
+app.post('/api/waveforms', requireRole('operator'), express.raw({ type: 'application/octet-stream', limit: WAVEFORM_UPLOAD_LIMIT }), (req, res) => {
+    const { name, format, sample_rate } = req.query;
+    const ctx = auditContext(req);
+    const params = { name, format, sample_rate: sample_rate === undefined ? undefined : Number(sample_rate) };
     try {
-        await executeCommand(id, `iio_attr -c ad9361-phy voltage0 gain_control_mode ${value}`);
-        await pollSDRState(id);
-        io.emit('sdrUpdate', { id, state: sdrStates[id] });
-        res.json({ success: true, state: sdrStates[id] });
+        const waveform = waveformLibrary.create(Buffer.isBuffer(req.body) ? req.body : null, params, ctx.user);
+        auditLog.record(ctx, { action: 'waveform_upload', params: { id: waveform.id, name, format, sample_rate: waveform.sample_rate, samples: waveform.samples }, result: 'success' });
+        res.json(waveform);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        auditLog.record(ctx, { action: 'waveform_upload', params, result: 'error', error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Set gain
-app.post('/api/sdrs/:id/gain', async (req, res) => {
-    const { id } = req.params;
-    const { value } = req.body;
-    if (!sdrStates[id] || typeof value !== 'number') return res.status(400).json({ error: 'Invalid request' });
-    if (!sdrStates[id].initialized) return res.status(400).json({ error: 'SDR not initialized' });
+app.delete('/api/waveforms/:waveformId', requireRole('operator'), (req, res) => {
+    try {
+        const waveform = waveformLibrary.remove(req.params.waveformId);
+        auditLog.record(auditContext(req), { action: 'waveform_delete', params: { id: waveform.id, name: waveform.name }, result: 'success' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
 
+// Firmware (admin): approved images (lib/firmwareRepository), uploaded raw like waveforms with
+// the declared fw_version and build_id in the query, the expected bitstream, and board updates
+// (lib/firmwareManager) that run on in the background, followed through 'firmwareProgress'
+app.get('/api/firmware/images', (req, res) => {
+    res.json(firmwareRepository.list());
+});
+
+app.post('/api/firmware/images', requireRole('admin'), express.raw({ type: 'application/octet-stream', limit: settings.get('firmware').max_image_bytes }), (req, res) => {
+    const { name, fw_version, build_id, sha256 } = req.query;
+    const ctx = auditContext(req);
+    const params = { name, fw_version, build_id };
     try {
-        await executeCommand(id, `iio_attr -c ad9361-phy voltage0 hardwaregain ${value}`);
-        await pollSDRState(id);
-        io.emit('sdrUpdate', { id, state: sdrStates[id] });
-        res.json({ success: true, state: sdrStates[id] });
+        const image = firmwareRepository.create(Buffer.isBuffer(req.body) ? req.body : null, { name, fw_version, build_id, sha256 }, ctx.user);
+        auditLog.record(ctx, { action: 'firmware_upload', params: { id: image.id, ...params, sha256: image.sha256 }, result: 'success' });
+        res.json(image);
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        auditLog.record(ctx, { action: 'firmware_upload', params, result: 'error', error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Set frequency
-app.post('/api/sdrs/:id/freq', async (req, res) => {
-    const { id } = req.params;
-    const { value } = req.body;
-    if (!sdrStates[id] || typeof value !== 'number') return res.status(400).json({ error: 'Invalid request' });
-    if (!sdrStates[id].initialized) return res.status(400).json({ error: 'SDR not initialized' });
+app.delete('/api/firmware/images/:imageId', requireRole('admin'), (req, res) => {
+    try {
+        const image = firmwareManager.removeImage(req.params.imageId);
+        auditLog.record(auditContext(req), { action: 'firmware_delete', params: { id: image.id, name: image.name }, result: 'success' });
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
 
+// { image: id } makes that image's build ID required for TX; { image: null } stops enforcing
+app.put('/api/firmware/expected', requireRole('admin'), (req, res) => {
     try {
-        await executeCommand(id, `iio_attr -c ad9361-phy altvoltage1 frequency ${value}`);
-        await pollSDRState(id);
-        io.emit('sdrUpdate', { id, state: sdrStates[id] });
-        res.json({ success: true, state: sdrStates[id] });
+        const image = firmwareRepository.setExpected(req.body.image);
+        auditLog.record(auditContext(req), { action: 'firmware_expected', params: { image: image?.id ?? null, build_id: image?.build_id ?? null }, result: 'success' });
+        Object.keys(sdrStates).forEach(id => emitSdr(id, 'sdrUpdate', { id, state: getSdrView(id) }));
+        res.json({ success: true, expected: image });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Set sampling frequency
-app.post('/api/sdrs/:id/sampling_freq', async (req, res) => {
-    const { id } = req.params;
-    const { value } = req.body;
-    if (!sdrStates[id] || typeof value !== 'number') return res.status(400).json({ error: 'Invalid request' });
-    if (!sdrStates[id].initialized) return res.status(400).json({ error: 'SDR not initialized' });
+app.get('/api/sdrs/:id/firmware', (req, res) => {
+    try {
+        sdrControl.requireSDR(req.params.id);
+        res.json(firmwareManager.getStatus(req.params.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
 
+app.post('/api/sdrs/:id/firmware', requireRole('admin'), (req, res) => {
     try {
-        await executeCommand(id, `iio_attr -c ad9361-phy voltage0 sampling_frequency ${value}`);
-        await pollSDRState(id);
-        io.emit('sdrUpdate', { id, state: sdrStates[id] });
-        res.json({ success: true, state: sdrStates[id] });
+        res.status(202).json({ success: true, update: firmwareManager.start(req.params.id, req.body.image, auditContext(req)) });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
-// Set mode (updated with relay control)
-app.post('/api/sdrs/:id/set_mode', async (req, res) => {
-    const { id } = req.params;
-    const { mode } = req.body;
-    if (!sdrStates[id] || !['wn', 'fsk', 'bpsk', 'qpsk', 'ntsc', 'none'].includes(mode)) return res.status(400).json({ error: 'Invalid request' });
-    if (!sdrStates[id].initialized) return res.status(400).json({ error: 'SDR not initialized' });
+// Diagnostics (lib/diagnostics): named checks from a fixed catalogue, { checks } picks some of
+// them (all by default); reports are stored and can be downloaded as JSON
+app.get('/api/sdrs/:id/diagnostics', (req, res) => {
+    try {
+        sdrControl.requireSDR(req.params.id);
+        res.json({ checks: diagnostics.listChecks(), reports: diagnostics.list(req.params.id) });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
 
+app.post('/api/sdrs/:id/diagnostics', requireRole('operator'), async (req, res) => {
     try {
-        for (const gpio of Object.values(MODE_GPIOS)) {
-            await executeCommand(id, `gpioset gpiochip0 ${gpio}=0`);
-        }
-        if (mode !== 'none') {
-            await executeCommand(id, `gpioset gpiochip0 ${MODE_GPIOS[mode]}=1`);
-        }
-        const newModes = { wn: false, fsk: false, bpsk: false, qpsk: false, ntsc: false };
-        if (mode !== 'none') newModes[mode] = true;
-        sdrStates[id].modes = newModes;
-        sdrStates[id].tx_on = mode !== 'none';
-        if (mode === 'ntsc') {
-            await executeCommand(id, 'iio_attr -c ad9361-phy voltage0 sampling_frequency 20000000');
-        }
-        await pollSDRState(id);
-        io.emit('sdrUpdate', { id, state: sdrStates[id] });
+        res.json(await diagnostics.run(req.params.id, req.body?.checks, auditContext(req)));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.get('/api/sdrs/:id/diagnostics/:reportId', (req, res) => {
+    try {
+        const report = diagnostics.get(req.params.id, req.params.reportId);
+        if (req.query.download !== undefined) res.attachment(`diagnostics-${report.sdr}-${report.created_at.replace(/[:.]/g, '-')}.json`);
+        res.json(report);
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
 
-        // Update local relays based on new TX state
-        await updateRelays();
+// Group operations (lib/sdrGroups): antenna:<name>, tag:<tag> or a comma-separated list of ids
+app.get('/api/groups', (req, res) => {
+    res.json(sdrGroups.list());
+});
 
-        res.json({ success: true, state: sdrStates[id] });
+app.post('/api/groups/:group/:action', requireRole('operator'), async (req, res) => {
+    const { group, action } = req.params;
+    const value = action === 'set_mode' ? req.body.mode : req.body.value;
+    try {
+        const { success, sdrs, results } = await sdrGroups.run(group, action, value, auditContext(req));
+        sdrs.forEach(id => {
+            if (results[id].success) results[id].state = getSdrView(id);
+        });
+        res.status(success ? 200 : 207).json({ success, results });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Band plan: conflict policy and antenna bands; clients draw the live spans from the SDR states
+app.get('/api/bandplan', (req, res) => {
+    res.json(bandPlan.getPlan());
+});
+
+// Missions: timed TX sessions on an SDR or an antenna group
+app.get('/api/missions', (req, res) => {
+    res.json(missionScheduler.list());
+});
+
+app.get('/api/missions/:missionId', (req, res) => {
+    try {
+        res.json(missionScheduler.get(req.params.missionId));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.post('/api/missions', requireRole('operator'), (req, res) => {
+    try {
+        res.status(201).json(missionScheduler.create(req.body, req.user.username));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.put('/api/missions/:missionId', requireRole('operator'), async (req, res) => {
+    try {
+        res.json(await missionScheduler.update(req.params.missionId, req.body));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/missions/:missionId', requireRole('operator'), async (req, res) => {
+    try {
+        await missionScheduler.remove(req.params.missionId);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Audit trail: ?from&to (ISO), sdr, action (comma list), user, limit (0 = all), format=json|csv
+app.get('/api/audit', requireRole('operator'), (req, res) => {
+    const { from, to, sdr, action, user, format = 'json' } = req.query;
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 1000;
+
+    const entries = auditLog.query({ from, to, sdr, action, user, limit });
+    if (req.query.download !== undefined) res.attachment(`audit.${format}`);
+    if (format === 'csv') return res.type('text/csv').send(auditLog.toCsv(entries));
+    res.json(entries);
+});
+
+// Board inventory (admin): changes are validated, written to boards.json and applied live
+app.get('/api/boards', requireRole('admin'), (req, res) => {
+    res.json(boardInventory.list());
+});
+
+app.get('/api/boards/:id', requireRole('admin'), (req, res) => {
+    try {
+        res.json(boardInventory.get(req.params.id));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+app.post('/api/boards', requireRole('admin'), async (req, res) => {
+    try {
+        res.status(201).json(await boardInventory.create(req.body, auditContext(req)));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message, details: err.details });
+    }
+});
+
+app.put('/api/boards/:id', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await boardInventory.update(req.params.id, req.body, auditContext(req)));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message, details: err.details });
+    }
+});
+
+app.delete('/api/boards/:id', requireRole('admin'), async (req, res) => {
+    try {
+        await boardInventory.remove(req.params.id, auditContext(req));
+        res.json({ success: true });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message, details: err.details });
+    }
+});
+
+// Whole configuration (admin): export as one document; import checks it and answers with
+// the diff against the running state, applying it unless ?dry_run is given
+app.get('/api/config/export', requireRole('admin'), (req, res) => {
+    if (req.query.download !== undefined) res.attachment('sdr-config.json');
+    res.json(configTransfer.exportConfig(req.user.username));
+});
+
+app.post('/api/config/import', requireRole('admin'), async (req, res) => {
+    try {
+        if (req.query.dry_run !== undefined) return res.json(configTransfer.preview(req.body));
+        res.json(await configTransfer.importConfig(req.body, auditContext(req)));
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message, details: err.details });
+    }
+});
+
+// Relays: state for everyone, manual override (maintenance) for admins
+app.get('/api/relays', (req, res) => {
+    res.json(relayController.getRelays());
+});
+
+app.post('/api/relays/override', requireRole('admin'), async (req, res) => {
+    try {
+        await relayController.setOverride(req.body.enabled, auditContext(req));
+        res.json({ success: true, ...relayController.getRelays() });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
+app.post('/api/relays/:relay', requireRole('admin'), async (req, res) => {
+    try {
+        await relayController.setManual(parseInt(req.params.relay), req.body.state, auditContext(req));
+        res.json({ success: true, ...relayController.getRelays() });
+    } catch (err) {
+        res.status(err.status || 500).json({ error: err.message });
+    }
+});
+
+// Emergency stop: every board TX off and every relay open. Open to any logged-in user.
+app.post('/api/emergency_stop', ...restAction('emergency_stop'));
+
 // Restart USB hub (global, unchanged)
-app.post('/api/restart_usb', async (req, res) => {
+app.post('/api/restart_usb', requireRole('admin'), async (req, res) => {
     try {
-        const { stdout, stderr } = await execPromise('sudo uhubctl -a cycle -l 1-1 -p 1-4');
-        if (stderr) throw new Error(`uhubctl failed: ${stderr}`);
+        const stdout = await auditLog.track(auditContext(req), 'restart_usb', null, { ports: '1-4' }, async () => {
+            const { stdout, stderr } = await runHostCommand('sudo uhubctl -a cycle -l 1-1 -p 1-4');
+            if (stderr) throw new Error(`uhubctl failed: ${stderr}`);
+            return stdout;
+        });
         logger.info(`USB restart: ${stdout}`);
         res.json({ success: true, output: stdout });
     } catch (err) {
@@ -208,89 +679,221 @@ app.post('/api/restart_usb', async (req, res) => {
     }
 });
 
-app.post('/api/sdrs/:id/restart_usb', async (req, res) => {
+app.post('/api/sdrs/:id/restart_usb', requireRole('admin'), async (req, res) => {
     const { id } = req.params;
     if (!sdrStates[id]) return res.status(404).json({ error: 'SDR not found' });
     try {
-        // Customize uhubctl per SDR (e.g., map ID to specific port; example assumes port based on ID)
-        const port = parseInt(id.replace('sdr', '')); // e.g., sdr1 -> port 1
-        exec(`sudo uhubctl -a cycle -l 1-1 -p ${port}`, (err, stdout, stderr) => {
-            if (err) throw new Error(`uhubctl failed: ${stderr}`);
-            logger.info(`USB restart for ${id}: ${stdout}`);
-            res.json({ success: true, output: stdout });
-        });
+        sdrControl.requireAvailable(id);
+        // Same port and helper as the health monitor's reconnect (boards.json usb_port)
+        const port = getBoard(id).usb_port;
+        if (!port) throw sdrControl.controlError(400, `No usb_port defined for SDR ${id} in boards.json`);
+        const stdout = await auditLog.track(auditContext(req), 'restart_usb', id, { port }, () => restartUsbPort(id, getBoard(id)));
+        res.json({ success: true, output: stdout });
     } catch (err) {
-        res.status(500).json({ error: err.message });
+        res.status(err.status || 500).json({ error: err.message });
     }
 });
 
+// Simulator model and fault injection (only for boards on the 'sim' transport)
+app.get('/api/sdrs/:id/sim', requireRole('admin'), (req, res) => {
+    const { id } = req.params;
+    if (!sdrStates[id]) return res.status(404).json({ error: 'SDR not found' });
+    const transport = getTransport(id);
+    if (transport.type !== 'sim') return res.status(400).json({ error: 'SDR is not simulated' });
+    res.json({ faults: transport.getFaults(), model: transport.getModel() });
+});
+
+app.post('/api/sdrs/:id/sim', requireRole('admin'), (req, res) => {
+    const { id } = req.params;
+    if (!sdrStates[id]) return res.status(404).json({ error: 'SDR not found' });
+    const transport = getTransport(id);
+    if (transport.type !== 'sim') return res.status(400).json({ error: 'SDR is not simulated' });
+    transport.setFaults(req.body);
+    if (req.body.connect_fail) disconnectSDR(id);
+    res.json({ success: true, faults: transport.getFaults() });
+});
+
+// Unknown API routes and unparsable JSON bodies answer like every other API error
+app.use('/api', (req, res) => {
+    res.status(404).json({ error: `No route ${req.method} ${req.baseUrl}${req.path}` });
+});
+
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    res.status(err.status || 500).json({ error: err.type === 'entity.parse.failed' ? 'Invalid JSON body' : err.message });
+});
+
 // Handle SPA routing
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'build', 'index.html'));
 });
 
 // Socket.io
+// Per-SDR events go to the clients watching that board (room sdr:<id>) and to those watching all
+function emitSdr(id, event, payload) {
+    io.to([ALL_SDRS_ROOM, `sdr:${id}`]).emit(event, payload);
+}
+
+sdrControl.events.on('update', (id) => emitSdr(id, 'sdrUpdate', { id, state: getSdrView(id) }));
+sdrEvents.on('connection', (id) => emitSdr(id, 'sdrUpdate', { id, state: getSdrView(id) }));
+healthMonitor.events.on('change', (id) => emitSdr(id, 'sdrUpdate', { id, state: getSdrView(id) }));
+stateRestore.events.on('report', (id) => emitSdr(id, 'sdrUpdate', { id, state: getSdrView(id) }));
+boardInventory.events.on('changed', ({ added, removed, updated, ctx }) => {
+    relayController.checkMappings();
+    relayController.update(ctx).catch(err => logger.error(`Relay update after board change failed: ${err.message}`));
+    io.emit('boardsChanged', { added, removed, updated });
+});
+relayController.events.on('change', () => io.emit('relayUpdate', relayController.getRelays()));
+txSafety.events.on('timeout', (id) => emitSdr(id, 'txTimeout', { id }));
+txSafety.events.on('estop', (results) => io.emit('emergencyStop', results));
+bandPlan.events.on('conflict', (conflict) => emitSdr(conflict.id, 'frequencyConflict', conflict));
+sweepEngine.events.on('progress', (progress) => emitSdr(progress.id, 'sweepProgress', progress));
+sweepEngine.events.on('stopped', (info) => emitSdr(info.id, 'sweepStopped', info));
+firmwareManager.events.on('progress', (progress) => emitSdr(progress.id, 'firmwareProgress', progress));
+// Spectra only go to the sockets streaming that board
+spectrumCapture.events.on('spectrum', (spectrum) => io.to(`spectrum:${spectrum.id}`).emit('spectrum', spectrum));
+spectrumCapture.events.on('capture_error', (info) => io.to(`spectrum:${info.id}`).emit('spectrumError', info));
+missionScheduler.events.on('started', ({ mission }) => io.emit('missionStarted', { mission }));
+missionScheduler.events.on('ended', ({ mission, result }) => io.emit('missionEnded', { mission, result }));
+missionScheduler.events.on('failed', ({ mission, errors }) => io.emit('missionFailed', { mission, errors }));
+missionScheduler.events.on('changed', () => io.emit('missionsChanged'));
+auditLog.events.on('record', (entry) => io.to('audit').emit('auditEvent', entry));
+
+auth.events.on('revoked', (token) => {
+    io.sockets.sockets.forEach(socket => {
+        if (socket.data.token === token) socket.disconnect(true);
+    });
+});
+
+// Socket protocol, besides the pushed events:
+//   command   { action, id, ...params }, ack - runs one of ACTIONS (same roles and checks as
+//             REST, params validated against the REST body schema); ack receives the REST
+//             response body, or { error, status, details? }
+//   subscribe { sdrs: [ids] } or { all: true }, ack - per-SDR events only for those boards
+//             (every board until the first subscribe); ack receives { sdrs, states }
+//   unsubscribe { sdrs: [ids] }, ack
+//   spectrum_subscribe   { sdr }, ack - stream that board's RX spectrum ('spectrum' events)
+//   spectrum_unsubscribe { sdr }, ack
 io.on('connection', (socket) => {
-    logger.info(`Client connected: ${socket.id}`);
-    socket.emit('initialStates', Object.entries(sdrStates).map(([id, state]) => ({id, ...state}))); // Send as array
+    logger.info(`Client connected: ${socket.id} (${socket.data.user.username})`);
+    if (auth.hasRole(socket.data.user, 'operator')) socket.join('audit');
+    socket.join(ALL_SDRS_ROOM);
+    socket.emit('initialStates', Object.keys(sdrStates).map(id => ({ id, ...getSdrView(id) }))); // Send as array
+
+    socket.on('command', async (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        // The session may have expired since the handshake
+        const user = auth.verifyToken(socket.data.token);
+        if (!user) {
+            reply({ error: 'Authentication required', status: 401 });
+            return socket.disconnect(true);
+        }
+        const action = ACTIONS[payload?.action];
+        if (!action) return reply({ error: `Unknown action ${payload?.action}`, status: 400 });
+        if (!auth.hasRole(user, action.role)) return reply({ error: `${action.role} role required`, status: 403 });
+        const input = { ...payload };
+        delete input.action;
+        const { id, ...body } = input;
+        const invalid = validateOperation(payload.action, { params: { id }, body });
+        if (invalid) return reply({ ...invalid, status: 400 });
+        try {
+            reply(await action.run(input, { user: user.username, ip: socket.handshake.address, source: 'socket' }));
+        } catch (err) {
+            reply({ error: err.message, status: err.status || 500 });
+        }
+    });
+
+    socket.on('subscribe', (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (payload?.all) {
+            socket.join(ALL_SDRS_ROOM);
+        } else {
+            const ids = payload?.sdrs;
+            if (!Array.isArray(ids)) return reply({ error: 'sdrs must be an array of SDR ids', status: 400 });
+            const unknown = ids.filter(id => !sdrStates[id]);
+            if (unknown.length > 0) return reply({ error: `Unknown SDR(s): ${unknown.join(', ')}`, status: 404 });
+            socket.leave(ALL_SDRS_ROOM);
+            ids.forEach(id => socket.join(`sdr:${id}`));
+        }
+        const sdrs = subscribedSdrs(socket);
+        reply({ sdrs, states: sdrs.map(id => ({ id, ...getSdrView(id) })) });
+    });
+
+    socket.on('unsubscribe', (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        if (!Array.isArray(payload?.sdrs)) return reply({ error: 'sdrs must be an array of SDR ids', status: 400 });
+        payload.sdrs.forEach(id => socket.leave(`sdr:${id}`));
+        reply({ sdrs: subscribedSdrs(socket) });
+    });
+
+    socket.on('spectrum_subscribe', (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            spectrumCapture.subscribe(payload?.sdr, socket.id);
+            socket.join(`spectrum:${payload.sdr}`);
+            reply({ success: true, stream: spectrumCapture.getStatus(payload.sdr) });
+        } catch (err) {
+            reply({ error: err.message, status: err.status || 500 });
+        }
+    });
+
+    socket.on('spectrum_unsubscribe', (payload, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        socket.leave(`spectrum:${payload?.sdr}`);
+        spectrumCapture.unsubscribe(payload?.sdr, socket.id);
+        reply({ success: true });
+    });
 
     socket.on('disconnect', () => {
+        spectrumCapture.unsubscribeAll(socket.id);
         logger.info(`Client disconnected: ${socket.id}`);
     });
 });
 
-// Helper: Restart specific USB port for an SDR
-async function restartUsbPort(id) {
-    const port = SDR_BOARDS[id].usb_port;
-    if (!port) {
-        logger.warn(`No usb_port defined for SDR ${id}, skipping USB cycle`);
-        return;
-    }
-    try {
-        const { stdout, stderr } = await execPromise(`sudo uhubctl -a cycle -l 1-1 -p ${port}`);
-        if (stderr) throw new Error(`uhubctl failed for port ${port}: ${stderr}`);
-        logger.info(`USB restart for SDR ${id} on port ${port}: ${stdout}`);
-    } catch (err) {
-        logger.error(`USB restart failed for SDR ${id}: ${err.message}`);
-        throw err; // Re-throw to handle in caller
-    }
+// Helper: boards a socket receives per-SDR events for
+function subscribedSdrs(socket) {
+    if (socket.rooms.has(ALL_SDRS_ROOM)) return Object.keys(sdrStates);
+    return Object.keys(sdrStates).filter(id => socket.rooms.has(`sdr:${id}`));
 }
 
-// Helper: Set a single relay using pinctrl (active-low: dl=ON, dh=OFF)
-async function setRelay(relayIndex, state) {
-    const gpio = RELAY_GPIOS[relayIndex];
-    const level = state ? 'dl' : 'dh'; // dl (low/0) = ON, dh (high/1) = OFF
-    try {
-        const { stderr } = await execPromise(`sudo pinctrl set ${gpio} op ${level}`);
-        if (stderr) throw new Error(stderr);
-    } catch (err) {
-        throw new Error(`Failed to set relay ${relayIndex + 1} (GPIO ${gpio}) to ${state}: ${err.message}`);
-    }
+// Helper: who is behind a REST request, for the audit trail
+function auditContext(req) {
+    return { user: req.user?.username, ip: req.ip, source: 'rest' };
 }
 
-// Helper: Update all relays based on active SDRs (OR the relay states)
-async function updateRelays() {
-    const required = Array(3).fill(0);
-    Object.entries(sdrStates).forEach(([id, state]) => {
-        if (state.tx_on && SDR_BOARDS[id]?.relays && SDR_BOARDS[id].relays.length === 3) {
-            SDR_BOARDS[id].relays.forEach((val, idx) => {
-                if (val === 1) required[idx] = 1;
-            });
-        }
-    });
+// Helper: SDR state as exposed to clients, with its antenna and band
+function getSdrView(id) {
+    return { ...sdrStates[id], antenna: getAntennaInfo(id), health: healthMonitor.getHealth(id), tx_safety: txSafety.getStatus(id), restore: stateRestore.getReport(id), queue: commandQueue.getSummary(id), firmware: firmwareManager.getStatus(id) };
+}
 
-    for (let i = 0; i < 3; i++) {
-        try {
-            await setRelay(i, required[i]);
-            logger.info(`Set relay ${i + 1} to ${required[i]}`);
-        } catch (err) {
-            logger.error(err.message);
-        }
-    }
+// Put every board and relay in a safe state before the process exits
+let shuttingDown = false;
+async function shutdown(reason, exitCode) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.warn(`Shutting down (${reason}), switching all TX off`);
+    missionScheduler.stop();
+    healthMonitor.stop();
+    boardInventory.unwatch();
+    const results = await txSafety.safeState({ user: 'system', source: 'shutdown' }, { keepDesired: true });
+    if (!results.success) logger.error(`Safe state incomplete on shutdown: ${JSON.stringify(results)}`);
+    process.exit(exitCode);
 }
 
+process.on('SIGINT', () => shutdown('SIGINT', 0));
+process.on('SIGTERM', () => shutdown('SIGTERM', 0));
+process.on('uncaughtException', (err) => {
+    logger.error(`Uncaught exception: ${err.stack || err.message}`);
+    shutdown('uncaught exception', 1);
+});
+
 // Start server
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
+    missionScheduler.start();
+    txSafety.start();
+    boardInventory.watch();
+    // The monitor would race the restore for the same links, so it starts once every board is done
+    stateRestore.restoreAll().finally(() => healthMonitor.start());
 });
\ No newline at end of file